@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// Command-line client for the todo API.
+//
+//   todo login alice                 Sign in to the server (see --url)
+//   todo add "Write the report" --due 2026-11-01T09:00 --priority high --tags work
+//   todo ls --pending --tag work
+//   todo done 12
+//   todo --local ls                  Work on the SQLite database instead of a server
+//
+// `todo --help` lists every command and option.
+
+// --local mode opens the database in this process; keep its logs out of the
+// output, and readable when there are any
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const HttpClient = require('../cli/httpClient');
+const LocalClient = require('../cli/localClient');
+const { readConfig, writeConfig, resolveServer } = require('../cli/config');
+const { formatTodos, formatSummary } = require('../cli/output');
+const { promptHidden } = require('../cli/prompt');
+const { FORMATS } = require('../services/transfer');
+
+const USAGE = `Usage: todo <command> [options]
+
+Commands:
+  add <title>             Add a todo
+  ls                      List todos
+  done <id>...            Mark todos as done (--undo reopens them)
+  edit <id>               Change a todo
+  rm <id>...              Move todos to the trash
+  export                  Print every todo as JSON, CSV or iCalendar
+  login <username>        Sign in and remember the token (password from TODO_PASSWORD or a prompt)
+  logout                  Sign out and forget the token
+
+add and edit:
+  --title <text>          New title (edit only)
+  -d, --description <text>
+  --due <date>            Due date, e.g. 2026-11-01T09:00 (local time); "" clears it
+  --priority <level>      low, medium, high or urgent
+  --tags <a,b>            Comma-separated tag names; "" clears them
+  --list <id>             List id
+
+ls (the filters of GET /api/todos):
+  --completed, --pending  Only done or open todos
+  -q, --search <text>     Text in the title or description
+  --list <id>             Only todos in this list
+  --tag <name>            Only todos with this tag; repeat to require several
+  --due <window>          overdue, today or upcoming
+  --sort <column>         id, title, created_at, updated_at, due_at, priority, position, ...
+  --order <asc|desc>
+  --limit <n>, --offset <n>
+
+export:
+  --format <json|csv|ics> (default json)
+  --list <id>             Only this list
+  --file <path>           Write to a file instead of stdout
+
+Everywhere:
+  --url <url>             Server URL (TODO_URL, the saved one, or http://localhost:3000)
+  --token <token>         API token (TODO_TOKEN, or the one saved by todo login)
+  --local                 Use the SQLite database directly, set up like the server (DB_PATH, CONFIG_FILE)
+  --user <username>       Whose todos --local works on (TODO_USER; not needed with one user)
+  --json                  Print JSON instead of a table
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  token: { type: 'string' },
+  local: { type: 'boolean' },
+  user: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  title: { type: 'string' },
+  description: { type: 'string', short: 'd' },
+  due: { type: 'string' },
+  priority: { type: 'string' },
+  tags: { type: 'string' },
+  list: { type: 'string' },
+  completed: { type: 'boolean' },
+  pending: { type: 'boolean' },
+  search: { type: 'string', short: 'q' },
+  tag: { type: 'string', multiple: true },
+  sort: { type: 'string' },
+  order: { type: 'string' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  undo: { type: 'boolean' },
+  format: { type: 'string' },
+  file: { type: 'string' }
+};
+const GLOBAL_OPTIONS = ['url', 'token', 'local', 'user', 'json', 'help'];
+const TODO_OPTIONS = ['description', 'due', 'priority', 'tags', 'list'];
+
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`${name} must be a positive whole number, not "${value}"`);
+  }
+  return id;
+}
+
+function parseIds(positionals) {
+  if (positionals.length === 0) {
+    throw new Error('Give at least one todo id');
+  }
+  return positionals.map(value => parseId(value, 'A todo id'));
+}
+
+// The todo fields set by the add and edit options
+function todoFields(values) {
+  const fields = {};
+  if (values.title !== undefined) {
+    fields.title = values.title;
+  }
+  if (values.description !== undefined) {
+    fields.description = values.description;
+  }
+  if (values.due !== undefined) {
+    if (values.due.trim() === '') {
+      fields.due_at = null;
+      fields.due_tz = null;
+    } else {
+      const date = new Date(values.due);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`--due must be a date such as 2026-11-01T09:00, not "${values.due}"`);
+      }
+      fields.due_at = date.toISOString();
+      fields.due_tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+  }
+  if (values.priority !== undefined) {
+    fields.priority = values.priority;
+  }
+  if (values.tags !== undefined) {
+    fields.tags = values.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (values.list !== undefined) {
+    fields.list_id = parseId(values.list, '--list');
+  }
+  return fields;
+}
+
+function print(values, data, text) {
+  console.log(values.json ? JSON.stringify(data, null, 2) : text);
+}
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+function write(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    if (stream.write(chunk)) {
+      resolve();
+      return;
+    }
+    stream.once('drain', resolve);
+    stream.once('error', reject);
+  });
+}
+
+const COMMANDS = {
+  add: {
+    options: TODO_OPTIONS,
+    async run(client, values, positionals) {
+      if (positionals.length !== 1) {
+        throw new Error('Usage: todo add <title> [options] (quote titles with spaces)');
+      }
+      const todo = await client.create({ title: positionals[0], ...todoFields(values) });
+      print(values, todo, `Added todo ${todo.id}: ${todo.title}`);
+    }
+  },
+
+  ls: {
+    options: ['completed', 'pending', 'search', 'list', 'tag', 'due', 'sort', 'order', 'limit', 'offset'],
+    async run(client, values) {
+      if (values.completed && values.pending) {
+        throw new Error('Use either --completed or --pending');
+      }
+      const query = {
+        completed: values.completed ? 'true' : values.pending ? 'false' : undefined,
+        q: values.search,
+        list_id: values.list,
+        tag: values.tag,
+        due: values.due,
+        tz: values.due ? Intl.DateTimeFormat().resolvedOptions().timeZone : undefined,
+        sort: values.sort,
+        order: values.order,
+        limit: values.limit,
+        offset: values.offset
+      };
+      Object.keys(query).forEach((name) => {
+        if (query[name] === undefined) delete query[name];
+      });
+
+      const page = await client.list(query);
+      const { total, limit, offset } = page.pagination;
+      if (values.json) {
+        print(values, { data: page.todos, meta: { pagination: { total, limit, offset }, counts: page.counts } });
+        return;
+      }
+      console.log(page.todos.length === 0 ? 'No todos' : formatTodos(page.todos));
+      console.log(formatSummary(page));
+    }
+  },
+
+  done: {
+    options: ['undo'],
+    async run(client, values, positionals) {
+      const todos = [];
+      const lines = [];
+      for (const id of parseIds(positionals)) {
+        const { todo, nextId } = await client.update(id, { completed: !values.undo });
+        todos.push(todo);
+        lines.push(`${values.undo ? 'Reopened' : 'Completed'} todo ${todo.id}: ${todo.title}`);
+        if (nextId) {
+          lines.push(`  The next occurrence is todo ${nextId}`);
+        }
+      }
+      print(values, todos, lines.join('\n'));
+    }
+  },
+
+  edit: {
+    options: ['title', ...TODO_OPTIONS],
+    async run(client, values, positionals) {
+      if (positionals.length !== 1) {
+        throw new Error('Usage: todo edit <id> [options]');
+      }
+      const fields = todoFields(values);
+      if (Object.keys(fields).length === 0) {
+        throw new Error('Nothing to change; see todo --help for the options of edit');
+      }
+      const { todo } = await client.update(parseId(positionals[0], 'The todo id'), fields);
+      print(values, todo, `Updated todo ${todo.id}: ${todo.title}`);
+    }
+  },
+
+  rm: {
+    options: [],
+    async run(client, values, positionals) {
+      const ids = parseIds(positionals);
+      for (const id of ids) {
+        await client.remove(id);
+      }
+      print(values, { deleted: ids }, ids.map(id => `Moved todo ${id} to the trash`).join('\n'));
+    }
+  },
+
+  export: {
+    options: ['format', 'list', 'file'],
+    async run(client, values) {
+      const format = values.format || 'json';
+      if (!FORMATS[format]) {
+        throw new Error(`--format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+      }
+      const chunks = await client.exportTodos(format, values.list === undefined ? undefined : parseId(values.list, '--list'));
+      const stream = values.file ? fs.createWriteStream(values.file) : process.stdout;
+      for await (const chunk of chunks) {
+        await write(stream, chunk);
+      }
+      if (values.file) {
+        await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+        console.error(`Exported to ${values.file}`);
+      }
+    }
+  },
+
+  login: {
+    options: [],
+    server: true,
+    async run(client, values, positionals) {
+      if (positionals.length !== 1) {
+        throw new Error('Usage: todo login <username>');
+      }
+      const password = process.env.TODO_PASSWORD || await promptHidden('Password: ');
+      const { user, token } = await client.login(positionals[0], password);
+      writeConfig({ ...readConfig(), url: client.url, token });
+      print(values, { user }, `Logged in as ${user.username} at ${client.url}`);
+    }
+  },
+
+  logout: {
+    options: [],
+    server: true,
+    async run(client, values) {
+      if (client.token) {
+        await client.logout().catch(() => {}); // An expired token is as good as revoked
+      }
+      const { token, ...config } = readConfig();
+      writeConfig(config);
+      print(values, { logged_out: true }, 'Logged out');
+    }
+  }
+};
+
+async function main(args) {
+  const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  const [name, ...rest] = positionals;
+  if (values.help || !name) {
+    console.log(USAGE);
+    if (!values.help) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${name}". Run todo --help for the list.`);
+  }
+  const misplaced = Object.keys(values).find(option => !GLOBAL_OPTIONS.includes(option) && !command.options.includes(option));
+  if (misplaced) {
+    throw new Error(`--${misplaced} can't be used with todo ${name}`);
+  }
+  if (command.server && values.local) {
+    throw new Error(`todo ${name} talks to a server; it has no --local mode`);
+  }
+
+  const client = values.local
+    ? new LocalClient({ username: values.user || process.env.TODO_USER })
+    : new HttpClient(resolveServer(values));
+  try {
+    if (values.local) {
+      await client.open();
+    }
+    await command.run(client, values, rest);
+  } finally {
+    await client.close();
+  }
+}
+
+// Stop quietly when the output is piped into something like `head` that exits early
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') {
+    throw error;
+  }
+  process.exit();
+});
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`todo: ${error.message}`);
+  process.exitCode = 1;
+});
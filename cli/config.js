@@ -0,0 +1,50 @@
+// Where the CLI keeps the server URL and the token `todo login` received:
+// $TODO_CONFIG, or todo/config.json under $XDG_CONFIG_HOME (default ~/.config)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_URL = 'http://localhost:3000';
+
+function configPath() {
+  if (process.env.TODO_CONFIG) {
+    return path.resolve(process.env.TODO_CONFIG);
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'todo', 'config.json');
+}
+
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Could not read ${configPath()}: ${error.message}`);
+  }
+}
+
+// Save the config where only the current user can read it, as it holds a token
+function writeConfig(config) {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+}
+
+// The server to talk to and the token to send: command-line options first,
+// then TODO_URL / TODO_TOKEN, then the config file
+function resolveServer(options) {
+  const config = readConfig();
+  return {
+    url: options.url || process.env.TODO_URL || config.url || DEFAULT_URL,
+    token: options.token || process.env.TODO_TOKEN || config.token || null
+  };
+}
+
+module.exports = {
+  configPath,
+  readConfig,
+  writeConfig,
+  resolveServer
+};
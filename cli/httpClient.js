@@ -0,0 +1,103 @@
+// The CLI's client for a running server, over the /api/v1 REST endpoints.
+// Its methods match LocalClient's, so the commands don't care which they use.
+
+// The message of an error response (see utils/errors.js); validation errors
+// already name every field at fault
+function errorMessage(body, status) {
+  const error = body && body.error;
+  return error && error.message ? error.message : `The server answered ${status}`;
+}
+
+class HttpClient {
+  constructor({ url, token }) {
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  // Send a request and return the response, or throw with the server's error message
+  async send(method, path, { body, query } = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([name, value]) => {
+      [].concat(value).filter(item => item !== undefined).forEach(item => params.append(name, item));
+    });
+    const search = params.toString();
+    const headers = {};
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.url}/api/v1${path}${search ? `?${search}` : ''}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new Error(`Could not reach ${this.url}: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    if (response.status === 401 && !path.startsWith('/auth/')) {
+      throw new Error('Not logged in, or the session has expired. Run "todo login <username>" first.');
+    }
+    if (!response.ok) {
+      const text = await response.text();
+      let parsed = null;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // Not JSON, e.g. a proxy's error page
+      }
+      throw new Error(errorMessage(parsed, response.status));
+    }
+    return response;
+  }
+
+  async request(method, path, options) {
+    return (await this.send(method, path, options)).json();
+  }
+
+  // Exchange a username and password for a token
+  async login(username, password) {
+    const { data } = await this.request('POST', '/auth/login', { body: { username, password } });
+    return data;
+  }
+
+  async logout() {
+    await this.request('POST', '/auth/logout');
+  }
+
+  // One page of todos for a GET /api/todos query: { todos, pagination, counts }
+  async list(query) {
+    const { data, meta } = await this.request('GET', '/todos', { query });
+    return { todos: data, pagination: meta.pagination, counts: meta.counts };
+  }
+
+  async create(fields) {
+    return (await this.request('POST', '/todos', { body: fields })).data;
+  }
+
+  // Change a todo: { todo, nextId }, where nextId is the next occurrence of a
+  // recurring todo that was just completed
+  async update(id, changes) {
+    const { data, meta } = await this.request('PUT', `/todos/${id}`, { body: changes });
+    return { todo: data, nextId: meta.next_todo_id };
+  }
+
+  async remove(id) {
+    await this.request('DELETE', `/todos/${id}`);
+  }
+
+  // The export document, as an async iterable of chunks
+  async exportTodos(format, listId) {
+    const response = await this.send('GET', '/todos/export', { query: { format, list_id: listId } });
+    return response.body;
+  }
+
+  async close() {}
+}
+
+module.exports = HttpClient;
@@ -0,0 +1,139 @@
+// The CLI's client for --local mode: works on the SQLite database directly,
+// through the same repository and services as the server, so todos get the
+// same validation, history entries and recurring follow-ups. Changes aren't
+// pushed to browsers that are open at the time; they see them on reload.
+// Webhook deliveries are queued, and a server on the same database sends them.
+const os = require('os');
+const database = require('../config/database');
+const { todoRepository } = require('../repositories/todoRepository');
+const { ensureDefaultList, findList } = require('../services/lists');
+const { parseListQuery, parseTodoChanges, validateNewTodo } = require('../services/todos');
+const { snapshotTodo, recordChange } = require('../services/history');
+const { recordUpdate } = require('../services/todoChanges');
+const { exportChunks } = require('../services/transfer');
+const { queueDeliveries } = require('../services/webhooks');
+
+class LocalClient {
+  // `username` picks whose todos to work on; it may be left out when the
+  // database has a single user
+  constructor({ username }) {
+    this.username = username;
+    this.userId = null;
+  }
+
+  async open() {
+    await database.connect();
+    if (this.username) {
+      const user = await database.get('SELECT id FROM users WHERE username = ?', [this.username]);
+      if (!user) {
+        throw new Error(`There is no user called "${this.username}"`);
+      }
+      this.userId = user.id;
+      return;
+    }
+    const users = await database.all('SELECT id FROM users LIMIT 2');
+    if (users.length !== 1) {
+      throw new Error(users.length === 0
+        ? 'The database has no users yet; register one first'
+        : 'The database has several users; pick one with --user or TODO_USER');
+    }
+    this.userId = users[0].id;
+  }
+
+  async list(query) {
+    const { error, filter } = parseListQuery(query);
+    if (error) {
+      throw new Error(error);
+    }
+    if (filter.listId !== null && !(await findList(database, this.userId, filter.listId))) {
+      throw new Error('List not found');
+    }
+    const { todos, total, counts } = await todoRepository.list(this.userId, filter);
+    return { todos, pagination: { total, limit: filter.limit, offset: filter.offset }, counts };
+  }
+
+  async create(fields) {
+    const input = validateNewTodo(fields);
+    if (input.error) {
+      throw new Error(input.error);
+    }
+    const list = fields.list_id === undefined
+      ? { id: await ensureDefaultList(database, this.userId) }
+      : await findList(database, this.userId, fields.list_id);
+    if (!list) {
+      throw new Error('list_id must be one of your lists');
+    }
+
+    return todoRepository.transaction(async (repo) => {
+      const created = await repo.create(this.userId, list.id, input.values);
+      await recordChange(repo.db, {
+        todoId: created.id,
+        userId: this.userId,
+        action: 'created',
+        before: null,
+        after: await snapshotTodo(repo.db, created.id)
+      });
+      await queueDeliveries(repo.db, this.userId, 'todo.created', created);
+      return created;
+    });
+  }
+
+  async update(id, fields) {
+    // Checked the way PUT /api/todos/:id checks them
+    const { error, changes } = await parseTodoChanges(database, this.userId, fields);
+    if (error) {
+      throw new Error(error);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new Error('No fields to update');
+    }
+    return todoRepository.transaction(async (repo) => {
+      if (!(await repo.get(this.userId, id))) {
+        throw new Error('Todo not found');
+      }
+      const before = await snapshotTodo(repo.db, id);
+      await repo.update(this.userId, id, changes);
+      // Completing an occurrence schedules the next one
+      return recordUpdate(repo.db, this.userId, id, before);
+    });
+  }
+
+  async remove(id) {
+    await todoRepository.transaction(async (repo) => {
+      if (await repo.delete(this.userId, id) === 0) {
+        throw new Error('Todo not found');
+      }
+      const snapshot = await snapshotTodo(repo.db, id);
+      await recordChange(repo.db, {
+        todoId: id,
+        userId: this.userId,
+        action: 'deleted',
+        before: snapshot,
+        after: snapshot
+      });
+      await queueDeliveries(
+        repo.db,
+        this.userId,
+        'todo.deleted',
+        () => repo.get(this.userId, id, { includeTrashed: true })
+      );
+    });
+  }
+
+  async exportTodos(format, listId) {
+    let list = null;
+    if (listId !== undefined) {
+      list = await findList(database, this.userId, listId);
+      if (!list) {
+        throw new Error('List not found');
+      }
+    }
+    return exportChunks(database, this.userId, list ? list.id : null, format, os.hostname());
+  }
+
+  async close() {
+    await database.close();
+  }
+}
+
+module.exports = LocalClient;
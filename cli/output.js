@@ -0,0 +1,60 @@
+// How the CLI prints todos when it isn't asked for --json
+const MAX_TITLE_WIDTH = 48;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// An ISO date as "YYYY-MM-DD HH:MM" in the local time zone
+function formatDue(iso) {
+  if (!iso) {
+    return '';
+  }
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+// Rows of cells as left-aligned columns, with a header row
+function formatTable(header, rows) {
+  const widths = header.map((title, column) => {
+    return Math.max(title.length, ...rows.map(row => row[column].length));
+  });
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+function formatTodos(todos) {
+  const now = new Date().toISOString();
+  return formatTable(
+    ['ID', 'DONE', 'PRIORITY', 'DUE', 'TITLE', 'TAGS'],
+    todos.map(todo => [
+      String(todo.id),
+      todo.completed ? '[x]' : '[ ]',
+      todo.priority || '',
+      `${formatDue(todo.due_at)}${!todo.completed && todo.due_at && todo.due_at < now ? ' !' : ''}`,
+      truncate(todo.title, MAX_TITLE_WIDTH),
+      (todo.tags || []).map(tag => tag.name).join(', ')
+    ])
+  );
+}
+
+// "1-20 of 42 todos: 32 pending, 10 completed, 3 overdue"
+function formatSummary({ todos, pagination, counts }) {
+  const shown = todos.length === 0
+    ? `0 of ${pagination.total}`
+    : `${pagination.offset + 1}-${pagination.offset + todos.length} of ${pagination.total}`;
+  return `${shown} todo${pagination.total === 1 ? '' : 's'}: ` +
+    `${counts.pending} pending, ${counts.completed} completed, ${counts.overdue} overdue`;
+}
+
+module.exports = {
+  formatDue,
+  formatTodos,
+  formatSummary
+};
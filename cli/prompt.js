@@ -0,0 +1,56 @@
+// Read a password without echoing it. When stdin isn't a terminal (e.g.
+// `echo secret | todo login me`), the first line of input is used instead.
+function readFirstLine(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      text += chunk;
+    });
+    stream.on('end', () => resolve(text.split(/\r?\n/)[0]));
+    stream.on('error', reject);
+  });
+}
+
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    return readFirstLine(stdin);
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (error) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.off('data', onData);
+      stderr.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    function onData(chars) {
+      for (const char of chars) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return;
+        }
+        if (char === '\u0003') { // Ctrl+C
+          finish(new Error('Cancelled'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    }
+
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+module.exports = { promptHidden };
@@ -1,19 +1,39 @@
 const sqlite3 = require('sqlite3').verbose();
+const migrator = require('./migrator');
+const { getSettings } = require('./settings');
+const logger = require('../utils/logger');
+const { observeQuery, secondsSince } = require('../services/metrics');
 
 class Database {
   constructor() {
     this.db = null;
+    // Settles when everything queued so far has finished (see exclusive())
+    this.queue = Promise.resolve();
   }
 
-  connect() {
+  // Open the database and, unless disabled, apply pending migrations. It is
+  // the SQLite file at dbPath, or with dbPath ":memory:" a database in this
+  // process only, which starts empty and is gone when it closes. Storage
+  // "memory" keeps todos in MemoryTodoRepository, out of reach of the tables
+  // here that refer to them, so it can't be used with a database.
+  connect({ migrate = true } = {}) {
+    const { storage, dbPath: location } = getSettings();
+    if (storage === 'memory') {
+      return Promise.reject(new Error(
+        'STORAGE=memory only keeps todos in memory, without the rest of the data; ' +
+        'for a database that is not saved, use DB_PATH=:memory:'
+      ));
+    }
+
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database('./todos.db', (err) => {
+      this.db = new sqlite3.Database(location, (err) => {
         if (err) {
-          console.error('Error opening database:', err.message);
+          logger.error('Error opening database', { location, error: err });
           reject(err);
         } else {
-          console.log('Connected to SQLite database');
-          this.initializeTables()
+          logger.info('Connected to SQLite database', { location });
+          this.run('PRAGMA foreign_keys = ON')
+            .then(() => (migrate ? this.migrate() : null))
             .then(() => resolve())
             .catch(reject);
         }
@@ -21,44 +41,94 @@ class Database {
     });
   }
 
-  initializeTables() {
-    return new Promise((resolve, reject) => {
-      const createTableSQL = `
-        CREATE TABLE IF NOT EXISTS todos (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          description TEXT,
-          completed BOOLEAN DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
+  async migrate() {
+    try {
+      const applied = await migrator.migrate(this);
+      applied.forEach(migration => logger.info('Applied migration', { migration: migration.id }));
+      logger.info('Database schema is up to date');
+    } catch (err) {
+      logger.error('Error migrating database', { error: err });
+      throw err;
+    }
+  }
+
+  getConnection() {
+    return this.db;
+  }
+
+  // Promise wrappers around the sqlite3 callback API. They queue behind any
+  // open transaction so unrelated statements never end up inside it.
+  run(sql, params = []) {
+    return this.exclusive(() => this.execute('run', sql, params));
+  }
+
+  get(sql, params = []) {
+    return this.exclusive(() => this.execute('get', sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.exclusive(() => this.execute('all', sql, params));
+  }
 
-      this.db.run(createTableSQL, (err) => {
+  // Run work(tx) between BEGIN and COMMIT, rolling back if it throws.
+  // Statements inside the transaction must go through the tx handle
+  // (tx.run/get/all); calling database.run from inside would deadlock.
+  transaction(work) {
+    const tx = {
+      run: (sql, params = []) => this.execute('run', sql, params),
+      get: (sql, params = []) => this.execute('get', sql, params),
+      all: (sql, params = []) => this.execute('all', sql, params)
+    };
+
+    return this.exclusive(async () => {
+      await tx.run('BEGIN IMMEDIATE');
+      try {
+        const value = await work(tx);
+        await tx.run('COMMIT');
+        return value;
+      } catch (err) {
+        await tx.run('ROLLBACK');
+        throw err;
+      }
+    });
+  }
+
+  // Run fn once everything queued before it has settled, so statements and
+  // transactions take turns in the order they were called. The queue is
+  // extended synchronously, before anything is awaited, so no two callers
+  // can ever start together.
+  exclusive(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Run one statement, timing it for the sqlite_query_duration_seconds metric
+  execute(method, sql, params) {
+    return new Promise((resolve, reject) => {
+      const started = process.hrtime.bigint();
+      this.db[method](sql, params, function(err, result) {
+        observeQuery(sql, secondsSince(started));
         if (err) {
-          console.error('Error creating table:', err.message);
           reject(err);
+        } else if (method === 'run') {
+          resolve({ lastID: this.lastID, changes: this.changes });
         } else {
-          console.log('Todos table ready');
-          resolve();
+          resolve(result);
         }
       });
     });
   }
 
-  getConnection() {
-    return this.db;
-  }
-
   close() {
     return new Promise((resolve, reject) => {
       if (this.db) {
         this.db.close((err) => {
           if (err) {
-            console.error('Error closing database:', err.message);
+            logger.error('Error closing database', { error: err });
             reject(err);
           } else {
-            console.log('Database connection closed.');
+            logger.info('Database connection closed');
             resolve();
           }
         });
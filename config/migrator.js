@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILENAME_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Load the migration modules in migrations/, ordered by their numeric prefix
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILENAME_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(FILENAME_PATTERN);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { id: path.basename(file, '.js'), version: Number(version), name, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  return db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT id, applied_at FROM schema_migrations');
+  return new Map(rows.map(row => [row.id, row.applied_at]));
+}
+
+// List every known migration with whether and when it was applied
+async function status(db) {
+  const applied = await appliedMigrations(db);
+  return loadMigrations().map(migration => ({
+    id: migration.id,
+    applied: applied.has(migration.id),
+    appliedAt: applied.get(migration.id) || null
+  }));
+}
+
+// Apply all pending migrations in order, in a single transaction
+async function migrate(db) {
+  const applied = await appliedMigrations(db);
+  const pending = loadMigrations().filter(migration => !applied.has(migration.id));
+  if (pending.length === 0) {
+    return [];
+  }
+
+  await db.transaction(async (tx) => {
+    for (const migration of pending) {
+      await migration.up(tx);
+      await tx.run('INSERT INTO schema_migrations (id) VALUES (?)', [migration.id]);
+    }
+  });
+  return pending;
+}
+
+// Revert the most recently applied migrations, newest first, in a single transaction
+async function rollback(db, steps = 1) {
+  const applied = await appliedMigrations(db);
+  const targets = loadMigrations()
+    .filter(migration => applied.has(migration.id))
+    .reverse()
+    .slice(0, steps);
+  if (targets.length === 0) {
+    return [];
+  }
+
+  await db.transaction(async (tx) => {
+    for (const migration of targets) {
+      await migration.down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE id = ?', [migration.id]);
+    }
+  });
+  return targets;
+}
+
+module.exports = {
+  status,
+  migrate,
+  rollback
+};
@@ -0,0 +1,178 @@
+// Runtime settings. Each one has a default, can be set in an optional JSON
+// config file (CONFIG_FILE=path/to/config.json, keys as below) and can be
+// overridden by its environment variable. Everything is checked once, at
+// startup: getSettings() throws a ConfigError listing every bad value.
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['json', 'text'];
+const STORAGE_BACKENDS = ['sqlite', 'memory'];
+const SIZE_PATTERN = /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+// Parsers take a value from the environment (always a string) or the config
+// file (any JSON value) and return { value } or { error }
+function integer(min, max) {
+  return (raw) => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return Number.isInteger(value) && value >= min && value <= max
+      ? { value }
+      : { error: `must be an integer from ${min} to ${max}` };
+  };
+}
+
+function oneOf(allowed) {
+  return raw => (allowed.includes(raw) ? { value: raw } : { error: `must be one of: ${allowed.join(', ')}` });
+}
+
+function nonEmptyString(raw) {
+  return typeof raw === 'string' && raw.trim() !== '' ? { value: raw } : { error: 'must be a non-empty string' };
+}
+
+// A byte count or a size such as "100kb" or "1mb", as body-parser takes it
+function size(raw) {
+  if (Number.isInteger(raw) && raw > 0) {
+    return { value: raw };
+  }
+  return typeof raw === 'string' && SIZE_PATTERN.test(raw.trim())
+    ? { value: raw.trim() }
+    : { error: 'must be a size such as 100kb or 1mb' };
+}
+
+// "*" for any origin, or origins such as https://example.com, as a list or
+// a comma-separated string. An empty list allows same-origin requests only.
+function origins(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  const values = list.map(origin => String(origin).trim()).filter(origin => origin !== '');
+  const invalid = values.find((origin) => {
+    if (origin === '*') return false;
+    try {
+      return new URL(origin).origin !== origin;
+    } catch (error) {
+      return true;
+    }
+  });
+  return invalid
+    ? { error: `"${invalid}" is not an origin; use "*" or e.g. https://example.com` }
+    : { value: values };
+}
+
+function boolean(raw) {
+  if (typeof raw === 'boolean') return { value: raw };
+  if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+  return { error: 'must be true or false' };
+}
+
+// What Express's "trust proxy" accepts: true/false, a number of hops, or
+// addresses and subnets such as "loopback, 10.0.0.0/8"
+function trustProxy(raw) {
+  if (typeof raw === 'boolean') return { value: raw };
+  if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+  const hops = integer(0, 100)(raw);
+  if (!hops.error) return hops;
+  return nonEmptyString(raw).error
+    ? { error: 'must be true, false, a number of hops or a list of addresses' }
+    : { value: raw };
+}
+
+const SETTINGS = {
+  port: { env: 'PORT', default: 3000, parse: integer(0, 65535) },
+  // Which todo repository to use (see repositories/todoRepository.js)
+  storage: { env: 'STORAGE', default: 'sqlite', parse: oneOf(STORAGE_BACKENDS) },
+  // ":memory:" keeps the database in the process, e.g. for tests
+  dbPath: { env: 'DB_PATH', default: './todos.db', parse: nonEmptyString },
+  corsOrigins: { env: 'CORS_ORIGINS', default: [], parse: origins },
+  bodyLimit: { env: 'BODY_LIMIT', default: '100kb', parse: size },
+  importBodyLimit: { env: 'IMPORT_BODY_LIMIT', default: '1mb', parse: size },
+  logLevel: { env: 'LOG_LEVEL', default: 'info', parse: oneOf(LOG_LEVELS) },
+  // One JSON object per line for log collectors, or "text" for reading in a terminal
+  logFormat: { env: 'LOG_FORMAT', default: 'json', parse: oneOf(LOG_FORMATS) },
+  trustProxy: { env: 'TRUST_PROXY', default: false, parse: trustProxy },
+  trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', default: 30, parse: integer(1, 3650) },
+  // A failed webhook delivery is retried after webhookRetrySeconds, then twice
+  // as long each time, until webhookMaxAttempts attempts have failed
+  webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', default: 8, parse: integer(1, 20) },
+  webhookRetrySeconds: { env: 'WEBHOOK_RETRY_SECONDS', default: 30, parse: integer(1, 3600) },
+  // Webhooks may not target loopback, private or link-local addresses unless
+  // this is on, e.g. for receivers on the same machine or network
+  webhookAllowPrivate: { env: 'WEBHOOK_ALLOW_PRIVATE', default: false, parse: boolean },
+  // How long a stopping server waits for requests and background jobs to finish
+  shutdownTimeoutSeconds: { env: 'SHUTDOWN_TIMEOUT_SECONDS', default: 10, parse: integer(1, 600) }
+};
+
+function readConfigFile(file) {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+  }
+  if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new ConfigError([`CONFIG_FILE ${file} must contain a JSON object`]);
+  }
+  return contents;
+}
+
+// Build the settings from an environment (process.env by default) and the
+// config file it names, if any
+function loadSettings(env = process.env) {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const fromFile = file ? readConfigFile(file) : {};
+  const problems = Object.keys(fromFile)
+    .filter(key => !SETTINGS[key])
+    .map(key => `${key} (in ${file}): is not a setting; known settings are ${Object.keys(SETTINGS).join(', ')}`);
+
+  const settings = {};
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    let raw = setting.default;
+    let source = null;
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = setting.env;
+    } else if (fromFile[key] !== undefined) {
+      raw = fromFile[key];
+      source = `${key} (in ${file})`;
+    }
+
+    if (source === null) {
+      settings[key] = raw;
+      return;
+    }
+    const parsed = setting.parse(raw);
+    if (parsed.error) {
+      problems.push(`${source}: ${parsed.error}`);
+    } else {
+      settings[key] = parsed.value;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(settings);
+}
+
+let current = null;
+
+// The settings of this process, loaded on first use
+function getSettings() {
+  if (!current) {
+    current = loadSettings();
+  }
+  return current;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  ConfigError,
+  loadSettings,
+  getSettings
+};
@@ -0,0 +1,114 @@
+const database = require('../config/database');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../utils/auth');
+const { ensureDefaultList } = require('../services/lists');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+
+const SESSION_DAYS = 30;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Start a session for the user and return the plain bearer token
+async function createSession(userId) {
+  const token = generateToken();
+  await database.run(
+    `INSERT INTO sessions (user_id, token_hash, expires_at)
+     VALUES (?, ?, datetime('now', ?))`,
+    [userId, hashToken(token), `+${SESSION_DAYS} days`]
+  );
+  return token;
+}
+
+class AuthController {
+  // Register a new account and log it in
+  async register(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      // Validation
+      if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        res.status(400).json({
+          error: 'Username must be 3-32 characters of letters, numbers, ".", "_" or "-"'
+        });
+        return;
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        res.status(400).json({
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+        return;
+      }
+
+      const passwordHash = await hashPassword(password);
+      const lastID = await database.transaction(async (tx) => {
+        const { userCount } = await tx.get('SELECT COUNT(*) AS userCount FROM users');
+        const user = await tx.run(
+          'INSERT INTO users (username, password_hash) VALUES (?, ?)',
+          [username, passwordHash]
+        );
+        const listId = await ensureDefaultList(tx, user.lastID);
+
+        // The first account adopts todos created before accounts existed
+        if (userCount === 0) {
+          await tx.run(
+            'UPDATE todos SET user_id = ?, list_id = ? WHERE user_id IS NULL',
+            [user.lastID, listId]
+          );
+        }
+        return user.lastID;
+      });
+
+      const token = await createSession(lastID);
+      respond(req, res, { user: { id: lastID, username }, token }, { status: 201 });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        res.status(409).json({ error: 'Username is already taken' });
+        return;
+      }
+      internalError(req, res, error);
+    }
+  }
+
+  // Exchange a username and password for a bearer token
+  async login(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        res.status(400).json({ error: 'Username and password are required' });
+        return;
+      }
+
+      const user = await database.get(
+        'SELECT id, username, password_hash FROM users WHERE username = ?',
+        [username]
+      );
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        res.status(401).json({ error: 'Invalid username or password' });
+        return;
+      }
+
+      const token = await createSession(user.id);
+      respond(req, res, { user: { id: user.id, username: user.username }, token });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // End the session belonging to the current token
+  async logout(req, res) {
+    try {
+      await database.run('DELETE FROM sessions WHERE token_hash = ?', [hashToken(req.token)]);
+      respond(req, res, null, { message: 'Logged out successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get the current user
+  async me(req, res) {
+    respond(req, res, req.user, { legacy: { user: req.user } });
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,243 @@
+const database = require('../config/database');
+const { validateItemTitle, syncParentCompletion } = require('../services/checklists');
+const { loadTodo } = require('../services/todos');
+const { snapshotTodo } = require('../services/history');
+const { recordUpdate } = require('../services/todoChanges');
+const { deliverSoon } = require('../services/webhooks');
+const events = require('../services/events');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+
+// Get the todo an item route refers to, if it belongs to the user
+function findTodo(db, userId, todoId) {
+  return db.get(
+    'SELECT id FROM todos WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [todoId, userId]
+  );
+}
+
+// Keep the parent's completion in step with its checklist (see
+// syncParentCompletion). Completing or reopening it is recorded like any
+// other update, and may create the next occurrence of a recurring todo.
+// Returns { parent, nextId }.
+async function syncParent(tx, userId, todoId) {
+  const before = await snapshotTodo(tx, todoId);
+  const parent = await syncParentCompletion(tx, todoId);
+  if (parent.completed === Boolean(before.completed)) {
+    return { parent, nextId: null };
+  }
+  const { nextId } = await recordUpdate(tx, userId, todoId, before);
+  return { parent, nextId };
+}
+
+// Checklist changes alter the parent's progress (and maybe completion, which
+// may have created the next occurrence and queued webhook deliveries)
+async function publishTodoUpdate(userId, todoId, nextId) {
+  events.publish(userId, 'todo.updated', await loadTodo(database, userId, todoId));
+  if (nextId) {
+    events.publish(userId, 'todo.created', await loadTodo(database, userId, nextId));
+  }
+  deliverSoon();
+}
+
+class ChecklistController {
+  // Get a todo's checklist items in order
+  async getItems(req, res) {
+    try {
+      const todo = await findTodo(database, req.user.id, req.params.id);
+      if (!todo) {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
+      }
+
+      const items = await database.all(
+        'SELECT * FROM checklist_items WHERE todo_id = ? ORDER BY position, id',
+        [todo.id]
+      );
+      respond(req, res, items);
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Add an item to the end of a todo's checklist
+  async createItem(req, res) {
+    try {
+      const { title } = req.body;
+
+      // Validation
+      const error = validateItemTitle(title);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const result = await database.transaction(async (tx) => {
+        const todo = await findTodo(tx, req.user.id, req.params.id);
+        if (!todo) {
+          return null;
+        }
+
+        const { lastID } = await tx.run(
+          `INSERT INTO checklist_items (todo_id, title, position)
+           SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM checklist_items WHERE todo_id = ?`,
+          [todo.id, title.trim(), todo.id]
+        );
+        const item = await tx.get('SELECT * FROM checklist_items WHERE id = ?', [lastID]);
+        const { parent, nextId } = await syncParent(tx, req.user.id, todo.id);
+        return { item, parent, nextId };
+      });
+
+      if (!result) {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
+      }
+
+      await publishTodoUpdate(req.user.id, result.item.todo_id, result.nextId);
+      respond(req, res, result.item, {
+        status: 201,
+        message: 'Item created successfully',
+        meta: { todo: { id: result.item.todo_id, ...result.parent } }
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Rename or toggle an item
+  async updateItem(req, res) {
+    try {
+      const { title, completed } = req.body;
+
+      let updateFields = [];
+      let values = [];
+
+      if (title !== undefined) {
+        const error = validateItemTitle(title);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        updateFields.push('title = ?');
+        values.push(title.trim());
+      }
+
+      if (completed !== undefined) {
+        updateFields.push('completed = ?');
+        values.push(completed ? 1 : 0);
+      }
+
+      if (updateFields.length === 0) {
+        res.status(400).json({ error: 'No fields to update' });
+        return;
+      }
+
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+
+      const result = await database.transaction(async (tx) => {
+        const todo = await findTodo(tx, req.user.id, req.params.id);
+        if (!todo) {
+          return null;
+        }
+
+        const { changes } = await tx.run(
+          `UPDATE checklist_items SET ${updateFields.join(', ')} WHERE id = ? AND todo_id = ?`,
+          [...values, req.params.itemId, todo.id]
+        );
+        if (changes === 0) {
+          return null;
+        }
+        const item = await tx.get('SELECT * FROM checklist_items WHERE id = ?', [req.params.itemId]);
+        const { parent, nextId } = await syncParent(tx, req.user.id, todo.id);
+        return { item, parent, nextId };
+      });
+
+      if (!result) {
+        res.status(404).json({ error: 'Item not found' });
+        return;
+      }
+
+      await publishTodoUpdate(req.user.id, result.item.todo_id, result.nextId);
+      respond(req, res, result.item, {
+        message: 'Item updated successfully',
+        meta: { todo: { id: result.item.todo_id, ...result.parent } }
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Set the checklist order. The body lists every item id in the new order.
+  async reorderItems(req, res) {
+    try {
+      const { ids } = req.body;
+
+      if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+        res.status(400).json({ error: 'ids must be an array of item ids' });
+        return;
+      }
+
+      const result = await database.transaction(async (tx) => {
+        const todo = await findTodo(tx, req.user.id, req.params.id);
+        if (!todo) {
+          return { status: 404, error: 'Todo not found' };
+        }
+
+        const existing = await tx.all('SELECT id FROM checklist_items WHERE todo_id = ?', [todo.id]);
+        const existingIds = new Set(existing.map(item => item.id));
+        if (ids.length !== existingIds.size || new Set(ids).size !== ids.length ||
+            !ids.every(id => existingIds.has(id))) {
+          return { status: 400, error: "ids must contain each of the todo's items exactly once" };
+        }
+
+        for (const [position, id] of ids.entries()) {
+          await tx.run('UPDATE checklist_items SET position = ? WHERE id = ?', [position, id]);
+        }
+        return {
+          items: await tx.all('SELECT * FROM checklist_items WHERE todo_id = ? ORDER BY position', [todo.id])
+        };
+      });
+
+      if (result.error) {
+        res.status(result.status).json({ error: result.error });
+        return;
+      }
+      respond(req, res, result.items);
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Delete an item
+  async deleteItem(req, res) {
+    try {
+      const result = await database.transaction(async (tx) => {
+        const todo = await findTodo(tx, req.user.id, req.params.id);
+        if (!todo) {
+          return null;
+        }
+
+        const { changes } = await tx.run(
+          'DELETE FROM checklist_items WHERE id = ? AND todo_id = ?',
+          [req.params.itemId, todo.id]
+        );
+        return changes === 0 ? null : syncParent(tx, req.user.id, todo.id);
+      });
+
+      if (!result) {
+        res.status(404).json({ error: 'Item not found' });
+        return;
+      }
+
+      await publishTodoUpdate(req.user.id, req.params.id, result.nextId);
+      respond(req, res, null, {
+        message: 'Item deleted successfully',
+        meta: { todo: { id: Number(req.params.id), ...result.parent } }
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+}
+
+module.exports = new ChecklistController();
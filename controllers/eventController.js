@@ -0,0 +1,65 @@
+const events = require('../services/events');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+// Open streams, so they can be ended when the server shuts down
+const streams = new Set();
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+class EventController {
+  // Stream the user's todo changes as Server-Sent Events. A reconnecting client
+  // sends Last-Event-ID (or ?lastEventId=) and first receives what it missed,
+  // or a "resync" event when that history is no longer available.
+  async stream(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const userId = req.user.id;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    // Replaying and subscribing happen synchronously, so no event can slip in between
+    if (lastEventId !== undefined) {
+      const missed = events.since(userId, Number(lastEventId));
+      if (missed === null) {
+        res.write(`id: ${events.lastId}\nevent: resync\ndata: {}\n\n`);
+      } else {
+        missed.forEach(event => writeEvent(res, event));
+      }
+    } else {
+      // Tell a fresh client where the stream starts
+      res.write(`id: ${events.lastId}\nevent: ready\ndata: {}\n\n`);
+    }
+
+    const unsubscribe = events.subscribe((event) => {
+      if (event.userId === userId) {
+        writeEvent(res, event);
+      }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    streams.add(res);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(res);
+    });
+  }
+
+  // End every open stream. Streams never finish on their own, so a stopping
+  // server ends them; clients reconnect after the retry delay.
+  closeStreams() {
+    streams.forEach(res => res.end());
+  }
+}
+
+module.exports = new EventController();
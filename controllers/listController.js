@@ -0,0 +1,230 @@
+const database = require('../config/database');
+const { todoRepository } = require('../repositories/todoRepository');
+const { validateListName, ensureDefaultList, findList } = require('../services/lists');
+const { snapshotTodo, recordChange } = require('../services/history');
+const { queueDeliveries, deliverSoon } = require('../services/webhooks');
+const events = require('../services/events');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+
+const DELETE_MODES = ['move', 'cascade'];
+
+// Add the todo counts the sidebar shows for each list
+function withCounts({ total, completed, ...list }) {
+  return {
+    ...list,
+    counts: { total, completed, pending: total - completed }
+  };
+}
+
+// A list with its todo counts, or undefined if the user has no such list
+async function loadList(userId, listId) {
+  const list = await database.get(
+    `SELECT lists.*, COUNT(todos.id) AS total, COALESCE(SUM(todos.completed), 0) AS completed
+     FROM lists LEFT JOIN todos ON todos.list_id = lists.id AND todos.deleted_at IS NULL
+     WHERE lists.id = ? AND lists.user_id = ?
+     GROUP BY lists.id`,
+    [listId, userId]
+  );
+  return list && withCounts(list);
+}
+
+class ListController {
+  // Get the user's lists, default list first, each with its todo counts
+  async getAllLists(req, res) {
+    try {
+      await ensureDefaultList(database, req.user.id);
+      const lists = await database.all(
+        `SELECT lists.*, COUNT(todos.id) AS total, COALESCE(SUM(todos.completed), 0) AS completed
+         FROM lists LEFT JOIN todos ON todos.list_id = lists.id AND todos.deleted_at IS NULL
+         WHERE lists.user_id = ?
+         GROUP BY lists.id
+         ORDER BY lists.is_default DESC, lists.name COLLATE NOCASE, lists.id`,
+        [req.user.id]
+      );
+      respond(req, res, lists.map(withCounts));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get a single list by id, with its todo counts
+  async getListById(req, res) {
+    try {
+      const list = await loadList(req.user.id, req.params.listId);
+      if (!list) {
+        res.status(404).json({ error: 'List not found' });
+        return;
+      }
+      respond(req, res, list);
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Create a new list
+  async createList(req, res) {
+    try {
+      const { name } = req.body;
+
+      // Validation
+      const error = validateListName(name);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const { lastID } = await database.run(
+        'INSERT INTO lists (user_id, name) VALUES (?, ?)',
+        [req.user.id, name.trim()]
+      );
+      events.publish(req.user.id, 'list.created', { id: lastID, name: name.trim() });
+      respond(req, res, {
+        id: lastID,
+        name: name.trim(),
+        is_default: false,
+        counts: { total: 0, completed: 0, pending: 0 }
+      }, { status: 201, message: 'List created successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Rename a list
+  async updateList(req, res) {
+    try {
+      const { name } = req.body;
+
+      const error = validateListName(name);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const { changes } = await database.run(
+        'UPDATE lists SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+        [name.trim(), req.params.listId, req.user.id]
+      );
+      if (changes === 0) {
+        res.status(404).json({ error: 'List not found' });
+        return;
+      }
+
+      events.publish(req.user.id, 'list.updated', { id: Number(req.params.listId), name: name.trim() });
+      respond(req, res, await loadList(req.user.id, req.params.listId), { message: 'List updated successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Delete a list. Its todos move to ?target= (default: the user's default list)
+  // unless ?mode=cascade, which moves them to the trash. Todos already in the
+  // trash move too (to the default list with cascade), so they can still be
+  // restored.
+  async deleteList(req, res) {
+    try {
+      const { listId } = req.params;
+      const mode = req.query.mode || 'move';
+
+      if (!DELETE_MODES.includes(mode)) {
+        res.status(400).json({ error: `mode must be one of: ${DELETE_MODES.join(', ')}` });
+        return;
+      }
+
+      const list = await findList(database, req.user.id, listId);
+      if (!list) {
+        res.status(404).json({ error: 'List not found' });
+        return;
+      }
+      if (list.is_default) {
+        res.status(400).json({ error: 'The default list cannot be deleted' });
+        return;
+      }
+
+      let targetId = null;
+      const defaultListId = await ensureDefaultList(database, req.user.id);
+      if (mode === 'move') {
+        if (req.query.target !== undefined) {
+          const target = await findList(database, req.user.id, req.query.target);
+          if (!target || target.id === list.id) {
+            res.status(400).json({ error: 'target must be another of your lists' });
+            return;
+          }
+          targetId = target.id;
+        } else {
+          targetId = defaultListId;
+        }
+      }
+
+      const affected = await todoRepository.transaction(async (repo) => {
+        const rows = await repo.db.all(
+          'SELECT id FROM todos WHERE list_id = ? AND deleted_at IS NULL ORDER BY id',
+          [list.id]
+        );
+        const ids = rows.map(row => row.id);
+        if (targetId) {
+          // Move the todos the way a bulk move would, so each gets a history
+          // entry and a todo.updated delivery
+          const before = new Map();
+          for (const id of ids) {
+            before.set(id, await snapshotTodo(repo.db, id));
+          }
+          if (ids.length > 0) {
+            await repo.updateMany(req.user.id, ids, { list_id: targetId });
+          }
+          for (const id of ids) {
+            await recordChange(repo.db, {
+              todoId: id,
+              userId: req.user.id,
+              action: 'updated',
+              before: before.get(id),
+              after: await snapshotTodo(repo.db, id)
+            });
+            await queueDeliveries(repo.db, req.user.id, 'todo.updated', () => repo.get(req.user.id, id));
+          }
+        } else {
+          // Trash the todos the way deleting them one by one would
+          if (ids.length > 0) {
+            await repo.delete(req.user.id, ids);
+          }
+          for (const id of ids) {
+            const snapshot = await snapshotTodo(repo.db, id);
+            await recordChange(repo.db, {
+              todoId: id,
+              userId: req.user.id,
+              action: 'deleted',
+              before: snapshot,
+              after: snapshot
+            });
+            await queueDeliveries(
+              repo.db,
+              req.user.id,
+              'todo.deleted',
+              () => repo.get(req.user.id, id, { includeTrashed: true })
+            );
+          }
+        }
+        // Todos already in the trash go along too. Otherwise the ON DELETE
+        // CASCADE on todos.list_id would remove them for good.
+        await repo.db.run('UPDATE todos SET list_id = ? WHERE list_id = ?', [targetId || defaultListId, list.id]);
+        await repo.db.run('DELETE FROM lists WHERE id = ?', [list.id]);
+        return targetId ? { moved: ids, deleted: [] } : { moved: [], deleted: ids };
+      });
+
+      (await todoRepository.getMany(req.user.id, affected.moved))
+        .forEach(todo => events.publish(req.user.id, 'todo.updated', todo));
+      affected.deleted.forEach(id => events.publish(req.user.id, 'todo.deleted', { id }));
+      events.publish(req.user.id, 'list.deleted', { id: list.id, target_list_id: targetId });
+      deliverSoon();
+      respond(req, res, {
+        movedTodos: affected.moved.length,
+        deletedTodos: affected.deleted.length,
+        targetListId: targetId
+      }, { message: 'List deleted successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+}
+
+module.exports = new ListController();
@@ -0,0 +1,158 @@
+const database = require('../config/database');
+const { validateTagName, validateTagColor } = require('../services/tags');
+const events = require('../services/events');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+
+class TagController {
+  // Get the user's tags with how many todos use each. ?q= matches a name prefix.
+  async getAllTags(req, res) {
+    try {
+      const where = ['tags.user_id = ?'];
+      const params = [req.user.id];
+
+      if (req.query.q !== undefined && String(req.query.q).trim() !== '') {
+        where.push("tags.name LIKE ? ESCAPE '\\'");
+        params.push(`${String(req.query.q).trim().replace(/[\\%_]/g, '\\$&')}%`);
+      }
+
+      const tags = await database.all(
+        `SELECT tags.*, COUNT(todos.id) AS todo_count
+         FROM tags
+         LEFT JOIN todo_tags ON todo_tags.tag_id = tags.id
+         LEFT JOIN todos ON todos.id = todo_tags.todo_id AND todos.deleted_at IS NULL
+         WHERE ${where.join(' AND ')}
+         GROUP BY tags.id
+         ORDER BY tags.name`,
+        params
+      );
+      respond(req, res, tags);
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get a single tag by id
+  async getTagById(req, res) {
+    try {
+      const tag = await database.get(
+        'SELECT * FROM tags WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (!tag) {
+        res.status(404).json({ error: 'Tag not found' });
+        return;
+      }
+      respond(req, res, tag);
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Create a new tag
+  async createTag(req, res) {
+    try {
+      const { name, color } = req.body;
+
+      // Validation
+      const error = validateTagName(name) || validateTagColor(color);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const { lastID } = await database.run(
+        'INSERT INTO tags (user_id, name, color) VALUES (?, ?, ?)',
+        [req.user.id, name.trim(), color || null]
+      );
+      respond(req, res, {
+        id: lastID,
+        name: name.trim(),
+        color: color || null
+      }, { status: 201, message: 'Tag created successfully' });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        res.status(409).json({ error: 'A tag with that name already exists' });
+        return;
+      }
+      internalError(req, res, error);
+    }
+  }
+
+  // Rename or recolor a tag
+  async updateTag(req, res) {
+    try {
+      const { name, color } = req.body;
+
+      let updateFields = [];
+      let values = [];
+
+      if (name !== undefined) {
+        const error = validateTagName(name);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        updateFields.push('name = ?');
+        values.push(name.trim());
+      }
+
+      if (color !== undefined) {
+        const error = validateTagColor(color);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        updateFields.push('color = ?');
+        values.push(color);
+      }
+
+      if (updateFields.length === 0) {
+        res.status(400).json({ error: 'No fields to update' });
+        return;
+      }
+
+      values.push(req.params.id, req.user.id);
+      const { changes } = await database.run(
+        `UPDATE tags SET ${updateFields.join(', ')} WHERE id = ? AND user_id = ?`,
+        values
+      );
+      if (changes === 0) {
+        res.status(404).json({ error: 'Tag not found' });
+        return;
+      }
+
+      // Todos embed their tags, so clients need to know about renames
+      events.publish(req.user.id, 'tag.updated', { id: Number(req.params.id) });
+      const tag = await database.get('SELECT * FROM tags WHERE id = ?', [req.params.id]);
+      respond(req, res, tag, { message: 'Tag updated successfully' });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        res.status(409).json({ error: 'A tag with that name already exists' });
+        return;
+      }
+      internalError(req, res, error);
+    }
+  }
+
+  // Delete a tag; it is removed from every todo that had it
+  async deleteTag(req, res) {
+    try {
+      const { changes } = await database.run(
+        'DELETE FROM tags WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (changes === 0) {
+        res.status(404).json({ error: 'Tag not found' });
+        return;
+      }
+
+      events.publish(req.user.id, 'tag.deleted', { id: Number(req.params.id) });
+      respond(req, res, null, { message: 'Tag deleted successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+}
+
+module.exports = new TagController();
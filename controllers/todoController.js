@@ -1,20 +1,209 @@
 const database = require('../config/database');
+const { todoRepository } = require('../repositories/todoRepository');
+const { MAX_TAGS_PER_TODO, parseTagNames } = require('../services/tags');
+const { ensureDefaultList, findList } = require('../services/lists');
+const { syncParentCompletion } = require('../services/checklists');
+const { parseListQuery, parseTodoChanges, validateNewTodo } = require('../services/todos');
+const { purgeDate } = require('../services/trash');
+const { snapshotTodo, recordChange, getHistory, getHistoryEntry } = require('../services/history');
+const {
+  startSeries,
+  changeRule,
+  endSeries,
+  applyToFuture,
+  advanceSeries
+} = require('../services/recurrence');
+const { parseRecurrence } = require('../utils/rrule');
+const { todoEtag, listEtag, ifMatches } = require('../utils/etag');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+const events = require('../services/events');
+const { changeEvent, queueDeliveries, deliverSoon } = require('../services/webhooks');
+
+const BULK_ACTIONS = ['complete', 'uncomplete', 'delete', 'retag', 'move'];
+const BULK_FILTER_KEYS = ['completed', 'q', 'list_id', 'tag', 'due', 'tz'];
+const MAX_BULK_TODOS = 500;
+// Whether an edit to a recurring todo applies to this occurrence only or to the series from here on
+const SERIES_SCOPES = ['this', 'future'];
+
+// Thrown inside a bulk transaction to roll it back and answer with a 400
+class BulkActionError extends Error {}
+
+// Answer a stale If-Match with the current server copy, so the client can
+// show what changed and retry against the new version. The todo may have been
+// deleted since the check, and then there is nothing to retry against.
+async function sendConflict(res, userId, id) {
+  const todo = await todoRepository.get(userId, id);
+  if (!todo) {
+    res.status(404).json({ error: 'Todo not found' });
+    return;
+  }
+  res.status(412).set('ETag', todoEtag(todo)).json({
+    error: 'This todo was changed by someone else',
+    todo
+  });
+}
+
+// Resolve the list a new or moved todo goes into: the requested list, or the
+// user's default list when none was given. Returns null if the requested list
+// doesn't belong to the user.
+async function resolveListId(db, userId, requested) {
+  if (requested === undefined || requested === null) {
+    return ensureDefaultList(db, userId);
+  }
+  const list = await findList(db, userId, requested);
+  return list ? list.id : null;
+}
+
+// Validate the actions of a bulk request. Returns { error } or { actions }
+// with tag names validated and list ids checked against the user's lists.
+async function parseBulkActions(userId, actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return { error: 'actions must be a non-empty array' };
+  }
+
+  const parsed = [];
+  for (const [index, action] of actions.entries()) {
+    const type = action && action.type;
+    if (!BULK_ACTIONS.includes(type)) {
+      return { error: `actions[${index}].type must be one of: ${BULK_ACTIONS.join(', ')}` };
+    }
+
+    if (type === 'delete' && index !== actions.length - 1) {
+      return { error: 'delete must be the last action' };
+    }
+
+    if (type === 'retag') {
+      const add = action.add === undefined ? { names: [] } : parseTagNames(action.add);
+      const remove = action.remove === undefined ? { names: [] } : parseTagNames(action.remove);
+      const error = add.error || remove.error;
+      if (error) {
+        return { error: `actions[${index}]: ${error}` };
+      }
+      if (add.names.length === 0 && remove.names.length === 0) {
+        return { error: `actions[${index}]: retag needs tags to add or remove` };
+      }
+      parsed.push({ type, add: add.names, remove: remove.names });
+    } else if (type === 'move') {
+      const list = action.list_id === undefined || action.list_id === null
+        ? null
+        : await findList(database, userId, action.list_id);
+      if (!list) {
+        return { error: `actions[${index}].list_id must be one of your lists` };
+      }
+      parsed.push({ type, listId: list.id });
+    } else {
+      parsed.push({ type });
+    }
+  }
+  return { actions: parsed };
+}
+
+// Work out which todos a bulk request targets: explicit `ids`, or a `filter`
+// with the same fields as the GET /api/todos query string. Returns { error },
+// { ids } or { filter }.
+function parseBulkTargets(body) {
+  if (body.ids !== undefined && body.filter !== undefined) {
+    return { error: 'Send either ids or filter, not both' };
+  }
+
+  if (body.ids !== undefined) {
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids)] : [];
+    if (ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+      return { error: 'ids must be a non-empty array of todo ids' };
+    }
+    if (ids.length > MAX_BULK_TODOS) {
+      return { error: `At most ${MAX_BULK_TODOS} todos can be changed at once` };
+    }
+    return { ids };
+  }
+
+  const { filter } = body;
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'Send ids or a filter object' };
+  }
+  const unknown = Object.keys(filter).find(key => !BULK_FILTER_KEYS.includes(key));
+  if (unknown) {
+    return { error: `filter may only contain: ${BULK_FILTER_KEYS.join(', ')}` };
+  }
+
+  // Accept JSON values (true, 3, ["a"]) for what the query string sends as text
+  const query = {};
+  Object.entries(filter).forEach(([key, value]) => {
+    query[key] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+  const parsed = parseListQuery(query);
+  return parsed.error ? { error: `filter: ${parsed.error}` } : { filter: parsed.filter };
+}
+
+// Apply one parsed bulk action to the given todos inside a transaction
+async function applyBulkAction(repo, userId, action, ids) {
+  if (action.type === 'complete' || action.type === 'uncomplete') {
+    await repo.updateMany(userId, ids, { completed: action.type === 'complete' });
+  } else if (action.type === 'move') {
+    await repo.updateMany(userId, ids, { list_id: action.listId });
+  } else if (action.type === 'delete') {
+    await repo.delete(userId, ids);
+  } else {
+    const crowded = await repo.retag(userId, ids, { add: action.add, remove: action.remove });
+    if (crowded) {
+      throw new BulkActionError(`Todo ${crowded} would have more than ${MAX_TAGS_PER_TODO} tags`);
+    }
+  }
+}
+
+// Build a link to another page of the current listing, keeping the other query params
+function pageLink(req, offset) {
+  const params = new URLSearchParams(req.query);
+  params.set('offset', offset);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+}
 
 class TodoController {
-  // Get all todos
+  // Get todos, with optional filtering, search, sorting and pagination
+  //   ?completed=true|false  ?q=text  ?sort=column&order=asc|desc  ?limit=20&offset=0
+  // Also serves GET /api/lists/:listId/todos, which scopes the results to one list.
   async getAllTodos(req, res) {
     try {
-      const db = database.getConnection();
-      
-      db.all('SELECT * FROM todos ORDER BY created_at DESC', [], (err, rows) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        res.json(rows);
-      });
+      const listId = req.params.listId !== undefined ? req.params.listId : req.query.list_id;
+      const { error, filter } = parseListQuery({ ...req.query, list_id: listId });
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      if (filter.listId !== null && !(await findList(database, req.user.id, filter.listId))) {
+        res.status(404).json({ error: 'List not found' });
+        return;
+      }
+
+      // Status counts ignore ?completed and ?due so the stats bar can show every bucket
+      const { todos, total, counts } = await todoRepository.list(req.user.id, filter);
+
+      const nextOffset = filter.offset + todos.length;
+      const meta = {
+        pagination: {
+          total,
+          limit: filter.limit,
+          offset: filter.offset,
+          next: filter.limit > 0 && nextOffset < total ? pageLink(req, nextOffset) : null,
+          prev: filter.offset > 0 ? pageLink(req, Math.max(filter.offset - filter.limit, 0)) : null
+        },
+        counts
+      };
+      // Lets clients revalidate with If-None-Match; each todo's own ETag is its version
+      res.set('ETag', listEtag({ todos, ...meta }));
+      respond(req, res, todos, { meta, legacy: { todos, ...meta } });
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      internalError(req, res, error);
+    }
+  }
+
+  // Get open todos the scheduler has flagged as overdue, most overdue first
+  async getOverdueTodos(req, res) {
+    try {
+      respond(req, res, await todoRepository.overdue(req.user.id));
+    } catch (error) {
+      internalError(req, res, error);
     }
   }
 
@@ -22,133 +211,505 @@ class TodoController {
   async getTodoById(req, res) {
     try {
       const { id } = req.params;
-      const db = database.getConnection();
-      
-      db.get('SELECT * FROM todos WHERE id = ?', [id], (err, row) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        if (!row) {
-          res.status(404).json({ error: 'Todo not found' });
-          return;
-        }
-        res.json(row);
-      });
+      const row = await todoRepository.get(req.user.id, id);
+      if (!row) {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
+      }
+      res.set('ETag', todoEtag(row));
+      respond(req, res, row);
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      internalError(req, res, error);
     }
   }
 
-  // Create a new todo
+  // Create a new todo. Also serves POST /api/lists/:listId/todos.
   async createTodo(req, res) {
     try {
-      const { title, description } = req.body;
-      
-      // Validation
-      if (!title || title.trim() === '') {
-        res.status(400).json({ error: 'Title is required' });
-        return;
-      }
-
-      const db = database.getConnection();
-      
-      db.run(
-        'INSERT INTO todos (title, description) VALUES (?, ?)',
-        [title.trim(), description ? description.trim() : ''],
-        function(err) {
-          if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          res.status(201).json({
-            id: this.lastID,
-            title: title.trim(),
-            description: description ? description.trim() : '',
-            completed: false,
-            message: 'Todo created successfully'
-          });
+      const input = validateNewTodo(req.body);
+      if (input.error) {
+        res.status(400).json({ error: input.error });
+        return;
+      }
+
+      let recurrence = null;
+      if (req.body.recurrence !== undefined && req.body.recurrence !== null) {
+        recurrence = parseRecurrence(req.body.recurrence);
+        if (recurrence.error) {
+          res.status(400).json({ error: recurrence.error });
+          return;
+        }
+        if (!input.values.due_at) {
+          res.status(400).json({ error: 'A recurring todo needs a due_at' });
+          return;
         }
+      }
+
+      const fromPath = req.params.listId !== undefined;
+      const listId = await resolveListId(
+        database,
+        req.user.id,
+        fromPath ? req.params.listId : req.body.list_id
       );
+      if (!listId) {
+        res.status(fromPath ? 404 : 400).json({
+          error: fromPath ? 'List not found' : 'list_id must be one of your lists'
+        });
+        return;
+      }
+
+      const todo = await todoRepository.transaction(async (repo) => {
+        const created = await repo.create(req.user.id, listId, input.values);
+        await recordChange(repo.db, {
+          todoId: created.id,
+          userId: req.user.id,
+          action: 'created',
+          before: null,
+          after: await snapshotTodo(repo.db, created.id)
+        });
+        let saved = created;
+        if (recurrence) {
+          await startSeries(repo.db, req.user.id, created.id, recurrence.rule);
+          saved = await repo.get(req.user.id, created.id);
+        }
+        await queueDeliveries(repo.db, req.user.id, 'todo.created', saved);
+        return saved;
+      });
+
+      events.publish(req.user.id, 'todo.created', todo);
+      deliverSoon();
+      res.set('ETag', todoEtag(todo));
+      respond(req, res, todo, { status: 201, message: 'Todo created successfully' });
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      internalError(req, res, error);
     }
   }
 
-  // Update a todo
+  // Update a todo. With If-Match, only if it is still at that version.
   async updateTodo(req, res) {
     try {
       const { id } = req.params;
-      const { title, description, completed } = req.body;
-      
-      let updateFields = [];
-      let values = [];
-      
-      if (title !== undefined) {
-        if (!title || title.trim() === '') {
-          res.status(400).json({ error: 'Title cannot be empty' });
+      const { error, changes } = await parseTodoChanges(database, req.user.id, req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const scope = req.body.scope === undefined ? 'this' : req.body.scope;
+      if (!SERIES_SCOPES.includes(scope)) {
+        res.status(400).json({ error: `scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+        return;
+      }
+
+      // recurrence: null stops the series; a rule starts one or replaces its rule
+      let recurrence;
+      if (req.body.recurrence !== undefined) {
+        recurrence = req.body.recurrence === null ? null : parseRecurrence(req.body.recurrence);
+        if (recurrence && recurrence.error) {
+          res.status(400).json({ error: recurrence.error });
           return;
         }
-        updateFields.push('title = ?');
-        values.push(title.trim());
+        if (recurrence) {
+          const current = await todoRepository.get(req.user.id, id);
+          const dueAt = changes.due_at !== undefined ? changes.due_at : current && current.due_at;
+          if (current && !dueAt) {
+            res.status(400).json({ error: 'A recurring todo needs a due_at' });
+            return;
+          }
+        }
       }
-      
-      if (description !== undefined) {
-        updateFields.push('description = ?');
-        values.push(description ? description.trim() : '');
+
+      if (Object.keys(changes).length === 0 && recurrence === undefined) {
+        res.status(400).json({ error: 'No fields to update' });
+        return;
       }
-      
-      if (completed !== undefined) {
-        updateFields.push('completed = ?');
-        values.push(completed ? 1 : 0);
+
+      const outcome = await todoRepository.transaction(async (repo) => {
+        const current = await repo.get(req.user.id, id);
+        if (!current) {
+          return null;
+        }
+        if (!ifMatches(req.get('If-Match'), current)) {
+          return { conflict: true };
+        }
+        const before = await snapshotTodo(repo.db, id);
+        await repo.update(req.user.id, id, changes);
+        if (changes.auto_complete) {
+          // Turning auto-complete on may complete a todo whose items are all done
+          await syncParentCompletion(repo.db, id);
+        }
+        const after = await snapshotTodo(repo.db, id);
+        await recordChange(repo.db, { todoId: id, userId: req.user.id, action: 'updated', before, after });
+
+        let seriesId = current.series_id;
+        if (recurrence === null && seriesId) {
+          await endSeries(repo.db, seriesId);
+        } else if (recurrence && seriesId) {
+          await changeRule(repo.db, seriesId, id, recurrence.rule);
+        } else if (recurrence) {
+          seriesId = await startSeries(repo.db, req.user.id, id, recurrence.rule);
+        }
+
+        // Changing the rule always affects the rest of the series
+        const updatedIds = seriesId && (scope === 'future' || recurrence)
+          ? await applyToFuture(repo.db, req.user.id, id, before, after)
+          : [];
+        // Completing an occurrence schedules the next one
+        const nextId = !before.completed && after.completed ? await advanceSeries(repo.db, req.user.id, id) : null;
+
+        const todo = await repo.get(req.user.id, id);
+        await queueDeliveries(repo.db, req.user.id, changeEvent(before, after), todo);
+        for (const otherId of updatedIds) {
+          await queueDeliveries(repo.db, req.user.id, 'todo.updated', () => repo.get(req.user.id, otherId));
+        }
+        if (nextId) {
+          await queueDeliveries(repo.db, req.user.id, 'todo.created', () => repo.get(req.user.id, nextId));
+        }
+        return { todo, updatedIds, nextId };
+      });
+      if (!outcome) {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
       }
-      
-      if (updateFields.length === 0) {
-        res.status(400).json({ error: 'No fields to update' });
+      if (outcome.conflict) {
+        await sendConflict(res, req.user.id, id);
         return;
       }
-      
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      values.push(id);
-      
-      const sql = `UPDATE todos SET ${updateFields.join(', ')} WHERE id = ?`;
-      const db = database.getConnection();
-      
-      db.run(sql, values, function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
+
+      const { todo } = outcome;
+      events.publish(req.user.id, 'todo.updated', todo);
+      (await todoRepository.getMany(req.user.id, outcome.updatedIds))
+        .forEach(other => events.publish(req.user.id, 'todo.updated', other));
+      if (outcome.nextId) {
+        events.publish(req.user.id, 'todo.created', await todoRepository.get(req.user.id, outcome.nextId));
+      }
+      deliverSoon();
+      res.set('ETag', todoEtag(todo));
+      respond(req, res, todo, {
+        message: 'Todo updated successfully',
+        meta: { next_todo_id: outcome.nextId }
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Move a todo in the manual order (?sort=position&order=asc)
+  //   { "id": 3, "after": 5 } | { "id": 3, "before": 5 }, with null for the top or bottom
+  async reorderTodo(req, res) {
+    try {
+      const { id, after, before } = req.body;
+      if ((after === undefined) === (before === undefined)) {
+        res.status(400).json({ error: 'Send either after or before' });
+        return;
+      }
+      const side = after !== undefined ? 'after' : 'before';
+      const neighbour = req.body[side];
+      if (neighbour === id) {
+        res.status(400).json({ error: 'A todo cannot be moved next to itself' });
+        return;
+      }
+
+      const outcome = await todoRepository.transaction(async (repo) => {
+        if (!(await repo.get(req.user.id, id))) {
+          return { status: 404, error: 'Todo not found' };
         }
-        if (this.changes === 0) {
-          res.status(404).json({ error: 'Todo not found' });
+        if (neighbour !== null && !(await repo.get(req.user.id, neighbour))) {
+          return { status: 400, error: `${side} must be one of your todos` };
+        }
+        const todo = await repo.move(req.user.id, id, { after, before });
+        await queueDeliveries(repo.db, req.user.id, 'todo.updated', todo);
+        return { todo };
+      });
+      if (outcome.error) {
+        res.status(outcome.status).json({ error: outcome.error });
+        return;
+      }
+
+      events.publish(req.user.id, 'todo.updated', outcome.todo);
+      deliverSoon();
+      res.set('ETag', todoEtag(outcome.todo));
+      respond(req, res, outcome.todo, { message: 'Todo moved' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Apply a list of actions to many todos at once, atomically
+  //   { "ids": [1, 2] | "filter": { "completed": false, ... },
+  //     "actions": [{ "type": "complete" | "uncomplete" | "delete" | "retag" | "move", ... }] }
+  async bulkUpdate(req, res) {
+    try {
+      const body = req.body || {};
+      const targets = parseBulkTargets(body);
+      if (targets.error) {
+        res.status(400).json({ error: targets.error });
+        return;
+      }
+      const parsed = await parseBulkActions(req.user.id, body.actions);
+      if (parsed.error) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      const deleting = parsed.actions.some(action => action.type === 'delete');
+      const created = []; // Next occurrences of completed recurring todos
+
+      let found;
+      try {
+        found = await todoRepository.transaction(async (repo) => {
+          const ids = await repo.findIds(
+            req.user.id,
+            targets.ids ? { ids: targets.ids } : targets.filter,
+            MAX_BULK_TODOS + 1
+          );
+          if (ids.length > MAX_BULK_TODOS) {
+            throw new BulkActionError(`The filter matches more than ${MAX_BULK_TODOS} todos`);
+          }
+
+          if (ids.length > 0) {
+            const before = new Map();
+            for (const id of ids) {
+              before.set(id, await snapshotTodo(repo.db, id));
+            }
+            for (const action of parsed.actions) {
+              await applyBulkAction(repo, req.user.id, action, ids);
+            }
+            for (const id of ids) {
+              const after = await snapshotTodo(repo.db, id);
+              await recordChange(repo.db, {
+                todoId: id,
+                userId: req.user.id,
+                action: deleting ? 'deleted' : 'updated',
+                before: before.get(id),
+                after
+              });
+              await queueDeliveries(
+                repo.db,
+                req.user.id,
+                deleting ? 'todo.deleted' : changeEvent(before.get(id), after),
+                () => repo.get(req.user.id, id, { includeTrashed: true })
+              );
+              if (!deleting && !before.get(id).completed && after.completed) {
+                const nextId = await advanceSeries(repo.db, req.user.id, id);
+                if (nextId) {
+                  created.push(nextId);
+                  await queueDeliveries(repo.db, req.user.id, 'todo.created', () => repo.get(req.user.id, nextId));
+                }
+              }
+            }
+          }
+          return new Set(ids);
+        });
+      } catch (error) {
+        if (error instanceof BulkActionError) {
+          res.status(400).json({ error: error.message });
           return;
         }
-        res.json({ message: 'Todo updated successfully' });
+        throw error;
+      }
+
+      const status = deleting ? 'deleted' : 'updated';
+      const results = (targets.ids || [...found]).map(id => ({
+        id,
+        status: found.has(id) ? status : 'not_found'
+      }));
+
+      if (deleting) {
+        found.forEach(id => events.publish(req.user.id, 'todo.deleted', { id }));
+      } else {
+        (await todoRepository.getMany(req.user.id, [...found]))
+          .forEach(todo => events.publish(req.user.id, 'todo.updated', todo));
+      }
+      (await todoRepository.getMany(req.user.id, created))
+        .forEach(todo => events.publish(req.user.id, 'todo.created', todo));
+      deliverSoon();
+
+      respond(req, res, { matched: found.size, results, created }, {
+        message: `${deleting ? 'Deleted' : 'Updated'} ${found.size} todo${found.size === 1 ? '' : 's'}`
       });
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      internalError(req, res, error);
     }
   }
 
-  // Delete a todo
+  // Move a todo to the trash. It can be restored until the retention job purges it.
+  // With If-Match, only if it is still at that version.
   async deleteTodo(req, res) {
     try {
       const { id } = req.params;
-      const db = database.getConnection();
-      
-      db.run('DELETE FROM todos WHERE id = ?', [id], function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
+      const outcome = await todoRepository.transaction(async (repo) => {
+        const current = await repo.get(req.user.id, id);
+        if (!current) {
+          return 'not_found';
         }
-        if (this.changes === 0) {
-          res.status(404).json({ error: 'Todo not found' });
-          return;
+        if (!ifMatches(req.get('If-Match'), current)) {
+          return 'conflict';
+        }
+        await repo.delete(req.user.id, id);
+        const snapshot = await snapshotTodo(repo.db, id);
+        await recordChange(repo.db, {
+          todoId: id,
+          userId: req.user.id,
+          action: 'deleted',
+          before: snapshot,
+          after: snapshot
+        });
+        await queueDeliveries(
+          repo.db,
+          req.user.id,
+          'todo.deleted',
+          () => repo.get(req.user.id, id, { includeTrashed: true })
+        );
+        return 'deleted';
+      });
+      if (outcome === 'not_found') {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
+      }
+      if (outcome === 'conflict') {
+        await sendConflict(res, req.user.id, id);
+        return;
+      }
+
+      events.publish(req.user.id, 'todo.deleted', { id: Number(id) });
+      deliverSoon();
+      respond(req, res, null, { message: 'Todo moved to trash' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get a todo's change history, newest first. Works for todos in the trash too.
+  async getTodoHistory(req, res) {
+    try {
+      const todo = await todoRepository.get(req.user.id, req.params.id, { includeTrashed: true });
+      if (!todo) {
+        res.status(404).json({ error: 'Todo not found' });
+        return;
+      }
+      respond(req, res, await getHistory(database, todo.id));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Put a todo back to how it was right after the given history entry. The
+  // revert is itself recorded, so it can be undone the same way.
+  async revertTodo(req, res) {
+    try {
+      const { id, entryId } = req.params;
+      const outcome = await todoRepository.transaction(async (repo) => {
+        if (!(await repo.get(req.user.id, id))) {
+          return { failure: 'Todo not found' };
+        }
+        const before = await snapshotTodo(repo.db, id);
+        const entry = await getHistoryEntry(repo.db, id, entryId);
+        if (!entry) {
+          return { failure: 'History entry not found' };
+        }
+
+        // Keep the current list if the one in that version has since been deleted
+        const target = entry.snapshot;
+        const list = target.list_id === null ? null : await findList(repo.db, req.user.id, target.list_id);
+        const todo = await repo.update(req.user.id, id, {
+          title: target.title,
+          description: target.description,
+          completed: Boolean(target.completed),
+          due_at: target.due_at,
+          due_tz: target.due_tz,
+          list_id: list ? list.id : before.list_id,
+          auto_complete: Boolean(target.auto_complete),
+          // Entries from before priorities existed leave it as it is
+          priority: target.priority,
+          tags: target.tags
+        });
+        const after = await snapshotTodo(repo.db, id);
+        await recordChange(repo.db, {
+          todoId: id,
+          userId: req.user.id,
+          action: 'reverted',
+          before,
+          after,
+          revertedTo: entry.id
+        });
+        await queueDeliveries(repo.db, req.user.id, changeEvent(before, after), todo);
+        return { todo };
+      });
+      if (outcome.failure) {
+        res.status(404).json({ error: outcome.failure });
+        return;
+      }
+
+      events.publish(req.user.id, 'todo.updated', outcome.todo);
+      deliverSoon();
+      respond(req, res, outcome.todo, { message: 'Todo reverted successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get the todos in the trash, most recently deleted first, with when each will be purged
+  async getTrash(req, res) {
+    try {
+      const todos = await todoRepository.trash(req.user.id);
+      respond(req, res, todos.map(todo => ({ ...todo, purge_at: purgeDate(todo.deleted_at) })));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Take a todo back out of the trash
+  async restoreTodo(req, res) {
+    try {
+      const { id } = req.params;
+      const todo = await todoRepository.transaction(async (repo) => {
+        const restored = await repo.restore(req.user.id, id);
+        if (restored) {
+          const snapshot = await snapshotTodo(repo.db, id);
+          await recordChange(repo.db, {
+            todoId: id,
+            userId: req.user.id,
+            action: 'restored',
+            before: snapshot,
+            after: snapshot
+          });
+          await queueDeliveries(repo.db, req.user.id, 'todo.restored', restored);
         }
-        res.json({ message: 'Todo deleted successfully' });
+        return restored;
       });
+      if (!todo) {
+        res.status(404).json({ error: 'Todo not found in trash' });
+        return;
+      }
+
+      events.publish(req.user.id, 'todo.restored', todo);
+      deliverSoon();
+      respond(req, res, todo, { message: 'Todo restored successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Permanently delete one todo from the trash
+  async purgeTodo(req, res) {
+    try {
+      if (await todoRepository.purge(req.user.id, req.params.id) === 0) {
+        res.status(404).json({ error: 'Todo not found in trash' });
+        return;
+      }
+      respond(req, res, null, { message: 'Todo deleted permanently' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Permanently delete everything in the trash
+  async emptyTrash(req, res) {
+    try {
+      const purged = await todoRepository.purge(req.user.id);
+      respond(req, res, { purged }, { message: 'Trash emptied' });
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      internalError(req, res, error);
     }
   }
 }
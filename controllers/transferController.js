@@ -0,0 +1,279 @@
+const database = require('../config/database');
+const csv = require('../utils/csv');
+const ical = require('../utils/ical');
+const { FORMATS, exportChunks } = require('../services/transfer');
+const { validateListName, ensureDefaultList, findList } = require('../services/lists');
+const { validateNewTodo, insertTodo, loadTodo } = require('../services/todos');
+const { snapshotTodo, recordChange } = require('../services/history');
+const events = require('../services/events');
+const { queueDeliveries, deliverSoon } = require('../services/webhooks');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Write a chunk, waiting for the socket to drain when its buffer is full.
+// Resolves to false once the client has gone away.
+function write(res, chunk) {
+  if (res.destroyed) {
+    return Promise.resolve(false);
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve(!res.destroyed);
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Pick the import format from ?format= or the request's Content-Type
+function importFormat(req) {
+  if (req.query.format !== undefined) {
+    return FORMATS[req.query.format] ? req.query.format : null;
+  }
+  if (req.is('text/csv')) return 'csv';
+  if (req.is('text/calendar')) return 'ics';
+  return 'json';
+}
+
+// CSV cells are text; turn "true"/"false" style values into booleans. Anything
+// else is passed through so validation rejects it.
+function csvBoolean(value) {
+  const text = value.trim().toLowerCase();
+  if (text === '') return undefined;
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return value;
+}
+
+// Turn CSV text into row objects keyed by the header row. Returns { error } or { rows }.
+function csvRows(text) {
+  let table;
+  try {
+    table = csv.parse(text);
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  const [header = [], ...records] = table;
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('title')) {
+    return { error: 'CSV must start with a header row that includes a title column' };
+  }
+
+  const rows = records.map((record) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = record[index] === undefined ? '' : record[index];
+      if (column === 'completed' || column === 'auto_complete') {
+        row[column] = csvBoolean(value);
+      } else if (column === 'tags') {
+        row.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      } else if (column === 'priority') {
+        row.priority = value.trim() === '' ? undefined : value.trim().toLowerCase();
+      } else if (['due_at', 'due_tz', 'list'].includes(column)) {
+        row[column] = value.trim() === '' ? undefined : value;
+      } else if (column === 'title' || column === 'description') {
+        row[column] = value;
+      }
+    });
+    return row;
+  });
+  return { rows };
+}
+
+// Parse the request body into row objects. Returns { error } or { rows }.
+function importRows(req, format) {
+  if (format === 'json') {
+    const rows = Array.isArray(req.body) ? req.body : req.body && req.body.todos;
+    return Array.isArray(rows) ? { rows } : { error: 'Expected a JSON array of todos' };
+  }
+  if (typeof req.body !== 'string') {
+    return { error: `Send ${format.toUpperCase()} as ${FORMATS[format].contentType.split(';')[0]}` };
+  }
+  if (format === 'csv') {
+    return csvRows(req.body);
+  }
+  try {
+    return { rows: ical.parseTodos(req.body) };
+  } catch (error) {
+    if (error instanceof ical.IcalParseError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+}
+
+// Apply createTodo's rules to an import row, plus the fields only imports set.
+// Returns { error } or { values, list }.
+function validateRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { error: 'Each todo must be an object' };
+  }
+
+  const input = validateNewTodo(row);
+  if (input.error) {
+    return input;
+  }
+  if (row.completed !== undefined && typeof row.completed !== 'boolean') {
+    return { error: 'completed must be true or false' };
+  }
+
+  let list = null;
+  if (row.list !== undefined && row.list !== null) {
+    const error = validateListName(row.list);
+    if (error) {
+      return { error };
+    }
+    list = row.list.trim();
+  }
+
+  return { values: { ...input.values, completed: row.completed === true }, list };
+}
+
+class TransferController {
+  // Download the user's todos as ?format=json|csv|ics, optionally only one ?list_id=
+  async exportTodos(req, res) {
+    try {
+      const format = req.query.format || 'json';
+      if (!FORMATS[format]) {
+        res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+        return;
+      }
+
+      let listId = null;
+      if (req.query.list_id !== undefined) {
+        const list = await findList(database, req.user.id, req.query.list_id);
+        if (!list) {
+          res.status(404).json({ error: 'List not found' });
+          return;
+        }
+        listId = list.id;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', FORMATS[format].contentType);
+      res.attachment(`todos-${date}.${FORMATS[format].extension}`);
+
+      for await (const chunk of exportChunks(database, req.user.id, listId, format, req.hostname)) {
+        if (!(await write(res, chunk))) {
+          return;
+        }
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        // Too late for an error response; cut the download short instead
+        logger.error('Export failed after the download started', { request_id: req.id, error });
+        res.destroy(error);
+        return;
+      }
+      internalError(req, res, error);
+    }
+  }
+
+  // Import todos from a JSON array, CSV with a header row, or an iCalendar file.
+  // Valid rows are inserted in one transaction; the response reports each row.
+  async importTodos(req, res) {
+    try {
+      const format = importFormat(req);
+      if (!format) {
+        res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+        return;
+      }
+
+      const parsed = importRows(req, format);
+      if (parsed.error) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      if (parsed.rows.length === 0) {
+        res.status(400).json({ error: 'No todos to import' });
+        return;
+      }
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} todos` });
+        return;
+      }
+
+      // Rows without a list go into ?list_id= or the default list
+      let defaultListId = null;
+      if (req.query.list_id !== undefined) {
+        const list = await findList(database, req.user.id, req.query.list_id);
+        if (!list) {
+          res.status(400).json({ error: 'list_id must be one of your lists' });
+          return;
+        }
+        defaultListId = list.id;
+      }
+
+      const rows = parsed.rows.map(validateRow);
+      const results = await database.transaction(async (tx) => {
+        const listIds = new Map();
+        const lists = await tx.all('SELECT id, name FROM lists WHERE user_id = ? ORDER BY id', [req.user.id]);
+        lists.forEach((list) => {
+          if (!listIds.has(list.name.toLowerCase())) {
+            listIds.set(list.name.toLowerCase(), list.id);
+          }
+        });
+        if (defaultListId === null) {
+          defaultListId = await ensureDefaultList(tx, req.user.id);
+        }
+
+        const report = [];
+        for (const [index, row] of rows.entries()) {
+          if (row.error) {
+            report.push({ row: index + 1, status: 'rejected', error: row.error });
+            continue;
+          }
+
+          // Lists are matched by name, ignoring case, and created when missing
+          let listId = defaultListId;
+          if (row.list) {
+            const key = row.list.toLowerCase();
+            if (!listIds.has(key)) {
+              const { lastID } = await tx.run(
+                'INSERT INTO lists (user_id, name) VALUES (?, ?)',
+                [req.user.id, row.list]
+              );
+              listIds.set(key, lastID);
+            }
+            listId = listIds.get(key);
+          }
+
+          const id = await insertTodo(tx, req.user.id, listId, row.values);
+          await recordChange(tx, {
+            todoId: id,
+            userId: req.user.id,
+            action: 'created',
+            before: null,
+            after: await snapshotTodo(tx, id)
+          });
+          await queueDeliveries(tx, req.user.id, 'todo.created', () => loadTodo(tx, req.user.id, id));
+          report.push({ row: index + 1, status: 'created', id });
+        }
+        return report;
+      });
+
+      const created = results.filter(result => result.status === 'created').length;
+      if (created > 0) {
+        events.publish(req.user.id, 'todos.imported', { created });
+        deliverSoon();
+      }
+      respond(req, res, { created, rejected: results.length - created, results }, {
+        message: `Imported ${created} of ${results.length} todos`
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+}
+
+module.exports = new TransferController();
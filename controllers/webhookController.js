@@ -0,0 +1,199 @@
+const database = require('../config/database');
+const {
+  validateWebhookUrl,
+  generateSecret,
+  toWebhook,
+  toDelivery,
+  findWebhook,
+  requeueDelivery,
+  deliverSoon
+} = require('../services/webhooks');
+const { respond } = require('../utils/envelope');
+const { internalError } = require('../utils/errors');
+
+const DEFAULT_DELIVERY_LIMIT = 20;
+const MAX_DELIVERY_LIMIT = 100;
+
+class WebhookController {
+  // Get the user's webhooks, oldest first
+  async getAllWebhooks(req, res) {
+    try {
+      const webhooks = await database.all('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id', [req.user.id]);
+      respond(req, res, webhooks.map(toWebhook));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get a single webhook by id
+  async getWebhookById(req, res) {
+    try {
+      const webhook = await findWebhook(database, req.user.id, req.params.id);
+      if (!webhook) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return;
+      }
+      respond(req, res, toWebhook(webhook));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Register a URL for some todo events. The response is the only time the
+  // signing secret is shown.
+  async createWebhook(req, res) {
+    try {
+      const { url, events, active = true } = req.body;
+      const error = validateWebhookUrl(url);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const secret = req.body.secret || generateSecret();
+      const { lastID } = await database.run(
+        'INSERT INTO webhooks (user_id, url, events, secret, active) VALUES (?, ?, ?, ?, ?)',
+        [req.user.id, url, JSON.stringify([...new Set(events)]), secret, active ? 1 : 0]
+      );
+      const webhook = await findWebhook(database, req.user.id, lastID);
+      respond(req, res, { ...toWebhook(webhook), secret }, {
+        status: 201,
+        message: 'Webhook created successfully'
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Change a webhook's URL, events or active flag, or replace its secret
+  // (the new one is in the response)
+  async updateWebhook(req, res) {
+    try {
+      const { url, events, active } = req.body;
+      const updateFields = [];
+      const values = [];
+
+      if (url !== undefined) {
+        const error = validateWebhookUrl(url);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        updateFields.push('url = ?');
+        values.push(url);
+      }
+
+      if (events !== undefined) {
+        updateFields.push('events = ?');
+        values.push(JSON.stringify([...new Set(events)]));
+      }
+
+      if (active !== undefined) {
+        updateFields.push('active = ?');
+        values.push(active ? 1 : 0);
+      }
+
+      if (req.body.secret !== undefined && req.body.rotate_secret) {
+        res.status(400).json({ error: 'Send either secret or rotate_secret, not both' });
+        return;
+      }
+      const secret = req.body.rotate_secret ? generateSecret() : req.body.secret;
+      if (secret !== undefined) {
+        updateFields.push('secret = ?');
+        values.push(secret);
+      }
+
+      if (updateFields.length === 0) {
+        res.status(400).json({ error: 'No fields to update' });
+        return;
+      }
+
+      values.push(req.params.id, req.user.id);
+      const { changes } = await database.run(
+        `UPDATE webhooks SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+        values
+      );
+      if (changes === 0) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return;
+      }
+
+      const webhook = toWebhook(await findWebhook(database, req.user.id, req.params.id));
+      if (active) {
+        // Deliveries queued before the webhook was paused are due now
+        deliverSoon();
+      }
+      respond(req, res, secret === undefined ? webhook : { ...webhook, secret }, {
+        message: 'Webhook updated successfully'
+      });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Delete a webhook along with its delivery log
+  async deleteWebhook(req, res) {
+    try {
+      const { changes } = await database.run(
+        'DELETE FROM webhooks WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (changes === 0) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return;
+      }
+      respond(req, res, null, { message: 'Webhook deleted successfully' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Get a webhook's delivery log, newest first
+  //   ?status=pending|delivered|failed  ?limit=20
+  async getDeliveries(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+      if (limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        res.status(400).json({ error: `limit must be from 1 to ${MAX_DELIVERY_LIMIT}` });
+        return;
+      }
+      if (!(await findWebhook(database, req.user.id, req.params.id))) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return;
+      }
+
+      const { status } = req.query;
+      const deliveries = await database.all(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+         ORDER BY id DESC LIMIT ?`,
+        [req.params.id, ...(status ? [status] : []), limit]
+      );
+      respond(req, res, deliveries.map(toDelivery));
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+
+  // Send a delivery again straight away, e.g. one that failed for good. If a
+  // delivery that has used up its attempts fails again, it isn't retried.
+  async retryDelivery(req, res) {
+    try {
+      if (!(await findWebhook(database, req.user.id, req.params.id))) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return;
+      }
+      const delivery = await requeueDelivery(database, req.params.id, req.params.deliveryId);
+      if (!delivery) {
+        res.status(404).json({ error: 'Delivery not found' });
+        return;
+      }
+      deliverSoon();
+      respond(req, res, delivery, { message: 'Delivery queued' });
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,1043 @@
+// The OpenAPI 3.1 description of the API, served at GET /api/v1/openapi.json and
+// rendered by public/docs.html. Parameters and request bodies of the todo
+// routes are generated from schemas/todoSchemas.js, so the document describes
+// exactly what the validator accepts; everything else is written out here.
+// test/contract.test.js checks real responses against it.
+const { version } = require('../package.json');
+const todoSchemas = require('../schemas/todoSchemas');
+const webhookSchemas = require('../schemas/webhookSchemas');
+const { ruleToJsonSchema, toJsonSchema } = require('../utils/schema');
+const { MAX_LIST_NAME_LENGTH } = require('../services/lists');
+const { MAX_TAG_LENGTH, COLOR_PATTERN } = require('../services/tags');
+const { PRIORITIES } = require('../services/todos');
+const { EVENT_TYPES, DELIVERY_STATUSES } = require('../services/webhooks');
+
+const id = { type: 'id', required: true };
+
+// Shown next to query parameters that come from the todo schemas
+const PARAMETER_DESCRIPTIONS = {
+  completed: 'Only completed (true) or open (false) todos',
+  q: 'Text to search for in titles and descriptions',
+  list_id: 'Only todos in this list',
+  tag: 'Only todos with this tag; repeat to require several',
+  due: 'Only todos due in this window',
+  tz: 'IANA time zone used for the today and upcoming windows (default UTC)',
+  sort: 'Column to sort by: id, title, description, completed, created_at, updated_at, due_at, ' +
+    'priority (by rank) or position (the manual order, top first with order=asc)',
+  order: 'Sort direction (default desc)',
+  limit: 'Page size, 0-100 (default 20)',
+  offset: 'Number of todos to skip',
+  format: 'File format (default json)'
+};
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function json(schema) {
+  return { 'application/json': { schema } };
+}
+
+function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+function arrayOf(schema) {
+  return { type: 'array', items: schema };
+}
+
+// The { data, message, meta } envelope of successful responses (utils/envelope.js)
+function envelope(data, { message = false, meta } = {}) {
+  const schema = { type: 'object', required: ['data'], properties: { data } };
+  if (message) {
+    schema.required.push('message');
+    schema.properties.message = { type: 'string' };
+  }
+  if (meta) {
+    schema.required.push('meta');
+    schema.properties.meta = meta;
+  }
+  return schema;
+}
+
+// A successful response with `data` in the envelope, plus the named headers
+function ok(description, data, { headers = [], ...options } = {}) {
+  const response = { description, content: json(envelope(data, options)) };
+  if (headers.length > 0) {
+    response.headers = {};
+    headers.forEach((name) => {
+      response.headers[name] = { $ref: `#/components/headers/${name}` };
+    });
+  }
+  return response;
+}
+
+// Path and query parameters for a route schema (see utils/schema.js)
+function parameters(routeSchema) {
+  const path = Object.entries(routeSchema.params || {}).map(([name, rule]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: ruleToJsonSchema(rule)
+  }));
+  const query = Object.entries(routeSchema.query || {}).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    ...(PARAMETER_DESCRIPTIONS[name] ? { description: PARAMETER_DESCRIPTIONS[name] } : {}),
+    schema: ruleToJsonSchema(rule)
+  }));
+  return [...path, ...query];
+}
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  404: 'NotFound',
+  409: 'Conflict',
+  412: 'PreconditionFailed',
+  500: 'InternalError'
+};
+
+// Describe one operation. `schema` is a route schema ({ params, query, body });
+// its body becomes the JSON request body unless `requestBody` is given.
+// `errors` lists the error statuses the route can answer with besides 401 (added
+// unless the route is public), 400 (added when there is a request body) and 500.
+function operation({
+  operationId,
+  tag,
+  summary,
+  description,
+  schema = {},
+  headers = [],
+  requestBody,
+  responses,
+  errors = [],
+  isPublic = false
+}) {
+  const result = { operationId, tags: [tag], summary };
+  if (description) {
+    result.description = description;
+  }
+  if (isPublic) {
+    result.security = [];
+  }
+
+  const params = [
+    ...parameters(schema),
+    ...headers.map(name => ({ $ref: `#/components/parameters/${name}` }))
+  ];
+  if (params.length > 0) {
+    result.parameters = params;
+  }
+  if (requestBody) {
+    result.requestBody = requestBody;
+  } else if (schema.body) {
+    result.requestBody = { required: true, content: json(toJsonSchema(schema.body)) };
+  }
+
+  const statuses = new Set(errors);
+  if (!isPublic) statuses.add(401);
+  if (result.requestBody) statuses.add(400);
+  statuses.add(500);
+
+  result.responses = { ...responses };
+  [...statuses].sort((a, b) => a - b).forEach((status) => {
+    result.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+  });
+  return result;
+}
+
+const timestamp = { type: 'string', description: 'UTC time, "YYYY-MM-DD HH:MM:SS"' };
+const isoDate = { type: 'string', description: 'ISO 8601 date and time' };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', description: 'Stable machine-readable name, e.g. validation_failed' },
+          message: { type: 'string' },
+          fields: {
+            type: 'object',
+            description: 'What was wrong with each rejected field',
+            additionalProperties: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  ConflictError: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        required: ['todo'],
+        properties: { todo: ref('Todo') }
+      }
+    ]
+  },
+  Flag: {
+    enum: [true, false, 0, 1],
+    description: 'A boolean. Rows read straight from the database report it as 1 or 0.'
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'username'],
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['user', 'token'],
+    properties: {
+      user: ref('User'),
+      token: { type: 'string', description: 'Send as "Authorization: Bearer <token>"' }
+    }
+  },
+  TodoTag: {
+    type: 'object',
+    required: ['id', 'name', 'color'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      color: { type: ['string', 'null'] }
+    }
+  },
+  Progress: {
+    type: 'object',
+    required: ['total', 'completed', 'percent'],
+    properties: {
+      total: { type: 'integer' },
+      completed: { type: 'integer' },
+      percent: { type: 'integer', minimum: 0, maximum: 100 }
+    }
+  },
+  Recurrence: {
+    type: 'object',
+    required: ['freq', 'interval', 'by_weekday', 'until', 'count', 'rrule'],
+    properties: {
+      freq: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+      interval: { type: 'integer', minimum: 1 },
+      by_weekday: nullable(arrayOf({ type: 'string', enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] })),
+      until: { type: ['string', 'null'] },
+      count: { type: ['integer', 'null'] },
+      rrule: { type: 'string', description: 'The rule as an iCalendar RRULE, e.g. FREQ=WEEKLY;BYDAY=MO' }
+    }
+  },
+  Todo: {
+    type: 'object',
+    required: [
+      'id', 'title', 'description', 'completed', 'due_at', 'due_tz', 'list_id',
+      'auto_complete', 'priority', 'position', 'series_id', 'occurrence', 'version', 'tags', 'progress',
+      'recurrence'
+    ],
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      title: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      completed: ref('Flag'),
+      due_at: { ...isoDate, type: ['string', 'null'] },
+      due_tz: { type: ['string', 'null'], description: 'IANA time zone the due date was set in' },
+      overdue_at: { type: ['string', 'null'], description: 'When the scheduler flagged the todo as overdue' },
+      list_id: { type: ['integer', 'null'] },
+      auto_complete: ref('Flag'),
+      priority: { type: 'string', enum: PRIORITIES },
+      position: { type: 'number', description: 'Rank in the manual order, lowest first' },
+      deleted_at: { type: ['string', 'null'] },
+      series_id: { type: ['integer', 'null'] },
+      occurrence: { type: ['integer', 'null'] },
+      version: { type: 'integer', description: 'Also sent as the ETag; send it back in If-Match' },
+      tags: arrayOf(ref('TodoTag')),
+      progress: ref('Progress'),
+      recurrence: nullable(ref('Recurrence')),
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  TrashedTodo: {
+    allOf: [
+      ref('Todo'),
+      {
+        type: 'object',
+        required: ['purge_at'],
+        properties: { purge_at: { ...isoDate, description: 'When the todo will be deleted for good' } }
+      }
+    ]
+  },
+  TodoPageMeta: {
+    type: 'object',
+    required: ['pagination', 'counts'],
+    properties: {
+      pagination: {
+        type: 'object',
+        required: ['total', 'limit', 'offset', 'next', 'prev'],
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          next: { type: ['string', 'null'], description: 'Link to the next page' },
+          prev: { type: ['string', 'null'], description: 'Link to the previous page' }
+        }
+      },
+      counts: {
+        type: 'object',
+        description: 'Totals for the search, ignoring ?completed and ?due',
+        required: ['total', 'completed', 'pending', 'overdue'],
+        properties: {
+          total: { type: 'integer' },
+          completed: { type: 'integer' },
+          pending: { type: 'integer' },
+          overdue: { type: 'integer' }
+        }
+      }
+    }
+  },
+  BulkResult: {
+    type: 'object',
+    required: ['matched', 'results', 'created'],
+    properties: {
+      matched: { type: 'integer' },
+      results: arrayOf({
+        type: 'object',
+        required: ['id', 'status'],
+        properties: {
+          id: { type: 'integer' },
+          status: { type: 'string', enum: ['updated', 'deleted', 'not_found'] }
+        }
+      }),
+      created: { ...arrayOf({ type: 'integer' }), description: 'Next occurrences of completed recurring todos' }
+    }
+  },
+  HistoryEntry: {
+    type: 'object',
+    required: ['id', 'action', 'changes', 'actor', 'reverted_to', 'created_at'],
+    properties: {
+      id: { type: 'integer' },
+      action: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'reverted'] },
+      changes: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['from', 'to'],
+          properties: { from: {}, to: {} }
+        }
+      },
+      actor: nullable(ref('User')),
+      reverted_to: { type: ['integer', 'null'], description: 'The entry a revert went back to' },
+      created_at: timestamp
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['created', 'rejected', 'results'],
+    properties: {
+      created: { type: 'integer' },
+      rejected: { type: 'integer' },
+      results: arrayOf({
+        type: 'object',
+        required: ['row', 'status'],
+        properties: {
+          row: { type: 'integer' },
+          status: { type: 'string', enum: ['created', 'rejected'] },
+          id: { type: 'integer' },
+          error: { type: 'string' }
+        }
+      })
+    }
+  },
+  ChecklistItem: {
+    type: 'object',
+    required: ['id', 'todo_id', 'title', 'completed', 'position'],
+    properties: {
+      id: { type: 'integer' },
+      todo_id: { type: 'integer' },
+      title: { type: 'string' },
+      completed: ref('Flag'),
+      position: { type: 'integer' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  ParentTodo: {
+    type: 'object',
+    description: 'The todo a checklist belongs to, after the change',
+    required: ['id', 'completed', 'progress'],
+    properties: {
+      id: { type: 'integer' },
+      completed: { type: 'boolean' },
+      progress: ref('Progress')
+    }
+  },
+  List: {
+    type: 'object',
+    required: ['id', 'name', 'is_default', 'counts'],
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      name: { type: 'string' },
+      is_default: ref('Flag'),
+      counts: {
+        type: 'object',
+        required: ['total', 'completed', 'pending'],
+        properties: {
+          total: { type: 'integer' },
+          completed: { type: 'integer' },
+          pending: { type: 'integer' }
+        }
+      },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  Tag: {
+    type: 'object',
+    required: ['id', 'name', 'color'],
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      name: { type: 'string' },
+      color: { type: ['string', 'null'] },
+      todo_count: { type: 'integer', description: 'Todos outside the trash that have the tag' },
+      created_at: timestamp
+    }
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'active'],
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      events: arrayOf({ enum: EVENT_TYPES }),
+      active: { type: 'boolean', description: 'Paused webhooks get no new deliveries' },
+      secret: {
+        type: 'string',
+        description: 'Signs the deliveries. Only sent when the webhook is created and when the secret is replaced.'
+      },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'webhook_id', 'event', 'status', 'attempts', 'data'],
+    properties: {
+      id: { type: 'integer' },
+      webhook_id: { type: 'integer' },
+      event: { enum: EVENT_TYPES },
+      status: { enum: DELIVERY_STATUSES },
+      attempts: { type: 'integer' },
+      next_attempt_at: { type: ['string', 'null'], description: 'When a pending delivery is sent next (ISO 8601)' },
+      last_attempt_at: { type: ['string', 'null'], description: 'ISO 8601 date and time' },
+      response_status: { type: ['integer', 'null'], description: 'The HTTP status of the last answer' },
+      error: { type: ['string', 'null'], description: 'Why the last attempt failed' },
+      delivered_at: { type: ['string', 'null'], description: 'ISO 8601 date and time' },
+      data: { ...ref('Todo'), description: 'The todo, as it was when the event happened' },
+      created_at: timestamp
+    }
+  }
+};
+
+function errorResponse(description, schema = ref('Error')) {
+  return { description, content: json(schema) };
+}
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token from /auth/register or /auth/login' }
+  },
+  schemas,
+  parameters: {
+    IfMatch: {
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'The ETag the change is based on; a stale one is answered with 412',
+      schema: { type: 'string' }
+    }
+  },
+  headers: {
+    ETag: {
+      description: 'The current version of the resource',
+      schema: { type: 'string' }
+    }
+  },
+  responses: {
+    BadRequest: errorResponse('The request was malformed or failed validation'),
+    Unauthorized: errorResponse('No valid bearer token was sent'),
+    NotFound: errorResponse('The resource does not exist or belongs to another user'),
+    Conflict: errorResponse('The name is already taken'),
+    PreconditionFailed: {
+      ...errorResponse('If-Match did not match; the body holds the current todo', ref('ConflictError')),
+      headers: { ETag: { $ref: '#/components/headers/ETag' } }
+    },
+    InternalError: errorResponse('Something went wrong on the server')
+  }
+};
+
+const listName = { type: 'string', required: true, minLength: 1, maxLength: MAX_LIST_NAME_LENGTH };
+const tagFields = {
+  name: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH },
+  color: { type: 'string', nullable: true, pattern: COLOR_PATTERN }
+};
+const credentials = {
+  username: { type: 'string', required: true, pattern: /^[A-Za-z0-9_.-]{3,32}$/ },
+  password: { type: 'string', required: true, minLength: 8 }
+};
+
+const paths = {
+  '/auth/register': {
+    post: operation({
+      operationId: 'register',
+      tag: 'Auth',
+      summary: 'Create an account',
+      isPublic: true,
+      schema: { body: credentials },
+      responses: { 201: ok('Account created and logged in', ref('Session')) },
+      errors: [409]
+    })
+  },
+  '/auth/login': {
+    post: operation({
+      operationId: 'login',
+      tag: 'Auth',
+      summary: 'Log in and receive a bearer token',
+      isPublic: true,
+      schema: { body: { username: { type: 'string', required: true }, password: { type: 'string', required: true } } },
+      responses: { 200: ok('Logged in', ref('Session')) },
+      errors: [401]
+    })
+  },
+  '/auth/logout': {
+    post: operation({
+      operationId: 'logout',
+      tag: 'Auth',
+      summary: 'Revoke the current token',
+      responses: { 200: ok('Logged out', { type: 'null' }, { message: true }) }
+    })
+  },
+  '/auth/me': {
+    get: operation({
+      operationId: 'me',
+      tag: 'Auth',
+      summary: 'Get the logged-in user',
+      responses: {
+        200: ok('The user', ref('User'))
+      }
+    })
+  },
+
+  '/todos': {
+    get: operation({
+      operationId: 'getAllTodos',
+      tag: 'Todos',
+      summary: 'Get todos, with filtering, search, sorting and pagination',
+      schema: todoSchemas.listTodos,
+      responses: {
+        200: ok('A page of todos', arrayOf(ref('Todo')), { headers: ['ETag'], meta: ref('TodoPageMeta') }),
+        304: { description: 'Not modified since the ETag sent in If-None-Match' }
+      },
+      errors: [400, 404]
+    }),
+    post: operation({
+      operationId: 'createTodo',
+      tag: 'Todos',
+      summary: 'Create a todo',
+      description: 'Without list_id the todo goes into the default list. recurrence takes an RRULE string ' +
+        'or { freq, interval, by_weekday, until, count } and needs a due_at.',
+      schema: todoSchemas.createTodo,
+      responses: { 201: ok('The new todo', ref('Todo'), { headers: ['ETag'], message: true }) }
+    })
+  },
+  '/todos/overdue': {
+    get: operation({
+      operationId: 'getOverdueTodos',
+      tag: 'Todos',
+      summary: 'Get open todos flagged as overdue, most overdue first',
+      schema: todoSchemas.noQuery,
+      responses: { 200: ok('Overdue todos', arrayOf(ref('Todo'))) },
+      errors: [400]
+    })
+  },
+  '/todos/export': {
+    get: operation({
+      operationId: 'exportTodos',
+      tag: 'Import and export',
+      summary: 'Download todos as JSON, CSV or iCalendar',
+      schema: todoSchemas.exportTodos,
+      responses: {
+        200: {
+          description: 'The file, sent as an attachment',
+          content: {
+            'application/json': { schema: arrayOf({ type: 'object' }) },
+            'text/csv': { schema: { type: 'string' } },
+            'text/calendar': { schema: { type: 'string' } }
+          }
+        }
+      },
+      errors: [400, 404]
+    })
+  },
+  '/todos/import': {
+    post: operation({
+      operationId: 'importTodos',
+      tag: 'Import and export',
+      summary: 'Import todos from JSON, CSV or iCalendar',
+      description: 'The format comes from ?format= or the Content-Type. Rows without a list go into ?list_id= ' +
+        'or the default list; lists named in rows are created when missing.',
+      schema: todoSchemas.importTodos,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { anyOf: [arrayOf({ type: 'object' }), { type: 'object', properties: { todos: arrayOf({ type: 'object' }) } }] }
+          },
+          'text/csv': { schema: { type: 'string', description: 'A header row naming the columns, then one todo per row' } },
+          'text/calendar': { schema: { type: 'string', description: 'VTODO components' } }
+        }
+      },
+      responses: { 200: ok('What happened to each row', ref('ImportReport'), { message: true }) }
+    })
+  },
+  '/todos/bulk': {
+    post: operation({
+      operationId: 'bulkUpdate',
+      tag: 'Todos',
+      summary: 'Apply actions to many todos at once',
+      description: 'Target todos by ids or by a filter with the same fields as GET /todos. The actions run ' +
+        'in order, in one transaction; delete must come last.',
+      schema: todoSchemas.bulkUpdate,
+      responses: { 200: ok('The outcome for each todo', ref('BulkResult'), { message: true }) }
+    })
+  },
+  '/todos/reorder': {
+    patch: operation({
+      operationId: 'reorderTodo',
+      tag: 'Todos',
+      summary: 'Move a todo in the manual order',
+      description: 'Send either after or before: the todo that should end up right above or right below ' +
+        'it. after: null moves it to the top, before: null to the bottom. See ?sort=position.',
+      schema: todoSchemas.reorderTodos,
+      responses: { 200: ok('The moved todo', ref('Todo'), { headers: ['ETag'], message: true }) },
+      errors: [404]
+    })
+  },
+  '/todos/trash': {
+    get: operation({
+      operationId: 'getTrash',
+      tag: 'Trash',
+      summary: 'Get deleted todos',
+      schema: todoSchemas.noQuery,
+      responses: { 200: ok('Todos in the trash', arrayOf(ref('TrashedTodo'))) },
+      errors: [400]
+    }),
+    delete: operation({
+      operationId: 'emptyTrash',
+      tag: 'Trash',
+      summary: 'Empty the trash',
+      schema: todoSchemas.noQuery,
+      responses: {
+        200: ok('The trash is empty', {
+          type: 'object',
+          required: ['purged'],
+          properties: { purged: { type: 'integer' } }
+        }, { message: true })
+      },
+      errors: [400]
+    })
+  },
+  '/todos/trash/{id}': {
+    delete: operation({
+      operationId: 'purgeTodo',
+      tag: 'Trash',
+      summary: 'Permanently delete a todo from the trash',
+      schema: todoSchemas.todoById,
+      responses: { 200: ok('Deleted', { type: 'null' }, { message: true }) },
+      errors: [400, 404]
+    })
+  },
+  '/todos/{id}': {
+    get: operation({
+      operationId: 'getTodoById',
+      tag: 'Todos',
+      summary: 'Get a todo',
+      schema: todoSchemas.todoById,
+      responses: { 200: ok('The todo', ref('Todo'), { headers: ['ETag'] }) },
+      errors: [400, 404]
+    }),
+    put: operation({
+      operationId: 'updateTodo',
+      tag: 'Todos',
+      summary: 'Update a todo',
+      description: 'Only the fields sent are changed. For a recurring todo, scope=future applies the change ' +
+        'to the later occurrences too. recurrence: null ends the series.',
+      schema: todoSchemas.updateTodo,
+      headers: ['IfMatch'],
+      responses: { 200: ok('The updated todo', ref('Todo'), {
+        headers: ['ETag'],
+        message: true,
+        meta: {
+          type: 'object',
+          required: ['next_todo_id'],
+          properties: {
+            next_todo_id: {
+              type: ['integer', 'null'],
+              description: 'The next occurrence, when completing a recurring todo created one'
+            }
+          }
+        }
+      }) },
+      errors: [404, 412]
+    }),
+    delete: operation({
+      operationId: 'deleteTodo',
+      tag: 'Todos',
+      summary: 'Move a todo to the trash',
+      schema: todoSchemas.todoById,
+      headers: ['IfMatch'],
+      responses: { 200: ok('Moved to the trash', { type: 'null' }, { message: true }) },
+      errors: [400, 404, 412]
+    })
+  },
+  '/todos/{id}/restore': {
+    post: operation({
+      operationId: 'restoreTodo',
+      tag: 'Trash',
+      summary: 'Restore a todo from the trash',
+      schema: todoSchemas.todoById,
+      responses: { 200: ok('The restored todo', ref('Todo'), { message: true }) },
+      errors: [400, 404]
+    })
+  },
+  '/todos/{id}/history': {
+    get: operation({
+      operationId: 'getTodoHistory',
+      tag: 'History',
+      summary: "Get a todo's change history, newest first",
+      schema: todoSchemas.todoById,
+      responses: { 200: ok('History entries', arrayOf(ref('HistoryEntry'))) },
+      errors: [400, 404]
+    })
+  },
+  '/todos/{id}/history/{entryId}/revert': {
+    post: operation({
+      operationId: 'revertTodo',
+      tag: 'History',
+      summary: 'Revert a todo to the state after a history entry',
+      schema: todoSchemas.revertTodo,
+      responses: { 200: ok('The reverted todo', ref('Todo'), { message: true }) },
+      errors: [400, 404]
+    })
+  },
+  '/todos/{id}/items': {
+    get: operation({
+      operationId: 'getItems',
+      tag: 'Checklists',
+      summary: "Get a todo's checklist",
+      schema: todoSchemas.todoById,
+      responses: { 200: ok('Items in order', arrayOf(ref('ChecklistItem'))) },
+      errors: [400, 404]
+    }),
+    post: operation({
+      operationId: 'createItem',
+      tag: 'Checklists',
+      summary: 'Add a checklist item',
+      schema: todoSchemas.createItem,
+      responses: { 201: ok('The new item', ref('ChecklistItem'), {
+        message: true,
+        meta: { type: 'object', required: ['todo'], properties: { todo: ref('ParentTodo') } }
+      }) },
+      errors: [404]
+    })
+  },
+  '/todos/{id}/items/reorder': {
+    patch: operation({
+      operationId: 'reorderItems',
+      tag: 'Checklists',
+      summary: 'Reorder the checklist',
+      description: 'ids must list every item of the todo exactly once, in the new order.',
+      schema: todoSchemas.reorderItems,
+      responses: { 200: ok('Items in the new order', arrayOf(ref('ChecklistItem'))) },
+      errors: [404]
+    })
+  },
+  '/todos/{id}/items/{itemId}': {
+    put: operation({
+      operationId: 'updateItem',
+      tag: 'Checklists',
+      summary: 'Rename or toggle a checklist item',
+      schema: todoSchemas.updateItem,
+      responses: { 200: ok('The updated item', ref('ChecklistItem'), {
+        message: true,
+        meta: { type: 'object', required: ['todo'], properties: { todo: ref('ParentTodo') } }
+      }) },
+      errors: [404]
+    }),
+    delete: operation({
+      operationId: 'deleteItem',
+      tag: 'Checklists',
+      summary: 'Delete a checklist item',
+      schema: todoSchemas.itemById,
+      responses: {
+        200: ok('Deleted', { type: 'null' }, {
+          message: true,
+          meta: { type: 'object', required: ['todo'], properties: { todo: ref('ParentTodo') } }
+        })
+      },
+      errors: [400, 404]
+    })
+  },
+
+  '/lists': {
+    get: operation({
+      operationId: 'getAllLists',
+      tag: 'Lists',
+      summary: 'Get all lists with their todo counts, default list first',
+      responses: { 200: ok('Lists', arrayOf(ref('List'))) }
+    }),
+    post: operation({
+      operationId: 'createList',
+      tag: 'Lists',
+      summary: 'Create a list',
+      schema: { body: { name: listName } },
+      responses: { 201: ok('The new list', ref('List'), { message: true }) }
+    })
+  },
+  '/lists/{listId}': {
+    get: operation({
+      operationId: 'getListById',
+      tag: 'Lists',
+      summary: 'Get a list',
+      schema: { params: { listId: id } },
+      responses: { 200: ok('The list', ref('List')) },
+      errors: [404]
+    }),
+    put: operation({
+      operationId: 'updateList',
+      tag: 'Lists',
+      summary: 'Rename a list',
+      schema: { params: { listId: id }, body: { name: listName } },
+      responses: { 200: ok('Renamed', ref('List'), { message: true }) },
+      errors: [404]
+    }),
+    delete: operation({
+      operationId: 'deleteList',
+      tag: 'Lists',
+      summary: 'Delete a list',
+      description: 'Its todos move to ?target= (default: the default list), or with ?mode=cascade go to ' +
+        'the trash, from where they are restored into the default list. The default list cannot be deleted.',
+      schema: {
+        params: { listId: id },
+        query: {
+          mode: { type: 'string', enum: ['move', 'cascade'] },
+          target: { type: 'id' }
+        }
+      },
+      responses: {
+        200: ok('Deleted', {
+          type: 'object',
+          required: ['movedTodos', 'deletedTodos', 'targetListId'],
+          properties: {
+            movedTodos: { type: 'integer' },
+            deletedTodos: { type: 'integer' },
+            targetListId: { type: ['integer', 'null'] }
+          }
+        }, { message: true })
+      },
+      errors: [400, 404]
+    })
+  },
+  '/lists/{listId}/todos': {
+    get: operation({
+      operationId: 'getTodosInList',
+      tag: 'Lists',
+      summary: 'Get the todos in a list',
+      description: 'Takes the same query parameters as GET /todos.',
+      schema: todoSchemas.listTodosInList,
+      responses: {
+        200: ok('A page of todos', arrayOf(ref('Todo')), { headers: ['ETag'], meta: ref('TodoPageMeta') }),
+        304: { description: 'Not modified since the ETag sent in If-None-Match' }
+      },
+      errors: [400, 404]
+    }),
+    post: operation({
+      operationId: 'createTodoInList',
+      tag: 'Lists',
+      summary: 'Create a todo in a list',
+      schema: todoSchemas.createTodoInList,
+      responses: { 201: ok('The new todo', ref('Todo'), { headers: ['ETag'], message: true }) },
+      errors: [404]
+    })
+  },
+
+  '/tags': {
+    get: operation({
+      operationId: 'getAllTags',
+      tag: 'Tags',
+      summary: 'Get all tags with how many todos use each',
+      schema: { query: { q: { type: 'string' } } },
+      responses: { 200: ok('Tags by name', arrayOf(ref('Tag'))) }
+    }),
+    post: operation({
+      operationId: 'createTag',
+      tag: 'Tags',
+      summary: 'Create a tag',
+      schema: { body: { ...tagFields, name: { ...tagFields.name, required: true } } },
+      responses: { 201: ok('The new tag', ref('Tag'), { message: true }) },
+      errors: [409]
+    })
+  },
+  '/tags/{id}': {
+    get: operation({
+      operationId: 'getTagById',
+      tag: 'Tags',
+      summary: 'Get a tag',
+      schema: { params: { id } },
+      responses: { 200: ok('The tag', ref('Tag')) },
+      errors: [404]
+    }),
+    put: operation({
+      operationId: 'updateTag',
+      tag: 'Tags',
+      summary: 'Rename or recolor a tag',
+      schema: { params: { id }, body: tagFields },
+      responses: { 200: ok('Updated', ref('Tag'), { message: true }) },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      operationId: 'deleteTag',
+      tag: 'Tags',
+      summary: 'Delete a tag and remove it from every todo',
+      schema: { params: { id } },
+      responses: { 200: ok('Deleted', { type: 'null' }, { message: true }) },
+      errors: [404]
+    })
+  },
+
+  '/webhooks': {
+    get: operation({
+      operationId: 'getAllWebhooks',
+      tag: 'Webhooks',
+      summary: 'Get all webhooks',
+      schema: webhookSchemas.listWebhooks,
+      responses: { 200: ok('Webhooks, oldest first', arrayOf(ref('Webhook'))) },
+      errors: [400]
+    }),
+    post: operation({
+      operationId: 'createWebhook',
+      tag: 'Webhooks',
+      summary: 'Register a URL for todo events',
+      description: 'Each event is POSTed to the URL as { id, event, created_at, data }, signed with ' +
+        'X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"). Without a ' +
+        'secret one is generated; this response is the only time it is shown.',
+      schema: webhookSchemas.createWebhook,
+      responses: { 201: ok('The new webhook, with its secret', ref('Webhook'), { message: true }) }
+    })
+  },
+  '/webhooks/{id}': {
+    get: operation({
+      operationId: 'getWebhookById',
+      tag: 'Webhooks',
+      summary: 'Get a webhook',
+      schema: webhookSchemas.webhookById,
+      responses: { 200: ok('The webhook', ref('Webhook')) },
+      errors: [400, 404]
+    }),
+    put: operation({
+      operationId: 'updateWebhook',
+      tag: 'Webhooks',
+      summary: 'Change a webhook or replace its secret',
+      description: 'rotate_secret: true generates a new secret; it is in the response, like a secret that was sent.',
+      schema: webhookSchemas.updateWebhook,
+      responses: { 200: ok('Updated', ref('Webhook'), { message: true }) },
+      errors: [404]
+    }),
+    delete: operation({
+      operationId: 'deleteWebhook',
+      tag: 'Webhooks',
+      summary: 'Delete a webhook and its delivery log',
+      schema: webhookSchemas.webhookById,
+      responses: { 200: ok('Deleted', { type: 'null' }, { message: true }) },
+      errors: [400, 404]
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    get: operation({
+      operationId: 'getWebhookDeliveries',
+      tag: 'Webhooks',
+      summary: "Get a webhook's delivery log, newest first",
+      description: 'Failed attempts are retried with exponential backoff; a delivery is failed once it has ' +
+        'used up its attempts. Finished deliveries are kept for 30 days.',
+      schema: webhookSchemas.listDeliveries,
+      responses: { 200: ok('Deliveries', arrayOf(ref('WebhookDelivery'))) },
+      errors: [400, 404]
+    })
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/retry': {
+    post: operation({
+      operationId: 'retryWebhookDelivery',
+      tag: 'Webhooks',
+      summary: 'Send a delivery again now',
+      schema: webhookSchemas.retryDelivery,
+      responses: { 200: ok('Queued', ref('WebhookDelivery'), { message: true }) },
+      errors: [400, 404]
+    })
+  },
+
+  '/events': {
+    get: operation({
+      operationId: 'streamEvents',
+      tag: 'Events',
+      summary: 'Stream todo changes as Server-Sent Events',
+      description: 'EventSource cannot set headers, so the token may be sent as ?access_token= instead. ' +
+        'A reconnecting client sends Last-Event-ID (or ?lastEventId=) and first receives what it missed, ' +
+        'or a resync event when that is no longer available.',
+      schema: {
+        query: {
+          access_token: { type: 'string' },
+          lastEventId: { type: 'string' }
+        }
+      },
+      responses: {
+        200: {
+          description: 'An endless stream of events such as todo.created, todo.updated and todo.deleted',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+      }
+    })
+  },
+  '/openapi.json': {
+    get: operation({
+      operationId: 'getOpenApi',
+      tag: 'Docs',
+      summary: 'This document',
+      isPublic: true,
+      responses: { 200: { description: 'The OpenAPI description of the API', content: json({ type: 'object' }) } }
+    })
+  }
+};
+
+module.exports = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Todo App API',
+    version,
+    description: 'Every route except registration, login and this document needs a bearer token. ' +
+      'Successful responses are wrapped as { "data", "message", "meta" }; errors are answered with ' +
+      '{ "error": { "code", "message", "fields" } }. The unversioned /api paths still answer in the ' +
+      'pre-v1 shapes but are deprecated (see the Deprecation and Sunset headers).'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  tags: ['Auth', 'Todos', 'Checklists', 'History', 'Trash', 'Import and export', 'Lists', 'Tags', 'Webhooks', 'Events', 'Docs']
+    .map(name => ({ name })),
+  paths,
+  components
+};
@@ -0,0 +1,41 @@
+const database = require('../config/database');
+const { hashToken } = require('../utils/auth');
+const { internalError } = require('../utils/errors');
+
+// Build middleware that requires a valid "Authorization: Bearer <token>" header
+// and attaches req.user. With allowQueryToken, ?access_token= is accepted too,
+// for clients such as EventSource that cannot set headers.
+function authenticate({ allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get('Authorization') || '';
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+      const token = match ? match[1] : (allowQueryToken && req.query.access_token) || null;
+      if (!token) {
+        res.status(401).json({ error: 'Authentication required' });
+        return;
+      }
+
+      const user = await database.get(
+        `SELECT users.id, users.username
+         FROM sessions JOIN users ON users.id = sessions.user_id
+         WHERE sessions.token_hash = ? AND sessions.expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(String(token))]
+      );
+      if (!user) {
+        res.status(401).json({ error: 'Invalid or expired token' });
+        return;
+      }
+
+      req.user = user;
+      req.token = String(token);
+      next();
+    } catch (error) {
+      internalError(req, res, error);
+    }
+  };
+}
+
+const requireAuth = authenticate();
+
+module.exports = { authenticate, requireAuth };
@@ -0,0 +1,19 @@
+const { errorBody } = require('../utils/errors');
+
+// Controllers answer errors with res.status(n).json({ error: 'message' }).
+// Rewrite those bodies into the structured shape from utils/errors.js, keeping
+// any extra fields (such as the server copy sent with a 412), so every error
+// response looks the same.
+function structuredErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+      const { error, ...rest } = body;
+      return json({ ...errorBody(res.statusCode, error), ...rest });
+    }
+    return json(body);
+  };
+  next();
+}
+
+module.exports = { structuredErrors };
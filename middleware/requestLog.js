@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { httpRequests, httpRequestDuration, secondsSince } = require('../services/metrics');
+
+// Request ids a client or proxy may pass in; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Health checks come every few seconds; they are only logged at debug level
+const PROBE_PATHS = ['/healthz', '/readyz'];
+
+// The route that answered, e.g. /api/v1/todos/:id, so logs and metrics group
+// requests by route rather than by URL. Requests turned away by a router's
+// middleware (such as a 401) count under the router, e.g. /api/v1/todos/*;
+// static files and unknown paths have no route.
+function routeOf(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+  }
+  return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+}
+
+// Give every request an id (the caller's X-Request-Id, or a new one), echo it
+// in the X-Request-Id response header, and when the response is done, log the
+// request and count it in the HTTP metrics. The path is logged without its
+// query string, which may hold a token.
+function requestLog(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.once('close', () => {
+    const seconds = secondsSince(started);
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+    const log = PROBE_PATHS.includes(req.path) ? logger.debug : logger.info;
+    log('Request completed', {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 100000) / 100,
+      user_id: req.user ? req.user.id : undefined,
+      // The client went away before the whole response was sent
+      aborted: res.writableFinished ? undefined : true
+    });
+  });
+  next();
+}
+
+module.exports = { requestLog };
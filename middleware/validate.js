@@ -0,0 +1,32 @@
+const { isPlainObject, validateObject } = require('../utils/schema');
+const { errorBody } = require('../utils/errors');
+
+const SECTIONS = ['params', 'query', 'body'];
+
+// Build middleware that checks req.params, req.query and req.body against a
+// route schema ({ params, query, body }; see utils/schema.js) and answers 400
+// with every field error at once. Sections the schema leaves out aren't checked.
+function validate(schema) {
+  return (req, res, next) => {
+    const fields = {};
+    SECTIONS.forEach((section) => {
+      if (!schema[section]) {
+        return;
+      }
+      if (section === 'body' && !isPlainObject(req.body)) {
+        fields.body = 'must be a JSON object';
+        return;
+      }
+      Object.assign(fields, validateObject(schema[section], req[section] || {}));
+    });
+
+    if (Object.keys(fields).length > 0) {
+      const message = Object.entries(fields).map(([field, problem]) => `${field} ${problem}`).join('; ');
+      res.status(400).json(errorBody(400, message, { code: 'validation_failed', fields }));
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,29 @@
+// API versioning. Every version is mounted under /api/vN and tags its requests
+// with req.apiVersion, which utils/envelope.js uses to pick the response shape.
+
+function apiVersion(version) {
+  return (req, res, next) => {
+    req.apiVersion = version;
+    next();
+  };
+}
+
+// Mark responses as deprecated (RFC 9745) with the date the API will go away
+// (Sunset, RFC 8594). `successor(req)` may return the URL that replaces the
+// requested one, sent as a Link with rel="successor-version". Works for a
+// whole mount point or a single route.
+function deprecated({ since, sunset, successor }) {
+  const deprecation = `@${Math.floor(new Date(since).getTime() / 1000)}`;
+  const sunsetDate = new Date(sunset).toUTCString();
+  return (req, res, next) => {
+    res.set('Deprecation', deprecation);
+    res.set('Sunset', sunsetDate);
+    const url = successor && successor(req);
+    if (url) {
+      res.append('Link', `<${url}>; rel="successor-version"`);
+    }
+    next();
+  };
+}
+
+module.exports = { apiVersion, deprecated };
@@ -0,0 +1,19 @@
+// Initial todos table
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS todos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        completed BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE todos');
+  }
+};
@@ -0,0 +1,37 @@
+// User accounts, login sessions and todo ownership
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL
+      )
+    `);
+
+    // Databases created before migrations existed may already have the column
+    const columns = await db.all('PRAGMA table_info(todos)');
+    if (!columns.some(column => column.name === 'user_id')) {
+      await db.run('ALTER TABLE todos ADD COLUMN user_id INTEGER REFERENCES users(id)');
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_todos_user_id ON todos(user_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_todos_user_id');
+    await db.run('ALTER TABLE todos DROP COLUMN user_id');
+    await db.run('DROP TABLE sessions');
+    await db.run('DROP TABLE users');
+  }
+};
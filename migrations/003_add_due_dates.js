@@ -0,0 +1,16 @@
+// Optional due dates with a display time zone, and the time a todo was flagged overdue
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE todos ADD COLUMN due_at DATETIME');
+    await db.run('ALTER TABLE todos ADD COLUMN due_tz TEXT');
+    await db.run('ALTER TABLE todos ADD COLUMN overdue_at DATETIME');
+    await db.run('CREATE INDEX idx_todos_due_at ON todos(due_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX idx_todos_due_at');
+    await db.run('ALTER TABLE todos DROP COLUMN overdue_at');
+    await db.run('ALTER TABLE todos DROP COLUMN due_tz');
+    await db.run('ALTER TABLE todos DROP COLUMN due_at');
+  }
+};
@@ -0,0 +1,29 @@
+// Per-user tags and the many-to-many link between todos and tags
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL COLLATE NOCASE,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE todo_tags (
+        todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (todo_id, tag_id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_todo_tags_tag_id ON todo_tags(tag_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE todo_tags');
+    await db.run('DROP TABLE tags');
+  }
+};
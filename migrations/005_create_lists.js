@@ -0,0 +1,35 @@
+// Named lists that group todos. Every user gets a default "Inbox" list that
+// their existing todos move into.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        is_default BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_lists_user_id ON lists(user_id)');
+    await db.run('CREATE UNIQUE INDEX idx_lists_default ON lists(user_id) WHERE is_default = 1');
+
+    await db.run('ALTER TABLE todos ADD COLUMN list_id INTEGER REFERENCES lists(id) ON DELETE CASCADE');
+    await db.run('CREATE INDEX idx_todos_list_id ON todos(list_id)');
+
+    await db.run("INSERT INTO lists (user_id, name, is_default) SELECT id, 'Inbox', 1 FROM users");
+    await db.run(`
+      UPDATE todos SET list_id = (
+        SELECT lists.id FROM lists WHERE lists.user_id = todos.user_id AND lists.is_default = 1
+      )
+      WHERE user_id IS NOT NULL
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX idx_todos_list_id');
+    await db.run('ALTER TABLE todos DROP COLUMN list_id');
+    await db.run('DROP TABLE lists');
+  }
+};
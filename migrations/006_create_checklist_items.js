@@ -0,0 +1,24 @@
+// Checklist items (subtasks) on a todo, and the option to complete the todo
+// automatically once every item is done
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE checklist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        completed BOOLEAN DEFAULT 0,
+        position INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_checklist_items_todo_id ON checklist_items(todo_id, position)');
+    await db.run('ALTER TABLE todos ADD COLUMN auto_complete BOOLEAN DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE todos DROP COLUMN auto_complete');
+    await db.run('DROP TABLE checklist_items');
+  }
+};
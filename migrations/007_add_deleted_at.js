@@ -0,0 +1,13 @@
+// Soft delete: deleted todos stay in the trash, marked with the time they were
+// deleted, until they are restored or purged
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE todos ADD COLUMN deleted_at DATETIME');
+    await db.run('CREATE INDEX idx_todos_deleted_at ON todos(deleted_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX idx_todos_deleted_at');
+    await db.run('ALTER TABLE todos DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,23 @@
+// Audit log of every change made to a todo: who made it, when, the field-level
+// diff and the todo's state afterwards (so it can be reverted to)
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE todo_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        reverted_to INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_todo_history_todo_id ON todo_history(todo_id, id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE todo_history');
+  }
+};
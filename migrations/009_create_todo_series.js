@@ -0,0 +1,32 @@
+// Recurring todos. A series holds the recurrence rule and the template new
+// occurrences are created from; each occurrence is an ordinary todo linked
+// back to its series.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE todo_series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rule TEXT NOT NULL,
+        anchor_at DATETIME NOT NULL,
+        anchor_occurrence INTEGER NOT NULL DEFAULT 1,
+        due_tz TEXT,
+        template TEXT NOT NULL,
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        ended_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('ALTER TABLE todos ADD COLUMN series_id INTEGER REFERENCES todo_series(id) ON DELETE SET NULL');
+    await db.run('ALTER TABLE todos ADD COLUMN occurrence INTEGER');
+    await db.run('CREATE INDEX idx_todos_series_id ON todos(series_id, occurrence)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX idx_todos_series_id');
+    await db.run('ALTER TABLE todos DROP COLUMN occurrence');
+    await db.run('ALTER TABLE todos DROP COLUMN series_id');
+    await db.run('DROP TABLE todo_series');
+  }
+};
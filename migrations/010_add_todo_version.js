@@ -0,0 +1,11 @@
+// Optimistic concurrency: every change to a todo bumps its version, which is
+// sent as the ETag and checked against If-Match on updates and deletes
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE todos ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE todos DROP COLUMN version');
+  }
+};
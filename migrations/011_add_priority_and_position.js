@@ -0,0 +1,24 @@
+// Priorities and manual ordering. `position` is a fractional rank within the
+// user's todos (lowest first), so moving a todo only rewrites that one row.
+// Existing todos keep their newest-first order, 1024 apart.
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE todos ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium'");
+    await db.run('ALTER TABLE todos ADD COLUMN position REAL NOT NULL DEFAULT 0');
+    await db.run(
+      `UPDATE todos SET position = 1024 * (
+         SELECT COUNT(*) FROM todos AS newer
+         WHERE newer.user_id = todos.user_id
+           AND (newer.created_at > todos.created_at
+                OR (newer.created_at = todos.created_at AND newer.id > todos.id))
+       )`
+    );
+    await db.run('CREATE INDEX idx_todos_position ON todos(user_id, position)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX idx_todos_position');
+    await db.run('ALTER TABLE todos DROP COLUMN position');
+    await db.run('ALTER TABLE todos DROP COLUMN priority');
+  }
+};
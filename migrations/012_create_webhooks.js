@@ -0,0 +1,43 @@
+// Outgoing webhooks. Each webhook is a URL that wants some todo events; every
+// event it wants is queued as a delivery row, which doubles as the delivery
+// log once it has been sent or given up on.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_webhooks_user_id ON webhooks(user_id)');
+    await db.run(`
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_attempt_at DATETIME,
+        response_status INTEGER,
+        error TEXT,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    await db.run('CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE webhook_deliveries');
+    await db.run('DROP TABLE webhooks');
+  }
+};
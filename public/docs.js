@@ -0,0 +1,309 @@
+// Interactive API docs: renders /api/v1/openapi.json and lets each operation be
+// tried against the running server.
+class ApiDocs {
+    constructor() {
+        this.spec = null;
+        this.tokenInput = document.getElementById('docsToken');
+        this.init();
+    }
+
+    async init() {
+        document.getElementById('useSession').addEventListener('click', () => {
+            this.tokenInput.value = localStorage.getItem('authToken') || '';
+        });
+        this.tokenInput.value = localStorage.getItem('authToken') || '';
+
+        try {
+            const response = await fetch('/api/v1/openapi.json');
+            if (!response.ok) {
+                throw new Error(`The server answered ${response.status}`);
+            }
+            this.spec = await response.json();
+        } catch (error) {
+            this.showError(`Could not load the API description: ${error.message}`);
+            return;
+        }
+
+        document.title = `${this.spec.info.title} ${this.spec.info.version}`;
+        document.getElementById('apiDescription').textContent = this.spec.info.description || '';
+        this.renderOperations();
+        this.renderSchemas();
+    }
+
+    showError(message) {
+        const element = document.getElementById('docsError');
+        element.textContent = message;
+        element.style.display = 'block';
+    }
+
+    // Operations grouped by their first tag, in the order the spec lists the tags
+    renderOperations() {
+        const groups = new Map(this.spec.tags.map(tag => [tag.name, []]));
+        Object.entries(this.spec.paths).forEach(([path, methods]) => {
+            Object.entries(methods).forEach(([method, operation]) => {
+                const tag = operation.tags[0];
+                if (!groups.has(tag)) {
+                    groups.set(tag, []);
+                }
+                groups.get(tag).push({ path, method, operation });
+            });
+        });
+
+        const container = document.getElementById('operations');
+        container.innerHTML = [...groups.entries()]
+            .filter(([, operations]) => operations.length > 0)
+            .map(([tag, operations]) => `
+                <section class="todo-form docs-group">
+                    <h2>${this.escapeHtml(tag)}</h2>
+                    ${operations.map(entry => this.renderOperation(entry)).join('')}
+                </section>
+            `).join('');
+
+        container.querySelectorAll('form[data-operation]').forEach((form) => {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.send(form);
+            });
+        });
+    }
+
+    renderOperation({ path, method, operation }) {
+        const parameters = (operation.parameters || []).map(parameter => this.resolve(parameter));
+        const body = operation.requestBody;
+        const contentTypes = body ? Object.keys(body.content) : [];
+        const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+
+        return `
+            <details class="docs-operation">
+                <summary>
+                    <span class="docs-method docs-method-${method}">${method.toUpperCase()}</span>
+                    <code>${this.escapeHtml(path)}</code>
+                    <span class="docs-summary">${this.escapeHtml(operation.summary || '')}</span>
+                    ${isPublic ? '<span class="docs-public">no token</span>' : ''}
+                </summary>
+                <div class="docs-operation-body">
+                    ${operation.description ? `<p>${this.escapeHtml(operation.description)}</p>` : ''}
+                    ${parameters.length > 0 ? this.renderParameters(parameters) : ''}
+                    ${body ? `
+                        <h3>Request body</h3>
+                        <ul class="docs-list">
+                            ${contentTypes.map(type => `
+                                <li><code>${this.escapeHtml(type)}</code> ${this.typeLabel(body.content[type].schema)}</li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    <h3>Responses</h3>
+                    <ul class="docs-list">
+                        ${Object.entries(operation.responses).map(([status, response]) => {
+                            const resolved = this.resolve(response);
+                            const content = resolved.content ? Object.values(resolved.content)[0] : null;
+                            return `
+                                <li>
+                                    <strong>${this.escapeHtml(status)}</strong>
+                                    ${this.escapeHtml(resolved.description || '')}
+                                    ${content ? `— ${this.typeLabel(content.schema)}` : ''}
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                    <h3>Try it</h3>
+                    <form data-operation data-path="${this.escapeHtml(path)}" data-method="${method}"
+                          data-public="${isPublic}">
+                        ${parameters.map(parameter => `
+                            <div class="form-group">
+                                <label class="field-label">
+                                    ${this.escapeHtml(parameter.name)}
+                                    <span class="docs-where">${this.escapeHtml(parameter.in)}${parameter.required ? ', required' : ''}</span>
+                                </label>
+                                <input type="text" data-in="${this.escapeHtml(parameter.in)}"
+                                       data-name="${this.escapeHtml(parameter.name)}"
+                                       ${parameter.required ? 'required' : ''}
+                                       placeholder="${this.escapeHtml(this.typeText(parameter.schema))}" />
+                            </div>
+                        `).join('')}
+                        ${body ? `
+                            <div class="form-group">
+                                <label class="field-label">Body</label>
+                                ${contentTypes.length > 1 ? `
+                                    <select data-content-type>
+                                        ${contentTypes.map(type => `<option>${this.escapeHtml(type)}</option>`).join('')}
+                                    </select>
+                                ` : `<input type="hidden" data-content-type value="${this.escapeHtml(contentTypes[0])}" />`}
+                                <textarea data-body rows="6">${this.escapeHtml(this.exampleBody(body))}</textarea>
+                            </div>
+                        ` : ''}
+                        <button type="submit" class="btn btn-primary">Send</button>
+                    </form>
+                    <pre class="docs-response" style="display: none"></pre>
+                </div>
+            </details>
+        `;
+    }
+
+    renderParameters(parameters) {
+        return `
+            <h3>Parameters</h3>
+            <table class="docs-table">
+                <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+                <tbody>
+                    ${parameters.map(parameter => `
+                        <tr>
+                            <td><code>${this.escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>
+                            <td>${this.escapeHtml(parameter.in)}</td>
+                            <td>${this.typeLabel(parameter.schema)}</td>
+                            <td>${this.escapeHtml(parameter.description || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderSchemas() {
+        const schemas = this.spec.components.schemas;
+        document.getElementById('schemas').innerHTML = Object.entries(schemas).map(([name, schema]) => `
+            <details class="docs-operation" id="schema-${this.escapeHtml(name)}">
+                <summary><code>${this.escapeHtml(name)}</code></summary>
+                <pre class="docs-schema">${this.escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+            </details>
+        `).join('');
+    }
+
+    // Follow a $ref into the components section
+    resolve(item) {
+        if (!item || !item.$ref) {
+            return item;
+        }
+        const [, section, name] = item.$ref.match(/^#\/components\/(\w+)\/(.+)$/);
+        return this.resolve(this.spec.components[section][name]);
+    }
+
+    // A short description of a schema, with named schemas linked
+    typeLabel(schema) {
+        if (!schema) return '';
+        if (schema.$ref) {
+            const name = schema.$ref.split('/').pop();
+            return `<a href="#schema-${this.escapeHtml(name)}" class="docs-ref">${this.escapeHtml(name)}</a>`;
+        }
+        if (schema.anyOf) return schema.anyOf.map(part => this.typeLabel(part)).join(' | ');
+        if (schema.allOf) return schema.allOf.map(part => this.typeLabel(part)).join(' + ');
+        if (schema.type === 'array') return `${this.typeLabel(schema.items)}[]`;
+        return this.escapeHtml(this.typeText(schema));
+    }
+
+    typeText(schema) {
+        if (!schema) return '';
+        if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+        if (schema.type === 'object' && schema.properties) return `{ ${Object.keys(schema.properties).join(', ')} }`;
+        const types = [].concat(schema.type || 'any');
+        return types.join(' | ');
+    }
+
+    // A starting point for the body textarea: the required fields of the first content type
+    exampleBody(body) {
+        const [type, media] = Object.entries(body.content)[0];
+        if (type !== 'application/json') {
+            return '';
+        }
+        return JSON.stringify(this.example(media.schema), null, 2);
+    }
+
+    example(schema, depth = 0) {
+        const resolved = this.resolve(schema) || {};
+        if (depth > 4) return null;
+        if (resolved.enum) return resolved.enum[0];
+        if (resolved.anyOf) return this.example(resolved.anyOf[0], depth + 1);
+        if (resolved.allOf) {
+            return Object.assign({}, ...resolved.allOf.map(part => this.example(part, depth + 1)));
+        }
+
+        const type = [].concat(resolved.type).find(candidate => candidate !== 'null');
+        if (type === 'object') {
+            const properties = resolved.properties || {};
+            const names = resolved.required || Object.keys(properties).slice(0, 1);
+            const value = {};
+            names.forEach((name) => {
+                value[name] = this.example(properties[name], depth + 1);
+            });
+            return value;
+        }
+        if (type === 'array') {
+            return resolved.minItems ? [this.example(resolved.items, depth + 1)] : [];
+        }
+        if (type === 'integer' || type === 'number') return resolved.minimum || 0;
+        if (type === 'boolean') return false;
+        if (type === 'string') return '';
+        return null;
+    }
+
+    async send(form) {
+        const output = form.nextElementSibling;
+        const query = new URLSearchParams();
+        const headers = {};
+        let path = form.dataset.path;
+
+        form.querySelectorAll('input[data-in]').forEach((input) => {
+            const { name } = input.dataset;
+            if (input.value === '') {
+                return;
+            }
+            if (input.dataset.in === 'path') {
+                path = path.replace(`{${name}}`, encodeURIComponent(input.value));
+            } else if (input.dataset.in === 'query') {
+                query.append(name, input.value);
+            } else if (input.dataset.in === 'header') {
+                headers[name] = input.value;
+            }
+        });
+
+        const token = this.tokenInput.value.trim();
+        if (token && form.dataset.public !== 'true') {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const options = { method: form.dataset.method.toUpperCase(), headers };
+        const bodyInput = form.querySelector('[data-body]');
+        if (bodyInput) {
+            headers['Content-Type'] = form.querySelector('[data-content-type]').value;
+            options.body = bodyInput.value;
+        }
+
+        const server = this.spec.servers[0].url;
+        const url = `${server}${path}${query.toString() ? `?${query}` : ''}`;
+        output.style.display = 'block';
+        output.textContent = `${options.method} ${url}\n…`;
+
+        try {
+            const response = await fetch(url, options);
+            const text = await response.text();
+            let shown = text;
+            try {
+                shown = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Not JSON; show it as it came
+            }
+            const etag = response.headers.get('ETag');
+            output.textContent = [
+                `${options.method} ${url}`,
+                `${response.status} ${response.statusText}`,
+                etag ? `ETag: ${etag}` : null,
+                '',
+                shown
+            ].filter(line => line !== null).join('\n');
+        } catch (error) {
+            output.textContent = `${options.method} ${url}\nRequest failed: ${error.message}`;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+// Initialize the docs when the page loads
+let apiDocs;
+document.addEventListener('DOMContentLoaded', () => {
+    apiDocs = new ApiDocs();
+});
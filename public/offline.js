@@ -0,0 +1,104 @@
+// IndexedDB storage for working offline: a mirror of the user's todos, a few
+// cached values (the signed-in user and their lists) and the outbox of changes
+// waiting to be sent to the server.
+class OfflineStore {
+    constructor(name = 'todo-app') {
+        this.name = name;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('todos', { keyPath: 'id' });
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.opening;
+    }
+
+    // Run work(store) in a transaction and resolve once it has committed, with
+    // the result of the request work returned (if any)
+    async run(storeName, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request instanceof IDBRequest ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    getTodos() {
+        return this.run('todos', 'readonly', store => store.getAll());
+    }
+
+    getTodo(id) {
+        return this.run('todos', 'readonly', store => store.get(id));
+    }
+
+    putTodo(todo) {
+        return this.run('todos', 'readwrite', store => store.put(todo));
+    }
+
+    deleteTodo(id) {
+        return this.run('todos', 'readwrite', store => store.delete(id));
+    }
+
+    // Swap the whole mirror for a fresh copy from the server
+    replaceTodos(todos) {
+        return this.run('todos', 'readwrite', (store) => {
+            store.clear();
+            todos.forEach(todo => store.put(todo));
+        });
+    }
+
+    async getValue(key) {
+        const entry = await this.run('meta', 'readonly', store => store.get(key));
+        return entry ? entry.value : undefined;
+    }
+
+    setValue(key, value) {
+        return this.run('meta', 'readwrite', store => store.put({ key, value }));
+    }
+
+    // Outbox operations in the order they were queued
+    getOperations() {
+        return this.run('outbox', 'readonly', store => store.getAll());
+    }
+
+    countOperations() {
+        return this.run('outbox', 'readonly', store => store.count());
+    }
+
+    addOperation(operation) {
+        return this.run('outbox', 'readwrite', store => store.add({ ...operation, queued_at: new Date().toISOString() }));
+    }
+
+    updateOperation(operation) {
+        return this.run('outbox', 'readwrite', store => store.put(operation));
+    }
+
+    removeOperation(seq) {
+        return this.run('outbox', 'readwrite', store => store.delete(seq));
+    }
+
+    // Forget everything, e.g. when the user logs out
+    async clear() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['todos', 'outbox', 'meta'], 'readwrite');
+            ['todos', 'outbox', 'meta'].forEach(name => tx.objectStore(name).clear());
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
@@ -1,310 +1,2117 @@
+// Thrown by TodoApp.api() when a request can't reach the server
+class OfflineError extends Error {}
+
 class TodoApp {
     constructor() {
         this.todos = [];
         this.currentFilter = 'all';
+        this.searchQuery = '';
+        this.sort = 'created_at';
+        this.order = 'desc';
+        this.pageSize = 20;
+        this.pagination = null;
+        this.counts = { total: 0, completed: 0, pending: 0 };
         this.editingTodoId = null;
+        this.editingVersion = null;
+        this.conflictTodo = null;
+        this.searchTimer = null;
+        this.tagFilter = null;
+        this.lists = [];
+        this.currentListId = null;
+        this.expandedTodos = new Set();
+        this.checklists = new Map();
+        this.selected = new Set();
+        this.draggedId = null;
+        this.tagSuggestTimer = null;
+        this.eventSource = null;
+        this.lastEventId = null;
+        this.reconnectTimer = null;
+        this.refreshTimer = null;
+        this.mirrorTimer = null;
+        this.store = new OfflineStore();
+        this.online = navigator.onLine;
+        this.syncing = false;
+        this.token = localStorage.getItem('authToken');
+        this.user = null;
+        this.authMode = 'login';
+        this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.fieldLabels = {
+            title: 'Title',
+            description: 'Description',
+            completed: 'Completed',
+            due_at: 'Due',
+            due_tz: 'Time zone',
+            list_id: 'List',
+            auto_complete: 'Auto-complete',
+            priority: 'Priority',
+            tags: 'Tags',
+        };
+        this.priorityLabels = { low: 'Low', medium: 'Medium', high: 'High', urgent: 'Urgent' };
+        this.repeatOptions = [
+            { rrule: '', label: "Doesn't repeat" },
+            { rrule: 'FREQ=DAILY', label: 'Every day' },
+            { rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+            { rrule: 'FREQ=WEEKLY', label: 'Every week' },
+            { rrule: 'FREQ=WEEKLY;INTERVAL=2', label: 'Every 2 weeks' },
+            { rrule: 'FREQ=MONTHLY', label: 'Every month' },
+        ];
         
         this.initializeEventListeners();
+        this.registerServiceWorker();
+        document.getElementById('todoRepeat').innerHTML = this.renderRepeatOptions('');
+        this.checkSession();
+    }
+
+    // Show the app if the stored token is still valid, otherwise the login screen
+    async checkSession() {
+        if (!this.token) {
+            this.showAuth();
+            return;
+        }
+
+        try {
+            const response = await this.api('/api/v1/auth/me');
+            if (!response.ok) {
+                throw new Error('Failed to load session');
+            }
+            const { data: user } = await response.json();
+            this.showApp(user);
+        } catch (error) {
+            // Offline: carry on as the user who was last signed in
+            const user = error instanceof OfflineError ? await this.store.getValue('user') : null;
+            if (user) {
+                this.showApp(user);
+                return;
+            }
+            console.error('Error checking session:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // fetch() wrapper that sends the bearer token and returns to the login screen on 401
+    async api(url, options = {}) {
+        const headers = { ...options.headers };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { ...options, headers });
+        } catch (error) {
+            // fetch() only rejects when the request never reached the server
+            this.setOnline(false);
+            throw new OfflineError('You are offline');
+        }
+        this.setOnline(true);
+
+        if (response.status === 401) {
+            this.clearSession();
+            this.showAuth();
+            throw new Error('Your session has expired. Please log in again.');
+        }
+        return response;
+    }
+
+    async authenticate() {
+        const username = document.getElementById('authUsername').value.trim();
+        const password = document.getElementById('authPassword').value;
+
+        try {
+            const response = await fetch(`/api/v1/auth/${this.authMode}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, password }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(this.errorMessage(result, 'Authentication failed'));
+            }
+
+            const { token, user } = result.data;
+            this.token = token;
+            localStorage.setItem('authToken', token);
+            document.getElementById('authForm').reset();
+            this.showApp(user);
+        } catch (error) {
+            console.error('Error authenticating:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async logout() {
+        const pending = await this.store.countOperations();
+        if (pending > 0 && !confirm(`${pending} change${pending === 1 ? '' : 's'} made offline haven't been synced yet and will be lost. Log out anyway?`)) {
+            return;
+        }
+
+        try {
+            await this.api('/api/v1/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        this.clearSession();
+        this.showAuth();
+        await this.store.clear();
+    }
+
+    clearSession() {
+        this.disconnectEvents();
+        this.token = null;
+        this.user = null;
+        this.todos = [];
+        this.lists = [];
+        this.currentListId = null;
+        localStorage.removeItem('authToken');
+    }
+
+    setAuthMode(mode) {
+        this.authMode = mode;
+        const isLogin = mode === 'login';
+        document.getElementById('authTitle').textContent = isLogin ? 'Log in' : 'Create an account';
+        document.getElementById('authSubmit').textContent = isLogin ? 'Log in' : 'Register';
+        document.getElementById('authSwitchText').textContent = isLogin
+            ? "Don't have an account?"
+            : 'Already have an account?';
+        document.getElementById('authSwitch').textContent = isLogin ? 'Register' : 'Log in';
+        document.getElementById('authPassword').autocomplete = isLogin ? 'current-password' : 'new-password';
+    }
+
+    showAuth() {
+        document.getElementById('authSection').style.display = 'block';
+        document.getElementById('appSection').style.display = 'none';
+        document.getElementById('userBar').style.display = 'none';
+    }
+
+    showApp(user) {
+        this.user = user;
+        document.getElementById('currentUser').textContent = `Signed in as ${user.username}`;
+        document.getElementById('authSection').style.display = 'none';
+        document.getElementById('appSection').style.display = 'block';
+        document.getElementById('userBar').style.display = 'flex';
         this.loadTodos();
+        this.connectEvents();
+        this.startOfflineSync(user);
+    }
+
+    // The offline store belongs to one user; start afresh when someone else signs in
+    async startOfflineSync(user) {
+        const previous = await this.store.getValue('user');
+        if (previous && previous.id !== user.id) {
+            await this.store.clear();
+        }
+        await this.store.setValue('user', user);
+        this.updateSyncStatus();
+        this.flushOutbox();
+    }
+
+    registerServiceWorker() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch((error) => {
+                console.error('Error registering service worker:', error);
+            });
+        }
+    }
+
+    setOnline(online) {
+        if (this.online === online) return;
+
+        this.online = online;
+        this.updateSyncStatus();
+        if (online) {
+            this.flushOutbox();
+        }
+    }
+
+    async updateSyncStatus() {
+        const pending = await this.store.countOperations();
+        const status = document.getElementById('syncStatus');
+        status.className = `sync-status ${this.online ? 'online' : 'offline'}`;
+        status.textContent = `${this.online ? 'Online' : 'Offline'}${pending ? ` · ${pending} pending` : ''}`;
+        status.title = pending ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync` : '';
+    }
+
+    // Keep the IndexedDB mirror in step with the server, a page of 100 at a time.
+    // Skipped while changes are queued so their local versions stay visible.
+    async mirrorTodos() {
+        if (await this.store.countOperations() > 0) return;
+
+        const todos = [];
+        let url = `/api/v1/todos?${new URLSearchParams({ limit: 100, sort: 'id', order: 'asc' }).toString()}`;
+        while (url) {
+            const response = await this.api(url);
+            if (!response.ok) {
+                throw new Error('Failed to mirror todos');
+            }
+            const result = await response.json();
+            todos.push(...result.data);
+            url = result.meta.pagination.next;
+        }
+        await this.store.replaceTodos(todos);
+    }
+
+    scheduleMirror() {
+        clearTimeout(this.mirrorTimer);
+        this.mirrorTimer = setTimeout(() => {
+            this.mirrorTodos().catch(error => console.error('Error mirroring todos:', error));
+        }, 1000);
+    }
+
+    // Without a connection, show the mirrored todos that fit the current view
+    async loadOfflineTodos() {
+        const todos = await this.store.getTodos();
+        const inList = todos.filter(todo => !this.currentListId || todo.list_id === this.currentListId);
+        const direction = this.order === 'asc' ? 1 : -1;
+        const priorities = Object.keys(this.priorityLabels);
+        const value = (todo) => {
+            if (this.sort === 'priority') return priorities.indexOf(todo.priority || 'medium');
+            return todo[this.sort] === null || todo[this.sort] === undefined ? '' : todo[this.sort];
+        };
+
+        this.todos = inList
+            .filter(todo => this.matchesView(todo))
+            .sort((a, b) => (value(a) < value(b) ? -direction : value(a) > value(b) ? direction : 0));
+        this.pagination = null;
+        const completed = inList.filter(todo => todo.completed).length;
+        this.counts = {
+            total: inList.length,
+            completed,
+            pending: inList.length - completed,
+            overdue: inList.filter(todo => this.getDueStatus(todo) === 'overdue').length,
+        };
+        this.renderTodos();
+        this.updateStats();
+    }
+
+    // Record a change made offline in the outbox and show it right away.
+    // Todos created offline get a negative id until the server assigns one.
+    async saveOffline(operation, todo) {
+        await this.store.addOperation(operation);
+        if (operation.type === 'delete') {
+            await this.store.deleteTodo(operation.todo_id);
+            this.todos = this.todos.filter(t => t.id !== operation.todo_id);
+        } else {
+            const { tags, recurrence, scope, ...fields } = operation.body;
+            const updated = { ...todo, ...fields, pending: true };
+            if (tags) {
+                updated.tags = tags.map(name => ({ name }));
+            }
+            await this.store.putTodo(updated);
+            const index = this.todos.findIndex(t => t.id === updated.id);
+            if (index === -1) {
+                this.todos.unshift(updated);
+            } else {
+                this.todos[index] = updated;
+            }
+        }
+        this.renderTodos();
+        this.updateSyncStatus();
+        this.showSuccess('Saved offline. It will sync when you are back online.');
+    }
+
+    // Replay the outbox in order. Stops at the first request that can't reach
+    // the server and leaves the rest queued for the next attempt.
+    async flushOutbox() {
+        if (this.syncing || !this.token) return;
+
+        this.syncing = true;
+        let synced = 0;
+        try {
+            const operations = await this.store.getOperations();
+            const versions = new Map(); // Todo id -> version after our own replayed change
+            for (const [index, operation] of operations.entries()) {
+                const id = await this.replayOperation(operation, versions);
+                // Point later changes to a todo created offline at its real id
+                if (operation.type === 'create' && id) {
+                    for (const later of operations.slice(index + 1)) {
+                        if (later.todo_id === operation.todo_id) {
+                            later.todo_id = id;
+                            await this.store.updateOperation(later);
+                        }
+                    }
+                }
+                await this.store.removeOperation(operation.seq);
+                synced++;
+            }
+            if (synced > 0) {
+                await this.mirrorTodos();
+                await this.loadTodos();
+                this.showSuccess(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`);
+            }
+        } catch (error) {
+            if (!(error instanceof OfflineError)) {
+                console.error('Error syncing offline changes:', error);
+            }
+        } finally {
+            this.syncing = false;
+            this.updateSyncStatus();
+        }
+    }
+
+    // Send one queued change; returns the new id for creates. When the todo
+    // changed on the server too, the newer change wins: the server's updated_at
+    // is compared with the time the offline change was made.
+    async replayOperation(operation, versions) {
+        if (operation.type === 'create') {
+            // Creates queued before the move to /api/v1 hold an unversioned URL
+            const url = operation.url.replace(/^\/api\/(?!v\d+\/)/, '/api/v1/');
+            const response = await this.api(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(operation.body),
+            });
+            await this.store.deleteTodo(operation.todo_id);
+            if (!response.ok) {
+                const error = await response.json();
+                this.showError(`"${operation.body.title}" could not be synced: ${this.errorMessage(error, 'Failed to add todo')}`);
+                return null;
+            }
+            const { data: todo } = await response.json();
+            return todo.id;
+        }
+
+        // Changes to a todo whose creation failed to sync have nothing to apply to
+        if (operation.todo_id < 0) return null;
+
+        const send = (version) => this.api(`/api/v1/todos/${operation.todo_id}`, {
+            method: operation.type === 'delete' ? 'DELETE' : 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(version ? { 'If-Match': `"${version}"` } : {}),
+            },
+            body: operation.type === 'delete' ? undefined : JSON.stringify(operation.body),
+        });
+
+        let response = await send(versions.get(operation.todo_id) || operation.version);
+        if (response.status === 412) {
+            const { todo } = await response.json();
+            const serverTime = new Date(`${todo.updated_at.replace(' ', 'T')}Z`);
+            if (serverTime > new Date(operation.queued_at)) {
+                this.showError(`"${todo.title}" was changed by someone else after your offline edit, so their version was kept`);
+                return null;
+            }
+            response = await send(todo.version);
+        }
+
+        if (response.ok) {
+            const { data: todo } = await response.json();
+            if (todo && todo.version) {
+                versions.set(operation.todo_id, todo.version);
+            }
+        } else if (response.status !== 404) {
+            const error = await response.json();
+            this.showError(`An offline change could not be synced: ${this.errorMessage(error, 'Request failed')}`);
+        }
+        return null;
+    }
+
+    // Subscribe to the server's change stream. EventSource reconnects by itself
+    // after network errors and sends Last-Event-ID so missed changes are replayed.
+    connectEvents() {
+        this.disconnectEvents();
+        if (!this.token) return;
+
+        const params = new URLSearchParams({ access_token: this.token });
+        if (this.lastEventId !== null) {
+            params.set('lastEventId', this.lastEventId);
+        }
+        const source = new EventSource(`/api/v1/events?${params.toString()}`);
+        this.eventSource = source;
+
+        const track = (handler) => (e) => {
+            this.lastEventId = e.lastEventId;
+            handler(e.data ? JSON.parse(e.data) : {});
+        };
+
+        source.addEventListener('ready', track(() => {}));
+        source.addEventListener('resync', track(() => this.loadTodos()));
+        source.addEventListener('todo.created', track(todo => this.applyRemoteTodo(todo)));
+        source.addEventListener('todo.updated', track(todo => this.applyRemoteTodo(todo)));
+        source.addEventListener('todo.restored', track(todo => this.applyRemoteTodo(todo)));
+        source.addEventListener('todo.deleted', track(({ id }) => this.removeRemoteTodo(id)));
+        ['list.created', 'list.updated', 'list.deleted', 'tag.updated', 'tag.deleted', 'todos.imported'].forEach(type => {
+            source.addEventListener(type, track(() => this.loadTodos()));
+        });
+
+        // The browser gives up for good on HTTP errors such as an expired token
+        source.addEventListener('error', () => {
+            if (source.readyState === EventSource.CLOSED && this.eventSource === source) {
+                this.reconnectTimer = setTimeout(() => this.checkEventsSession(), 5000);
+            }
+        });
+    }
+
+    disconnectEvents() {
+        clearTimeout(this.reconnectTimer);
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    // Confirm the token still works (api() handles 401) before reconnecting
+    async checkEventsSession() {
+        try {
+            const response = await this.api('/api/v1/auth/me');
+            if (response.ok) {
+                this.connectEvents();
+            }
+        } catch (error) {
+            console.error('Error reconnecting to live updates:', error);
+        }
+    }
+
+    // Whether a todo belongs on screen under the current list, filter, tag and search
+    matchesView(todo) {
+        if (this.currentListId && todo.list_id !== this.currentListId) return false;
+        if (this.currentFilter === 'completed' && !todo.completed) return false;
+        if (this.currentFilter === 'pending' && todo.completed) return false;
+        if (['overdue', 'today', 'upcoming'].includes(this.currentFilter) &&
+            this.getDueStatus(todo) !== this.currentFilter) return false;
+        if (this.tagFilter && !(todo.tags || []).some(tag => tag.name.toLowerCase() === this.tagFilter.toLowerCase())) {
+            return false;
+        }
+        if (this.searchQuery) {
+            const query = this.searchQuery.toLowerCase();
+            const text = `${todo.title} ${todo.description || ''}`.toLowerCase();
+            if (!text.includes(query)) return false;
+        }
+        return true;
+    }
+
+    // Apply a todo created or changed elsewhere without reloading the page
+    applyRemoteTodo(todo) {
+        if (!todo) return;
+
+        this.store.putTodo(todo);
+
+        const index = this.todos.findIndex(t => t.id === todo.id);
+        if (this.matchesView(todo)) {
+            if (index === -1) {
+                this.todos.unshift(todo);
+            } else {
+                this.todos[index] = todo;
+            }
+            // A todo moved in another tab takes its new place
+            if (this.sort === 'position') {
+                const direction = this.order === 'asc' ? 1 : -1;
+                this.todos.sort((a, b) => (a.position - b.position) * direction);
+            }
+        } else if (index !== -1) {
+            this.todos.splice(index, 1);
+        }
+        this.renderTodos();
+        this.scheduleRefresh();
+    }
+
+    removeRemoteTodo(id) {
+        this.store.deleteTodo(id);
+        this.todos = this.todos.filter(todo => todo.id !== id);
+        this.checklists.delete(id);
+        this.selected.delete(id);
+        this.renderTodos();
+        this.scheduleRefresh();
+    }
+
+    // Counts and list totals are cheap to re-fetch; batch bursts of events
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refreshCounts(), 300);
+    }
+
+    async refreshCounts() {
+        try {
+            const params = new URLSearchParams(this.buildQuery(0));
+            params.set('limit', 0);
+            const response = await this.api(`${this.todosUrl()}?${params.toString()}`);
+            if (!response.ok) {
+                throw new Error('Failed to load counts');
+            }
+            const result = await response.json();
+            this.counts = result.meta.counts;
+            this.updateStats();
+            this.loadLists();
+        } catch (error) {
+            console.error('Error refreshing counts:', error);
+        }
+    }
+
+    initializeEventListeners() {
+        // Login / registration
+        document.getElementById('authForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.authenticate();
+        });
+
+        document.getElementById('authSwitch').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.setAuthMode(this.authMode === 'login' ? 'register' : 'login');
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+
+        // Connectivity changes; api() also notices when requests start failing or succeeding
+        window.addEventListener('online', () => this.flushOutbox());
+        window.addEventListener('offline', () => this.setOnline(false));
+
+        // Form submission
+        document.getElementById('todoForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addTodo();
+        });
+
+        // Edit form submission
+        document.getElementById('editForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateTodo();
+        });
+
+        // Filter buttons
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setFilter(e.target.dataset.filter);
+            });
+        });
+
+        // Search box (debounced) and sort order
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.searchQuery = e.target.value.trim();
+                this.loadTodos();
+            }, 300);
+        });
+
+        document.getElementById('sortSelect').addEventListener('change', (e) => {
+            [this.sort, this.order] = e.target.value.split(':');
+            this.loadTodos();
+        });
+
+        document.getElementById('loadMore').addEventListener('click', () => {
+            this.loadTodos({ append: true });
+        });
+
+        // Multi-select and the bulk action toolbar
+        document.getElementById('todosList').addEventListener('change', (e) => {
+            if (e.target.classList.contains('todo-select')) {
+                this.toggleSelected(Number(e.target.dataset.id), e.target.checked);
+            }
+        });
+
+        // Manual order: drag a todo onto another, or focus it and press Alt+Up / Alt+Down
+        const todosList = document.getElementById('todosList');
+        todosList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.todo-item[draggable="true"]');
+            if (!item) return;
+            this.draggedId = Number(item.dataset.id);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.id);
+        });
+
+        todosList.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.todo-item');
+            if (!item || this.draggedId === null) return;
+            e.preventDefault();
+            todosList.querySelectorAll('.drag-over').forEach(other => {
+                if (other !== item) other.classList.remove('drag-over');
+            });
+            item.classList.add('drag-over');
+        });
+
+        todosList.addEventListener('drop', (e) => {
+            const item = e.target.closest('.todo-item');
+            if (!item || this.draggedId === null) return;
+            e.preventDefault();
+            this.moveTodo(this.draggedId, this.todos.findIndex(todo => todo.id === Number(item.dataset.id)));
+        });
+
+        todosList.addEventListener('dragend', () => {
+            this.draggedId = null;
+            todosList.querySelectorAll('.dragging, .drag-over').forEach(item => {
+                item.classList.remove('dragging', 'drag-over');
+            });
+        });
+
+        todosList.addEventListener('keydown', (e) => {
+            if (!e.altKey || !['ArrowUp', 'ArrowDown'].includes(e.key)) return;
+            if (!e.target.matches('.todo-item[draggable="true"]')) return;
+            e.preventDefault();
+            const id = Number(e.target.dataset.id);
+            const index = this.todos.findIndex(todo => todo.id === id);
+            this.moveTodo(id, index + (e.key === 'ArrowUp' ? -1 : 1));
+        });
+
+        document.getElementById('selectAll').addEventListener('change', (e) => {
+            this.selected = new Set(e.target.checked ? this.todos.map(todo => todo.id) : []);
+            this.renderTodos();
+        });
+
+        document.getElementById('bulkToolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) this.runBulkAction(button.dataset.bulk);
+        });
+
+        document.getElementById('bulkMoveList').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.runBulkAction('move', Number(e.target.value));
+                e.target.value = '';
+            }
+        });
+
+        // Trash
+        document.getElementById('trashBtn').addEventListener('click', () => {
+            this.openTrash();
+        });
+
+        document.getElementById('closeTrash').addEventListener('click', () => {
+            document.getElementById('trashModal').style.display = 'none';
+        });
+
+        document.getElementById('emptyTrash').addEventListener('click', () => {
+            this.emptyTrash();
+        });
+
+        document.getElementById('trashList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = Number(button.closest('.trash-item').dataset.id);
+            if (button.dataset.action === 'restore') {
+                this.restoreTodos([id]);
+            } else {
+                this.purgeTodo(id);
+            }
+        });
+
+        // Import / export
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportTodos(document.getElementById('exportFormat').value);
+        });
+
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) this.importTodos(file);
+        });
+
+        // Lists sidebar
+        document.getElementById('listForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createList();
+        });
+
+        document.getElementById('listsNav').addEventListener('click', (e) => {
+            const item = e.target.closest('.list-item');
+            if (!item) return;
+            const listId = item.dataset.listId ? Number(item.dataset.listId) : null;
+            const action = e.target.closest('[data-action]');
+            if (action && action.dataset.action === 'rename') {
+                this.renameList(listId);
+            } else if (action && action.dataset.action === 'delete') {
+                this.deleteList(listId);
+            } else {
+                this.selectList(listId);
+            }
+        });
+
+        // Tag chips filter the list; tag inputs suggest existing tags
+        document.getElementById('todosList').addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) {
+                this.setTagFilter(chip.dataset.tag);
+                return;
+            }
+            this.handleChecklistClick(e);
+        });
+
+        document.getElementById('todosList').addEventListener('submit', (e) => {
+            const form = e.target.closest('.checklist-form');
+            if (form) {
+                e.preventDefault();
+                const input = form.querySelector('input');
+                this.addChecklistItem(Number(form.dataset.todoId), input.value.trim());
+            }
+        });
+
+        document.getElementById('clearTagFilter').addEventListener('click', () => {
+            this.setTagFilter(null);
+        });
+
+        document.querySelectorAll('.tags-input').forEach(input => {
+            input.addEventListener('input', () => {
+                clearTimeout(this.tagSuggestTimer);
+                this.tagSuggestTimer = setTimeout(() => this.suggestTags(input.value), 200);
+            });
+        });
+
+        // Modal close events
+        document.querySelector('.close').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('cancelEdit').addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-revert]');
+            if (button && this.editingTodoId) {
+                this.revertTodo(this.editingTodoId, Number(button.dataset.revert));
+            }
+        });
+
+        // Close modal when clicking outside
+        window.addEventListener('click', (e) => {
+            const modal = document.getElementById('editModal');
+            if (e.target === modal) {
+                this.closeModal();
+            }
+            const trashModal = document.getElementById('trashModal');
+            if (e.target === trashModal) {
+                trashModal.style.display = 'none';
+            }
+        });
+
+        // Conflict dialog: keep the local edits or the server copy
+        document.getElementById('conflictModal').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-conflict]');
+            if (button) {
+                this.resolveConflict(button.dataset.conflict);
+            }
+        });
+    }
+
+    buildQuery(offset) {
+        const params = new URLSearchParams({
+            sort: this.sort,
+            order: this.order,
+            limit: this.pageSize,
+            offset,
+        });
+        if (this.currentFilter === 'completed') {
+            params.set('completed', 'true');
+        } else if (this.currentFilter === 'pending') {
+            params.set('completed', 'false');
+        } else if (['overdue', 'today', 'upcoming'].includes(this.currentFilter)) {
+            params.set('due', this.currentFilter);
+            params.set('tz', this.timeZone);
+        }
+        if (this.searchQuery) {
+            params.set('q', this.searchQuery);
+        }
+        if (this.tagFilter) {
+            params.set('tag', this.tagFilter);
+        }
+        return params.toString();
+    }
+
+    // Fetch the first page for the current filter/search/sort, or the next page when appending
+    // Todos in the selected list are read and created through the nested route
+    todosUrl() {
+        return this.currentListId ? `/api/v1/lists/${this.currentListId}/todos` : '/api/v1/todos';
+    }
+
+    async loadTodos({ append = false } = {}) {
+        try {
+            const offset = append ? this.todos.length : 0;
+            const response = await this.api(`${this.todosUrl()}?${this.buildQuery(offset)}`);
+            if (!response.ok) {
+                throw new Error('Failed to load todos');
+            }
+            const result = await response.json();
+            this.todos = append ? this.todos.concat(result.data) : result.data;
+            this.pagination = result.meta.pagination;
+            this.counts = result.meta.counts;
+            this.renderTodos();
+            this.updateStats();
+            if (!append) {
+                this.loadLists();
+                this.scheduleMirror();
+            }
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                await this.loadOfflineTodos();
+                await this.loadLists();
+                return;
+            }
+            console.error('Error loading todos:', error);
+            this.showError('Failed to load todos');
+        }
+    }
+
+    async addTodo() {
+        const titleInput = document.getElementById('todoTitle');
+        const descriptionInput = document.getElementById('todoDescription');
+        const dueAtInput = document.getElementById('todoDueAt');
+        const tagsInput = document.getElementById('todoTags');
+        const repeatInput = document.getElementById('todoRepeat');
+        const priorityInput = document.getElementById('todoPriority');
+        
+        const title = titleInput.value.trim();
+        const description = descriptionInput.value.trim();
+        const dueAt = this.fromLocalInputValue(dueAtInput.value);
+
+        if (!title) {
+            this.showError('Please enter a todo title');
+            return;
+        }
+
+        if (repeatInput.value && !dueAt) {
+            this.showError('Set a due date for a repeating todo');
+            return;
+        }
+
+        const body = {
+            title,
+            description,
+            due_at: dueAt,
+            due_tz: dueAt ? this.timeZone : null,
+            tags: this.parseTags(tagsInput.value),
+            priority: priorityInput.value,
+            recurrence: repeatInput.value || null,
+        };
+
+        try {
+            const response = await this.api(this.todosUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to add todo'));
+            }
+
+            await this.loadTodos();
+            this.showSuccess('Todo added successfully!');
+        } catch (error) {
+            if (!(error instanceof OfflineError)) {
+                console.error('Error adding todo:', error);
+                this.showError(error.message);
+                return;
+            }
+            const id = -Date.now();
+            await this.saveOffline({ type: 'create', todo_id: id, url: this.todosUrl(), body }, {
+                id,
+                completed: false,
+                list_id: this.currentListId,
+                auto_complete: false,
+                created_at: new Date().toISOString(),
+                version: null,
+                progress: { total: 0, completed: 0, percent: 0 },
+                recurrence: null,
+            });
+        }
+
+        // Clear form
+        titleInput.value = '';
+        descriptionInput.value = '';
+        dueAtInput.value = '';
+        tagsInput.value = '';
+        repeatInput.value = '';
+        priorityInput.value = 'medium';
+    }
+
+    async updateTodo() {
+        if (!this.editingTodoId) return;
+
+        const title = document.getElementById('editTitle').value.trim();
+        const description = document.getElementById('editDescription').value.trim();
+        const completed = document.getElementById('editCompleted').checked;
+        const autoComplete = document.getElementById('editAutoComplete').checked;
+        const priority = document.getElementById('editPriority').value;
+        const dueAt = this.fromLocalInputValue(document.getElementById('editDueAt').value);
+        const tags = this.parseTags(document.getElementById('editTags').value);
+        const listId = Number(document.getElementById('editList').value);
+        const repeat = document.getElementById('editRepeat').value;
+        const scope = document.getElementById('editScope').value;
+
+        if (!title) {
+            this.showError('Please enter a todo title');
+            return;
+        }
+
+        if (repeat && !dueAt) {
+            this.showError('Set a due date for a repeating todo');
+            return;
+        }
+
+        const todo = this.todos.find(t => t.id === this.editingTodoId);
+        const changes = {
+            title,
+            description,
+            completed,
+            due_at: dueAt,
+            due_tz: dueAt ? this.timeZone : null,
+            tags,
+            list_id: listId,
+            auto_complete: autoComplete,
+            priority,
+        };
+        // Only send the schedule when it changed, so editing keeps the rule's count or end date
+        const currentRepeat = todo && todo.recurrence ? todo.recurrence.rrule : '';
+        if (repeat !== currentRepeat) {
+            changes.recurrence = repeat || null;
+        }
+        if (todo && todo.recurrence) {
+            changes.scope = scope;
+        }
+
+        try {
+            // Todos created offline only exist here until the outbox is replayed
+            if (this.editingTodoId < 0) {
+                throw new OfflineError('Not synced yet');
+            }
+            const response = await this.api(`/api/v1/todos/${this.editingTodoId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${this.editingVersion}"`,
+                },
+                body: JSON.stringify(changes),
+            });
+
+            // Someone else saved the todo while the modal was open
+            if (response.status === 412) {
+                const conflict = await response.json();
+                this.showConflict(conflict.todo, changes);
+                return;
+            }
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to update todo'));
+            }
+
+            const result = await response.json();
+            await this.loadTodos();
+            this.closeModal();
+            this.showSuccess(result.meta.next_todo_id ? 'Todo updated; the next occurrence is scheduled' : 'Todo updated successfully!');
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                const operation = { type: 'update', todo_id: this.editingTodoId, version: this.editingVersion, body: changes };
+                this.closeModal();
+                await this.saveOffline(operation, todo);
+                return;
+            }
+            console.error('Error updating todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Deleted todos go to the trash, so offer Undo instead of asking first
+    async deleteTodo(id) {
+        const todo = this.todos.find(t => t.id === id);
+
+        try {
+            if (id < 0) {
+                throw new OfflineError('Not synced yet');
+            }
+            const response = await this.api(`/api/v1/todos/${id}`, {
+                method: 'DELETE',
+                headers: todo ? { 'If-Match': `"${todo.version}"` } : {},
+            });
+
+            if (response.status === 412) {
+                await this.loadTodos();
+                throw new Error('This todo was changed by someone else. Check the latest version before deleting it.');
+            }
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to delete todo'));
+            }
+
+            await this.loadTodos();
+            this.showUndo('Todo moved to trash', () => this.restoreTodos([id]));
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                await this.saveOffline({ type: 'delete', todo_id: id, version: todo ? todo.version : null });
+                return;
+            }
+            console.error('Error deleting todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async restoreTodos(ids) {
+        try {
+            for (const id of ids) {
+                const response = await this.api(`/api/v1/todos/${id}/restore`, {
+                    method: 'POST',
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(this.errorMessage(error, 'Failed to restore todo'));
+                }
+            }
+
+            await this.loadTodos();
+            if (document.getElementById('trashModal').style.display === 'block') {
+                await this.loadTrash();
+            }
+            this.showSuccess(ids.length === 1 ? 'Todo restored!' : `${ids.length} todos restored!`);
+        } catch (error) {
+            console.error('Error restoring todos:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async openTrash() {
+        document.getElementById('trashModal').style.display = 'block';
+        await this.loadTrash();
+    }
+
+    async loadTrash() {
+        try {
+            const response = await this.api('/api/v1/todos/trash');
+            if (!response.ok) {
+                throw new Error('Failed to load the trash');
+            }
+            const { data: todos } = await response.json();
+            this.renderTrash(todos);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderTrash(todos) {
+        const list = document.getElementById('trashList');
+        document.getElementById('trashEmpty').style.display = todos.length === 0 ? 'block' : 'none';
+        document.getElementById('emptyTrash').disabled = todos.length === 0;
+        if (todos.length > 0) {
+            const days = Math.round((new Date(todos[0].purge_at) - new Date(todos[0].deleted_at)) / 86400000);
+            document.getElementById('trashRetention').textContent = `after ${days} days`;
+        }
+
+        list.innerHTML = todos.map(todo => `
+            <li class="trash-item" data-id="${todo.id}">
+                <span class="trash-item-title">
+                    ${this.escapeHtml(todo.title)}
+                    <span class="trash-item-meta">
+                        Deleted ${this.formatDate(todo.deleted_at)} · removed for good ${this.formatDate(todo.purge_at)}
+                    </span>
+                </span>
+                <button type="button" class="btn btn-success" data-action="restore">Restore</button>
+                <button type="button" class="btn btn-danger" data-action="purge">Delete forever</button>
+            </li>
+        `).join('');
+    }
+
+    async purgeTodo(id) {
+        if (!confirm('Delete this todo permanently? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.api(`/api/v1/todos/trash/${id}`, {
+                method: 'DELETE',
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to delete todo'));
+            }
+
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Error purging todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.api('/api/v1/todos/trash', {
+                method: 'DELETE',
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to empty the trash'));
+            }
+
+            await this.loadTrash();
+            this.showSuccess('Trash emptied!');
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async toggleTodo(id) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        try {
+            if (id < 0) {
+                throw new OfflineError('Not synced yet');
+            }
+            const response = await this.api(`/api/v1/todos/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${todo.version}"`,
+                },
+                body: JSON.stringify({ completed: !todo.completed }),
+            });
+
+            if (response.status === 412) {
+                await this.loadTodos();
+                throw new Error('This todo was changed by someone else. It now shows the latest version.');
+            }
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to update todo'));
+            }
+
+            const result = await response.json();
+            await this.loadTodos();
+            if (result.meta.next_todo_id) {
+                this.showSuccess('Done! The next occurrence is scheduled');
+            }
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                await this.saveOffline({ type: 'update', todo_id: id, version: todo.version, body: { completed: !todo.completed } }, todo);
+                return;
+            }
+            console.error('Error toggling todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    editTodo(id) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        this.editingTodoId = id;
+        this.editingVersion = todo.version;
+        document.getElementById('editTitle').value = todo.title;
+        document.getElementById('editDescription').value = todo.description || '';
+        document.getElementById('editCompleted').checked = todo.completed;
+        document.getElementById('editAutoComplete').checked = Boolean(todo.auto_complete);
+        document.getElementById('editPriority').value = todo.priority || 'medium';
+        document.getElementById('editDueAt').value = this.toLocalInputValue(todo.due_at);
+        document.getElementById('editTags').value = (todo.tags || []).map(tag => tag.name).join(', ');
+        document.getElementById('editList').innerHTML = this.lists.map(list => `
+            <option value="${list.id}" ${list.id === todo.list_id ? 'selected' : ''}>${this.escapeHtml(list.name)}</option>
+        `).join('');
+        document.getElementById('editRepeat').innerHTML = this.renderRepeatOptions(todo.recurrence ? todo.recurrence.rrule : '');
+        document.getElementById('editScope').value = 'this';
+        document.getElementById('editScopeGroup').style.display = todo.recurrence ? 'block' : 'none';
+        
+        document.getElementById('historyList').innerHTML = '';
+        document.getElementById('historyPanel').open = false;
+        this.loadHistory(id);
+
+        document.getElementById('editModal').style.display = 'block';
+    }
+
+    async loadHistory(id) {
+        try {
+            const response = await this.api(`/api/v1/todos/${id}/history`);
+            if (!response.ok) {
+                throw new Error('Failed to load history');
+            }
+            const { data: entries } = await response.json();
+            if (this.editingTodoId === id) {
+                this.renderHistory(entries);
+            }
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+    }
+
+    renderHistory(entries) {
+        const labels = this.fieldLabels;
+
+        document.getElementById('historyList').innerHTML = entries.map((entry, index) => {
+            const changes = Object.entries(entry.changes).map(([field, { from, to }]) => `
+                <li>
+                    ${labels[field] || field}:
+                    <del>${this.escapeHtml(this.formatHistoryValue(field, from))}</del>
+                    → <ins>${this.escapeHtml(this.formatHistoryValue(field, to))}</ins>
+                </li>
+            `).join('');
+            // History timestamps are SQLite UTC times without a zone marker
+            const date = this.formatDate(`${entry.created_at.replace(' ', 'T')}Z`);
+
+            return `
+                <li class="history-entry">
+                    <div class="history-entry-header">
+                        <span>
+                            <strong>${this.escapeHtml(entry.actor ? entry.actor.username : 'Someone')}</strong>
+                            ${entry.action}
+                            <span class="history-entry-date">${date}</span>
+                        </span>
+                        ${index > 0 ? `<button type="button" class="btn btn-secondary" data-revert="${entry.id}">Revert to this</button>` : ''}
+                    </div>
+                    ${changes ? `<ul class="history-changes">${changes}</ul>` : ''}
+                </li>
+            `;
+        }).join('');
+    }
+
+    formatHistoryValue(field, value) {
+        if (value === null || value === '') return '(none)';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+        if (field === 'due_at') return this.formatDate(value);
+        if (field === 'list_id') {
+            const list = this.lists.find(l => l.id === value);
+            return list ? list.name : '(deleted list)';
+        }
+        return String(value);
+    }
+
+    async revertTodo(todoId, entryId) {
+        try {
+            const response = await this.api(`/api/v1/todos/${todoId}/history/${entryId}/revert`, {
+                method: 'POST',
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to revert todo'));
+            }
+
+            this.closeModal();
+            await this.loadTodos();
+            this.showSuccess('Todo reverted successfully!');
+        } catch (error) {
+            console.error('Error reverting todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    closeModal() {
+        document.getElementById('editModal').style.display = 'none';
+        this.editingTodoId = null;
+        this.editingVersion = null;
+    }
+
+    // Compare the server copy of a todo that changed under the edit modal with
+    // the local edits, and let the user keep either
+    showConflict(serverTodo, changes) {
+        this.conflictTodo = serverTodo;
+        const server = {
+            title: serverTodo.title,
+            description: serverTodo.description || '',
+            completed: Boolean(serverTodo.completed),
+            due_at: serverTodo.due_at,
+            list_id: serverTodo.list_id,
+            auto_complete: Boolean(serverTodo.auto_complete),
+            priority: serverTodo.priority,
+            tags: (serverTodo.tags || []).map(tag => tag.name),
+        };
+        const differences = Object.keys(server).filter(field => {
+            return this.conflictValue(field, server[field]) !== this.conflictValue(field, changes[field]);
+        });
+
+        document.getElementById('conflictRows').innerHTML = differences.map(field => `
+            <tr>
+                <th>${this.fieldLabels[field]}</th>
+                <td>${this.escapeHtml(this.formatHistoryValue(field, server[field]))}</td>
+                <td>${this.escapeHtml(this.formatHistoryValue(field, changes[field]))}</td>
+            </tr>
+        `).join('');
+        document.getElementById('conflictTable').style.display = differences.length ? 'table' : 'none';
+        document.getElementById('conflictSame').style.display = differences.length ? 'none' : 'block';
+        document.getElementById('conflictModal').style.display = 'block';
+    }
+
+    // A comparable form of a field value, so "" and null or reordered tags match
+    conflictValue(field, value) {
+        if (value === undefined || value === null || value === '') return '';
+        if (field === 'due_at') return String(new Date(value).getTime());
+        if (field === 'tags') return value.map(tag => tag.toLowerCase()).sort().join(',');
+        return String(value);
+    }
+
+    async resolveConflict(choice) {
+        const serverTodo = this.conflictTodo;
+        this.conflictTodo = null;
+        document.getElementById('conflictModal').style.display = 'none';
+        if (!serverTodo) return;
+
+        if (choice === 'mine') {
+            // Save the local edits on top of the version the server has now
+            this.editingVersion = serverTodo.version;
+            await this.updateTodo();
+            return;
+        }
+
+        this.closeModal();
+        await this.loadTodos();
+        this.showSuccess('Kept the latest saved version');
+    }
+
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        // Update active filter button
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+        
+        this.loadTodos();
+    }
+
+    renderTodos() {
+        const todosList = document.getElementById('todosList');
+        const noTodos = document.getElementById('noTodos');
+        const loadMore = document.getElementById('loadMore');
+
+        loadMore.style.display = this.pagination && this.pagination.next ? 'block' : 'none';
+
+        // Forget selected todos that are no longer on screen
+        this.selected = new Set(this.todos.filter(todo => this.selected.has(todo.id)).map(todo => todo.id));
+        this.updateBulkToolbar();
+
+        if (this.todos.length === 0) {
+            todosList.style.display = 'none';
+            noTodos.style.display = 'block';
+            return;
+        }
+
+        todosList.style.display = 'block';
+        noTodos.style.display = 'none';
+
+        // Todos can only be moved by hand while they are shown in that order
+        const movable = this.sort === 'position' && this.order === 'asc';
+
+        todosList.innerHTML = this.todos.map(todo => `
+            <div class="todo-item priority-${todo.priority || 'medium'} ${todo.completed ? 'completed' : ''} ${this.selected.has(todo.id) ? 'selected' : ''}"
+                data-id="${todo.id}" ${movable ? 'draggable="true" tabindex="0" aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown"' : ''}>
+                <div class="todo-header">
+                    ${movable ? '<span class="drag-handle" title="Drag to move, or focus and press Alt+↑ / Alt+↓" aria-hidden="true">⠿</span>' : ''}
+                    <input type="checkbox" class="todo-select" data-id="${todo.id}" title="Select"
+                        ${this.selected.has(todo.id) ? 'checked' : ''} />
+                    <h3 class="todo-title">${this.escapeHtml(todo.title)}</h3>
+                    <div class="todo-actions">
+                        <button class="btn btn-success" onclick="todoApp.toggleTodo(${todo.id})">
+                            ${todo.completed ? 'Undo' : 'Complete'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="todoApp.editTodo(${todo.id})">
+                            Edit
+                        </button>
+                        <button class="btn btn-danger" onclick="todoApp.deleteTodo(${todo.id})">
+                            Delete
+                        </button>
+                    </div>
+                </div>
+                ${todo.description ? `<p class="todo-description">${this.escapeHtml(todo.description)}</p>` : ''}
+                ${this.renderTags(todo)}
+                ${this.renderChecklist(todo)}
+                <div class="todo-meta">
+                    <span class="todo-date">Created: ${this.formatDate(todo.created_at)}</span>
+                    <span class="priority-badge priority-${todo.priority || 'medium'}">${this.priorityLabels[todo.priority || 'medium']}</span>
+                    ${this.renderDueBadge(todo)}
+                    ${this.renderRepeatBadge(todo)}
+                    ${todo.pending ? '<span class="pending-badge">Not synced</span>' : ''}
+                    <span class="todo-status">${todo.completed ? '✅ Completed' : '⏳ Pending'}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Move a todo to another place in the manual order. It is placed next to
+    // its new neighbour on screen, so this works in filtered views too.
+    async moveTodo(id, target) {
+        const index = this.todos.findIndex(todo => todo.id === id);
+        if (index === -1 || target < 0 || target >= this.todos.length || target === index) return;
+
+        const todos = [...this.todos];
+        const [todo] = todos.splice(index, 1);
+        todos.splice(target, 0, todo);
+        const body = target === 0 ? { id, before: todos[1].id } : { id, after: todos[target - 1].id };
+
+        try {
+            // Todos created offline only exist here until the outbox is replayed
+            if (id < 0 || (body.before || body.after) < 0) {
+                throw new Error('Wait for your changes to sync before reordering');
+            }
+            const response = await this.api('/api/v1/todos/reorder', {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to move todo'));
+            }
+
+            todos[target] = (await response.json()).data;
+            this.todos = todos;
+            this.renderTodos();
+            const item = document.querySelector(`.todo-item[data-id="${id}"]`);
+            if (item) item.focus();
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                this.showError('Reordering needs a connection');
+                return;
+            }
+            console.error('Error moving todo:', error);
+            this.showError(error.message);
+        }
+    }
+
+    toggleSelected(id, selected) {
+        if (selected) {
+            this.selected.add(id);
+        } else {
+            this.selected.delete(id);
+        }
+        this.renderTodos();
+    }
+
+    updateBulkToolbar() {
+        const count = this.selected.size;
+        document.getElementById('bulkToolbar').style.display = this.todos.length > 0 ? 'flex' : 'none';
+        document.getElementById('bulkCount').textContent = `${count} selected`;
+
+        const selectAll = document.getElementById('selectAll');
+        selectAll.checked = count > 0 && count === this.todos.length;
+        selectAll.indeterminate = count > 0 && count < this.todos.length;
+
+        document.querySelectorAll('#bulkToolbar [data-bulk], #bulkMoveList').forEach(control => {
+            control.disabled = count === 0;
+        });
+    }
+
+    // Send the toolbar action for every selected todo as one atomic bulk request
+    async runBulkAction(type, listId) {
+        const ids = [...this.selected];
+        if (ids.length === 0) return;
+
+        let action = { type };
+        if (type === 'move') {
+            action = { type, list_id: listId };
+        } else if (type === 'tag' || type === 'untag') {
+            const tags = this.parseTags(document.getElementById('bulkTag').value);
+            if (tags.length === 0) {
+                this.showError('Enter a tag name first');
+                return;
+            }
+            action = { type: 'retag', [type === 'tag' ? 'add' : 'remove']: tags };
+        }
+
+        try {
+            const response = await this.api('/api/v1/todos/bulk', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ ids, actions: [action] }),
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to update todos'));
+            }
+
+            const result = await response.json();
+            if (type === 'delete') {
+                this.selected.clear();
+            }
+            if (type === 'tag' || type === 'untag') {
+                document.getElementById('bulkTag').value = '';
+            }
+            await this.loadTodos();
+            if (type === 'delete') {
+                const deleted = result.data.results.filter(item => item.status === 'deleted').map(item => item.id);
+                this.showUndo(`Moved ${deleted.length} todo(s) to trash`, () => this.restoreTodos(deleted));
+            } else {
+                this.showSuccess(`${result.message}!`);
+            }
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            this.showError(error.message);
+        }
+    }
+
+    updateStats() {
+        const { total, completed, pending, overdue } = this.counts;
+
+        document.getElementById('totalTodos').textContent = `Total: ${total}`;
+        document.getElementById('completedTodos').textContent = `Completed: ${completed}`;
+        document.getElementById('pendingTodos').textContent = `Pending: ${pending}`;
+        document.getElementById('overdueTodos').textContent = `Overdue: ${overdue}`;
+    }
+
+    async loadLists() {
+        try {
+            const response = await this.api('/api/v1/lists');
+            if (!response.ok) {
+                throw new Error('Failed to load lists');
+            }
+            this.lists = (await response.json()).data;
+            this.store.setValue('lists', this.lists);
+            if (this.currentListId && !this.lists.some(list => list.id === this.currentListId)) {
+                this.selectList(null);
+                return;
+            }
+            this.renderLists();
+        } catch (error) {
+            if (error instanceof OfflineError) {
+                this.lists = (await this.store.getValue('lists')) || this.lists;
+                this.renderLists();
+                return;
+            }
+            console.error('Error loading lists:', error);
+            this.showError('Failed to load lists');
+        }
     }
 
-    initializeEventListeners() {
-        // Form submission
-        document.getElementById('todoForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addTodo();
-        });
+    renderLists() {
+        const total = this.lists.reduce((sum, list) => sum + list.counts.total, 0);
+        const pending = this.lists.reduce((sum, list) => sum + list.counts.pending, 0);
 
-        // Edit form submission
-        document.getElementById('editForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.updateTodo();
-        });
+        const allItem = `
+            <li class="list-item ${this.currentListId === null ? 'active' : ''}" data-list-id="">
+                <button type="button" class="list-link">
+                    All todos <span class="list-count">${pending}/${total}</span>
+                </button>
+            </li>
+        `;
+        const listItems = this.lists.map(list => `
+            <li class="list-item ${list.id === this.currentListId ? 'active' : ''}" data-list-id="${list.id}">
+                <button type="button" class="list-link" title="${list.counts.pending} pending, ${list.counts.completed} completed">
+                    ${this.escapeHtml(list.name)}
+                    <span class="list-count">${list.counts.pending}/${list.counts.total}</span>
+                </button>
+                <button type="button" class="list-action" data-action="rename" title="Rename list">✎</button>
+                ${list.is_default ? '' : '<button type="button" class="list-action" data-action="delete" title="Delete list">×</button>'}
+            </li>
+        `);
+        document.getElementById('listsNav').innerHTML = allItem + listItems.join('');
+        document.getElementById('bulkMoveList').innerHTML = '<option value="">Move to...</option>' +
+            this.lists.map(list => `<option value="${list.id}">${this.escapeHtml(list.name)}</option>`).join('');
 
-        // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setFilter(e.target.dataset.filter);
-            });
-        });
+        const current = this.lists.find(list => list.id === this.currentListId);
+        document.getElementById('currentListName').textContent = current ? current.name : 'All todos';
+    }
 
-        // Modal close events
-        document.querySelector('.close').addEventListener('click', () => {
-            this.closeModal();
-        });
+    selectList(listId) {
+        this.currentListId = listId;
+        this.renderLists();
+        this.loadTodos();
+    }
 
-        document.getElementById('cancelEdit').addEventListener('click', () => {
-            this.closeModal();
-        });
+    async createList() {
+        const input = document.getElementById('newListName');
+        const name = input.value.trim();
+        if (!name) return;
 
-        // Close modal when clicking outside
-        window.addEventListener('click', (e) => {
-            const modal = document.getElementById('editModal');
-            if (e.target === modal) {
-                this.closeModal();
+        try {
+            const response = await this.api('/api/v1/lists', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name }),
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to create list'));
             }
-        });
+
+            const { data: list } = await response.json();
+            input.value = '';
+            this.selectList(list.id);
+            this.showSuccess('List created successfully!');
+        } catch (error) {
+            console.error('Error creating list:', error);
+            this.showError(error.message);
+        }
     }
 
-    async loadTodos() {
+    async renameList(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return;
+
+        const name = prompt('Rename list', list.name);
+        if (name === null || !name.trim() || name.trim() === list.name) return;
+
         try {
-            const response = await fetch('/api/todos');
+            const response = await this.api(`/api/v1/lists/${listId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name: name.trim() }),
+            });
+
             if (!response.ok) {
-                throw new Error('Failed to load todos');
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to rename list'));
             }
-            this.todos = await response.json();
-            this.renderTodos();
-            this.updateStats();
+
+            await this.loadLists();
         } catch (error) {
-            console.error('Error loading todos:', error);
-            this.showError('Failed to load todos');
+            console.error('Error renaming list:', error);
+            this.showError(error.message);
         }
     }
 
-    async addTodo() {
-        const titleInput = document.getElementById('todoTitle');
-        const descriptionInput = document.getElementById('todoDescription');
-        
-        const title = titleInput.value.trim();
-        const description = descriptionInput.value.trim();
+    async deleteList(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return;
 
-        if (!title) {
-            this.showError('Please enter a todo title');
+        if (!confirm(`Delete the list "${list.name}"?`)) {
             return;
         }
 
+        // Ask what happens to the todos only when there are some
+        let mode = 'move';
+        if (list.counts.total > 0 && confirm(
+            `Also move its ${list.counts.total} todo(s) to the trash? Choose Cancel to move them to your default list instead.`
+        )) {
+            mode = 'cascade';
+        }
+
         try {
-            const response = await fetch('/api/todos', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ title, description }),
+            const response = await this.api(`/api/v1/lists/${listId}?mode=${mode}`, {
+                method: 'DELETE',
             });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.error || 'Failed to add todo');
+                throw new Error(this.errorMessage(error, 'Failed to delete list'));
             }
 
-            const newTodo = await response.json();
-            this.todos.unshift(newTodo);
-            this.renderTodos();
-            this.updateStats();
-            
-            // Clear form
-            titleInput.value = '';
-            descriptionInput.value = '';
-            
-            this.showSuccess('Todo added successfully!');
+            if (this.currentListId === listId) {
+                this.currentListId = null;
+            }
+            await this.loadTodos();
+            this.showSuccess('List deleted successfully!');
         } catch (error) {
-            console.error('Error adding todo:', error);
+            console.error('Error deleting list:', error);
             this.showError(error.message);
         }
     }
 
-    async updateTodo() {
-        if (!this.editingTodoId) return;
+    // Download the current list (or every todo) in the chosen format. The request
+    // needs the bearer token, so fetch it and hand the browser a blob URL.
+    async exportTodos(format) {
+        const params = new URLSearchParams({ format });
+        if (this.currentListId) {
+            params.set('list_id', this.currentListId);
+        }
 
-        const title = document.getElementById('editTitle').value.trim();
-        const description = document.getElementById('editDescription').value.trim();
-        const completed = document.getElementById('editCompleted').checked;
+        try {
+            const response = await this.api(`/api/v1/todos/export?${params.toString()}`);
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to export todos'));
+            }
 
-        if (!title) {
-            this.showError('Please enter a todo title');
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `todos.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting todos:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Upload a .json, .csv or .ics file. Todos without a list go into the current list.
+    async importTodos(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const types = { json: 'application/json', csv: 'text/csv', ics: 'text/calendar' };
+        if (!types[extension]) {
+            this.showError('Choose a .json, .csv or .ics file');
             return;
         }
 
+        const params = new URLSearchParams({ format: extension });
+        if (this.currentListId) {
+            params.set('list_id', this.currentListId);
+        }
+
         try {
-            const response = await fetch(`/api/todos/${this.editingTodoId}`, {
-                method: 'PUT',
+            const response = await this.api(`/api/v1/todos/import?${params.toString()}`, {
+                method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
+                    'Content-Type': types[extension],
                 },
-                body: JSON.stringify({ title, description, completed }),
+                body: await file.text(),
             });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.error || 'Failed to update todo');
+                throw new Error(this.errorMessage(error, 'Failed to import todos'));
             }
 
-            // Update local todos array
-            const todoIndex = this.todos.findIndex(todo => todo.id === this.editingTodoId);
-            if (todoIndex !== -1) {
-                this.todos[todoIndex] = {
-                    ...this.todos[todoIndex],
-                    title,
-                    description,
-                    completed
-                };
+            const { data: report, message } = await response.json();
+            await this.loadTodos();
+            if (report.rejected > 0) {
+                const problems = report.results
+                    .filter(result => result.status === 'rejected')
+                    .slice(0, 3)
+                    .map(result => `row ${result.row}: ${result.error}`)
+                    .join('; ');
+                this.showError(`${message}. Skipped ${problems}${report.rejected > 3 ? '; ...' : ''}`);
+            } else {
+                this.showSuccess(`${message}!`);
             }
+        } catch (error) {
+            console.error('Error importing todos:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderChecklist(todo) {
+        const progress = todo.progress || { total: 0, completed: 0, percent: 0 };
+        const expanded = this.expandedTodos.has(todo.id);
+        const items = this.checklists.get(todo.id) || [];
+        const summary = progress.total ? ` (${progress.completed}/${progress.total})` : '';
+
+        const itemsHtml = items.map((item, index) => `
+            <li class="checklist-item ${item.completed ? 'done' : ''}">
+                <label>
+                    <input type="checkbox" data-action="toggle-item" data-todo-id="${todo.id}" data-item-id="${item.id}" ${item.completed ? 'checked' : ''} />
+                    ${this.escapeHtml(item.title)}
+                </label>
+                <button type="button" class="list-action" data-action="move-item" data-direction="-1" data-todo-id="${todo.id}" data-item-id="${item.id}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="list-action" data-action="move-item" data-direction="1" data-todo-id="${todo.id}" data-item-id="${item.id}" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="list-action" data-action="delete-item" data-todo-id="${todo.id}" data-item-id="${item.id}" title="Delete item">×</button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="checklist">
+                <button type="button" class="checklist-toggle" data-action="toggle-checklist" data-todo-id="${todo.id}">
+                    ${expanded ? '▾' : '▸'} Checklist${summary}
+                </button>
+                ${progress.total ? `<div class="progress" title="${progress.percent}% done"><div class="progress-bar" style="width: ${progress.percent}%"></div></div>` : ''}
+                ${expanded ? `
+                    <ul class="checklist-items">${itemsHtml}</ul>
+                    <form class="checklist-form" data-todo-id="${todo.id}">
+                        <input type="text" placeholder="Add an item..." required />
+                        <button type="submit" class="btn btn-primary">Add</button>
+                    </form>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    handleChecklistClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || !target.dataset.todoId) return;
 
+        const todoId = Number(target.dataset.todoId);
+        const itemId = Number(target.dataset.itemId);
+        switch (target.dataset.action) {
+            case 'toggle-checklist':
+                this.toggleChecklist(todoId);
+                break;
+            case 'toggle-item':
+                this.updateChecklistItem(todoId, itemId, { completed: target.checked });
+                break;
+            case 'move-item':
+                this.moveChecklistItem(todoId, itemId, Number(target.dataset.direction));
+                break;
+            case 'delete-item':
+                this.deleteChecklistItem(todoId, itemId);
+                break;
+        }
+    }
+
+    async toggleChecklist(todoId) {
+        if (this.expandedTodos.has(todoId)) {
+            this.expandedTodos.delete(todoId);
+            this.renderTodos();
+            return;
+        }
+
+        this.expandedTodos.add(todoId);
+        await this.loadChecklist(todoId);
+    }
+
+    async loadChecklist(todoId) {
+        try {
+            const response = await this.api(`/api/v1/todos/${todoId}/items`);
+            if (!response.ok) {
+                throw new Error('Failed to load checklist');
+            }
+            this.checklists.set(todoId, (await response.json()).data);
             this.renderTodos();
-            this.updateStats();
-            this.closeModal();
-            this.showSuccess('Todo updated successfully!');
         } catch (error) {
-            console.error('Error updating todo:', error);
+            console.error('Error loading checklist:', error);
             this.showError(error.message);
         }
     }
 
-    async deleteTodo(id) {
-        if (!confirm('Are you sure you want to delete this todo?')) {
-            return;
+    // Apply the parent's roll-up returned by every checklist mutation
+    async applyChecklistResult(todoId, parent) {
+        const todo = this.todos.find(t => t.id === todoId);
+        const completedChanged = todo && Boolean(todo.completed) !== parent.completed;
+        if (todo) {
+            todo.progress = parent.progress;
+            todo.completed = parent.completed;
+        }
+        await this.loadChecklist(todoId);
+        // An auto-completed parent can move between filters and counts
+        if (completedChanged) {
+            await this.loadTodos();
         }
+    }
+
+    async addChecklistItem(todoId, title) {
+        if (!title) return;
 
         try {
-            const response = await fetch(`/api/todos/${id}`, {
-                method: 'DELETE',
+            const response = await this.api(`/api/v1/todos/${todoId}/items`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ title }),
             });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.error || 'Failed to delete todo');
+                throw new Error(this.errorMessage(error, 'Failed to add item'));
             }
 
-            // Remove from local todos array
-            this.todos = this.todos.filter(todo => todo.id !== id);
-            this.renderTodos();
-            this.updateStats();
-            this.showSuccess('Todo deleted successfully!');
+            const result = await response.json();
+            await this.applyChecklistResult(todoId, result.meta.todo);
         } catch (error) {
-            console.error('Error deleting todo:', error);
+            console.error('Error adding checklist item:', error);
             this.showError(error.message);
         }
     }
 
-    async toggleTodo(id) {
-        const todo = this.todos.find(t => t.id === id);
-        if (!todo) return;
-
+    async updateChecklistItem(todoId, itemId, changes) {
         try {
-            const response = await fetch(`/api/todos/${id}`, {
+            const response = await this.api(`/api/v1/todos/${todoId}/items/${itemId}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ completed: !todo.completed }),
+                body: JSON.stringify(changes),
             });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.error || 'Failed to update todo');
+                throw new Error(this.errorMessage(error, 'Failed to update item'));
             }
 
-            // Update local todos array
-            todo.completed = !todo.completed;
-            this.renderTodos();
-            this.updateStats();
+            const result = await response.json();
+            await this.applyChecklistResult(todoId, result.meta.todo);
         } catch (error) {
-            console.error('Error toggling todo:', error);
+            console.error('Error updating checklist item:', error);
             this.showError(error.message);
         }
     }
 
-    editTodo(id) {
-        const todo = this.todos.find(t => t.id === id);
-        if (!todo) return;
+    async moveChecklistItem(todoId, itemId, direction) {
+        const ids = (this.checklists.get(todoId) || []).map(item => item.id);
+        const index = ids.indexOf(itemId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ids.length) return;
 
-        this.editingTodoId = id;
-        document.getElementById('editTitle').value = todo.title;
-        document.getElementById('editDescription').value = todo.description || '';
-        document.getElementById('editCompleted').checked = todo.completed;
-        
-        document.getElementById('editModal').style.display = 'block';
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+
+        try {
+            const response = await this.api(`/api/v1/todos/${todoId}/items/reorder`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ ids }),
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to reorder checklist'));
+            }
+
+            this.checklists.set(todoId, (await response.json()).data);
+            this.renderTodos();
+        } catch (error) {
+            console.error('Error reordering checklist:', error);
+            this.showError(error.message);
+        }
     }
 
-    closeModal() {
-        document.getElementById('editModal').style.display = 'none';
-        this.editingTodoId = null;
+    async deleteChecklistItem(todoId, itemId) {
+        try {
+            const response = await this.api(`/api/v1/todos/${todoId}/items/${itemId}`, {
+                method: 'DELETE',
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(this.errorMessage(error, 'Failed to delete item'));
+            }
+
+            const result = await response.json();
+            await this.applyChecklistResult(todoId, result.meta.todo);
+        } catch (error) {
+            console.error('Error deleting checklist item:', error);
+            this.showError(error.message);
+        }
     }
 
-    setFilter(filter) {
-        this.currentFilter = filter;
-        
-        // Update active filter button
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.remove('active');
+    renderTags(todo) {
+        if (!todo.tags || todo.tags.length === 0) return '';
+
+        const chips = todo.tags.map(tag => {
+            const style = tag.color ? ` style="background: ${tag.color}"` : '';
+            const name = this.escapeHtml(tag.name);
+            return `<button type="button" class="tag-chip" data-tag="${name}"${style} title="Show todos tagged ${name}">#${name}</button>`;
         });
-        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
-        
-        this.renderTodos();
+        return `<div class="todo-tags">${chips.join('')}</div>`;
     }
 
-    getFilteredTodos() {
-        switch (this.currentFilter) {
-            case 'completed':
-                return this.todos.filter(todo => todo.completed);
-            case 'pending':
-                return this.todos.filter(todo => !todo.completed);
-            default:
-                return this.todos;
-        }
+    parseTags(value) {
+        return value.split(',').map(tag => tag.trim()).filter(Boolean);
     }
 
-    renderTodos() {
-        const todosList = document.getElementById('todosList');
-        const noTodos = document.getElementById('noTodos');
-        const filteredTodos = this.getFilteredTodos();
+    setTagFilter(tag) {
+        this.tagFilter = tag;
+        document.getElementById('activeTagFilter').style.display = tag ? 'flex' : 'none';
+        document.getElementById('activeTagName').textContent = tag ? `#${tag}` : '';
+        this.loadTodos();
+    }
 
-        if (filteredTodos.length === 0) {
-            todosList.style.display = 'none';
-            noTodos.style.display = 'block';
-            return;
+    // Offer completions for the tag being typed after the last comma
+    async suggestTags(value) {
+        const parts = value.split(',');
+        const current = parts.pop().trim();
+        const datalist = document.getElementById('tagSuggestions');
+        datalist.innerHTML = '';
+        if (!current) return;
+
+        try {
+            const response = await this.api(`/api/v1/tags?q=${encodeURIComponent(current)}`);
+            if (!response.ok) return;
+            const { data: tags } = await response.json();
+            const prefix = parts.map(part => part.trim()).filter(Boolean);
+            datalist.innerHTML = tags.map(tag => {
+                const completion = [...prefix, tag.name].join(', ');
+                return `<option value="${this.escapeHtml(completion)}"></option>`;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading tag suggestions:', error);
         }
+    }
 
-        todosList.style.display = 'block';
-        noTodos.style.display = 'none';
+    // Classify a todo's due date relative to the browser's current day
+    getDueStatus(todo) {
+        if (!todo.due_at) return null;
 
-        todosList.innerHTML = filteredTodos.map(todo => `
-            <div class="todo-item ${todo.completed ? 'completed' : ''}">
-                <div class="todo-header">
-                    <h3 class="todo-title">${this.escapeHtml(todo.title)}</h3>
-                    <div class="todo-actions">
-                        <button class="btn btn-success" onclick="todoApp.toggleTodo(${todo.id})">
-                            ${todo.completed ? 'Undo' : 'Complete'}
-                        </button>
-                        <button class="btn btn-secondary" onclick="todoApp.editTodo(${todo.id})">
-                            Edit
-                        </button>
-                        <button class="btn btn-danger" onclick="todoApp.deleteTodo(${todo.id})">
-                            Delete
-                        </button>
-                    </div>
-                </div>
-                ${todo.description ? `<p class="todo-description">${this.escapeHtml(todo.description)}</p>` : ''}
-                <div class="todo-meta">
-                    <span class="todo-date">Created: ${this.formatDate(todo.created_at)}</span>
-                    <span class="todo-status">${todo.completed ? '✅ Completed' : '⏳ Pending'}</span>
-                </div>
-            </div>
+        const due = new Date(todo.due_at);
+        const now = new Date();
+        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        if (!todo.completed && due < now) return 'overdue';
+        if (due >= startOfToday && due < startOfTomorrow) return 'today';
+        if (due >= startOfTomorrow) return 'upcoming';
+        return null;
+    }
+
+    renderDueBadge(todo) {
+        if (!todo.due_at) return '';
+
+        const status = this.getDueStatus(todo);
+        const label = status === 'overdue' ? 'Overdue' : 'Due';
+        const timeZone = todo.due_tz && todo.due_tz !== this.timeZone ? ` (${this.escapeHtml(todo.due_tz)})` : '';
+        return `<span class="due-badge ${status ? `due-${status}` : ''}">${label}: ${this.formatDate(todo.due_at, todo.due_tz)}${timeZone}</span>`;
+    }
+
+    renderRepeatBadge(todo) {
+        if (!todo.recurrence) return '';
+
+        const option = this.repeatOptions.find(o => o.rrule === todo.recurrence.rrule);
+        const label = option ? option.label : todo.recurrence.rrule;
+        return `<span class="repeat-badge" title="${this.escapeHtml(todo.recurrence.rrule)}">🔁 ${this.escapeHtml(label)}</span>`;
+    }
+
+    // Repeat presets for a <select>; a rule set through the API shows as its own option
+    renderRepeatOptions(rrule) {
+        const options = this.repeatOptions.some(o => o.rrule === rrule)
+            ? this.repeatOptions
+            : [...this.repeatOptions, { rrule, label: rrule }];
+        return options.map(o => `
+            <option value="${this.escapeHtml(o.rrule)}" ${o.rrule === rrule ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>
         `).join('');
     }
 
-    updateStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(todo => todo.completed).length;
-        const pending = total - completed;
+    // <input type="datetime-local"> works in local time without a zone
+    toLocalInputValue(isoString) {
+        if (!isoString) return '';
+        const date = new Date(isoString);
+        const offsetMs = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+    }
 
-        document.getElementById('totalTodos').textContent = `Total: ${total}`;
-        document.getElementById('completedTodos').textContent = `Completed: ${completed}`;
-        document.getElementById('pendingTodos').textContent = `Pending: ${pending}`;
+    fromLocalInputValue(value) {
+        return value ? new Date(value).toISOString() : null;
     }
 
-    formatDate(dateString) {
+    formatDate(dateString, timeZone) {
         const date = new Date(dateString);
-        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const options = timeZone ? { timeZone } : {};
+        return date.toLocaleDateString([], options) + ' ' + date.toLocaleTimeString([], {...options, hour: '2-digit', minute:'2-digit'});
     }
 
+    // Safe for element content and quoted attribute values
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // The message of an API error response, { error: { code, message, fields } }
+    errorMessage(body, fallback) {
+        const error = body && body.error;
+        if (!error) return fallback;
+        return typeof error === 'string' ? error : error.message || fallback;
     }
 
+    // Takes a message, or an API error object whose field errors are listed
     showError(message) {
+        if (message && typeof message === 'object') {
+            const fields = Object.entries(message.fields || {}).map(([field, problem]) => `${field} ${problem}`);
+            message = fields.length ? fields.join('; ') : message.message;
+        }
         this.showNotification(message, 'error');
     }
 
@@ -312,7 +2119,12 @@ class TodoApp {
         this.showNotification(message, 'success');
     }
 
-    showNotification(message, type) {
+    // A success toast with an Undo button, shown long enough to react to
+    showUndo(message, onUndo) {
+        this.showNotification(message, 'success', { label: 'Undo', onClick: onUndo });
+    }
+
+    showNotification(message, type, action) {
         // Remove existing notifications
         const existingNotification = document.querySelector('.notification');
         if (existingNotification) {
@@ -323,6 +2135,17 @@ class TodoApp {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
         
         // Style the notification
         notification.style.cssText = `
@@ -363,7 +2186,7 @@ class TodoApp {
 
         document.body.appendChild(notification);
 
-        // Auto remove after 3 seconds
+        // Auto remove after 3 seconds, or 6 when there is an action to take
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.style.animation = 'slideIn 0.3s ease reverse';
@@ -373,7 +2196,7 @@ class TodoApp {
                     }
                 }, 300);
             }
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 }
 
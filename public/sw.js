@@ -0,0 +1,41 @@
+// Service worker: keeps the app shell available offline. Shell files are
+// fetched from the network when possible, so updates show up right away, and
+// served from the cache otherwise. API requests are left to the page, which
+// keeps its own copy of the todos in IndexedDB.
+const CACHE_NAME = 'todo-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/style.css', '/script.js', '/offline.js'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request).then(cached => cached || caches.match('/index.html')))
+    );
+});
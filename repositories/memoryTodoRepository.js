@@ -0,0 +1,438 @@
+// The in-memory todo repository (see repositories/todoRepository.js): the same
+// methods and results as the SQLite one, with the todos and their tags kept in
+// plain objects in this process. Nothing else is stored here, so every todo
+// has no checklist items and no recurrence, and there is no `repo.db` for the
+// SQL helpers (history, lists, webhooks) to use.
+const { MAX_TAGS_PER_TODO } = require('../services/tags');
+const { toProgress } = require('../services/checklists');
+const { PRIORITIES, DEFAULT_PRIORITY, POSITION_GAP } = require('../services/todos');
+
+// Fields update() can change, as in the todos table
+const UPDATABLE_COLUMNS = ['title', 'description', 'completed', 'due_at', 'due_tz', 'list_id', 'auto_complete', 'priority'];
+
+// Sorts that aren't a plain field: priorities by rank, so urgent > high > medium > low
+const SORT_KEYS = {
+  priority: todo => PRIORITIES.indexOf(todo.priority)
+};
+
+function emptyData() {
+  return { todos: new Map(), tags: new Map(), todoTags: new Map(), nextTodoId: 1, nextTagId: 1 };
+}
+
+function copyData(data) {
+  return {
+    todos: new Map([...data.todos].map(([id, todo]) => [id, { ...todo }])),
+    tags: new Map([...data.tags].map(([id, tag]) => [id, { ...tag }])),
+    todoTags: new Map([...data.todoTags].map(([id, tagIds]) => [id, new Set(tagIds)])),
+    nextTodoId: data.nextTodoId,
+    nextTagId: data.nextTagId
+  };
+}
+
+// SQLite's CURRENT_TIMESTAMP format, e.g. "2024-05-01 09:30:00"
+function timestamp() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Tag names and LIKE compare case-insensitively for ASCII letters only, as in SQLite
+function foldCase(text) {
+  return text.replace(/[A-Z]/g, letter => letter.toLowerCase());
+}
+
+// Order values the way SQLite does for these columns: null first, then by value
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function toColumnValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// Todos and tags in memory, with statements and transactions taking turns
+// the way config/database.js queues them
+class MemoryStore {
+  constructor() {
+    this.data = emptyData();
+    this.queue = Promise.resolve();
+  }
+
+  // Run fn(data) once everything queued before it has settled
+  use(fn) {
+    return this.exclusive(() => fn(this.data));
+  }
+
+  // Run work(tx) with everything else waiting, putting the data back as it
+  // was if it throws. Inside, go through the tx handle, as with the database.
+  transaction(work) {
+    const tx = { use: async fn => fn(this.data) };
+
+    return this.exclusive(async () => {
+      const saved = copyData(this.data);
+      try {
+        return await work(tx);
+      } catch (err) {
+        this.data = saved;
+        throw err;
+      }
+    });
+  }
+
+  exclusive(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+// The user's tag with this name, created if they don't have one yet
+function findOrCreateTag(data, userId, name) {
+  for (const tag of data.tags.values()) {
+    if (tag.user_id === userId && foldCase(tag.name) === foldCase(name)) {
+      return tag;
+    }
+  }
+  const tag = { id: data.nextTagId++, user_id: userId, name, color: null };
+  data.tags.set(tag.id, tag);
+  return tag;
+}
+
+function tagsOf(data, todoId) {
+  return [...(data.todoTags.get(todoId) || [])]
+    .map(tagId => data.tags.get(tagId))
+    .sort((a, b) => compareValues(foldCase(a.name), foldCase(b.name)));
+}
+
+// A todo the way the API sends it, as a copy callers may change
+function decorate(data, todo) {
+  return {
+    ...todo,
+    tags: tagsOf(data, todo.id).map(({ id, name, color }) => ({ id, name, color })),
+    progress: toProgress(0, 0),
+    recurrence: null
+  };
+}
+
+function contains(text, search) {
+  return typeof text === 'string' && foldCase(text).includes(foldCase(search));
+}
+
+// Whether a todo matches the search part of a filter (see TodoController's
+// parseListQuery), which the status counts honour
+function matchesSearch(data, userId, filter, todo) {
+  if (todo.user_id !== userId || todo.deleted_at !== null) return false;
+  if (filter.ids && !filter.ids.includes(todo.id)) return false;
+  if (filter.q && !contains(todo.title, filter.q) && !contains(todo.description, filter.q)) return false;
+  if (filter.listId !== undefined && filter.listId !== null && todo.list_id !== filter.listId) return false;
+  // Todos must have every listed tag
+  const names = tagsOf(data, todo.id).map(tag => foldCase(tag.name));
+  return (filter.tags || []).every(tag => names.includes(foldCase(tag)));
+}
+
+// Whether a todo matches the status part of a filter (completed and due)
+function matchesStatus(filter, todo) {
+  if (filter.completed !== undefined && todo.completed !== (filter.completed ? 1 : 0)) return false;
+  if (filter.due) {
+    if (filter.due.open && todo.completed !== 0) return false;
+    if (filter.due.from && !(todo.due_at !== null && todo.due_at >= filter.due.from)) return false;
+    if (filter.due.before && !(todo.due_at !== null && todo.due_at < filter.due.before)) return false;
+  }
+  return true;
+}
+
+function userTodos(data, userId) {
+  return [...data.todos.values()].filter(todo => todo.user_id === userId);
+}
+
+function liveTodo(data, userId, id) {
+  const todo = data.todos.get(Number(id));
+  return todo && todo.user_id === userId && todo.deleted_at === null ? todo : undefined;
+}
+
+function setTags(data, userId, todoId, names) {
+  data.todoTags.set(todoId, new Set(names.map(name => findOrCreateTag(data, userId, name).id)));
+}
+
+function applyChanges(todo, changes) {
+  UPDATABLE_COLUMNS
+    .filter(column => changes[column] !== undefined)
+    .forEach((column) => {
+      todo[column] = toColumnValue(changes[column]);
+    });
+  todo.version++;
+  todo.updated_at = timestamp();
+}
+
+// A free position for todo `id` next to a neighbour (see move), or null if
+// there is no room between the neighbours
+function positionBetween(data, userId, id, { after, before }) {
+  const others = userTodos(data, userId).filter(todo => todo.deleted_at === null && todo.id !== id);
+  const positionOf = todoId => data.todos.get(todoId).position;
+
+  let lower;
+  let upper;
+  if (after !== undefined) {
+    lower = after === null ? null : positionOf(after);
+    const above = others.map(todo => todo.position).filter(position => lower === null || position > lower);
+    upper = above.length > 0 ? Math.min(...above) : null;
+  } else {
+    upper = before === null ? null : positionOf(before);
+    const below = others.map(todo => todo.position).filter(position => upper === null || position < upper);
+    lower = below.length > 0 ? Math.max(...below) : null;
+  }
+
+  if (lower === null && upper === null) {
+    return 0;
+  }
+  if (lower === null) {
+    return upper - POSITION_GAP;
+  }
+  if (upper === null) {
+    return lower + POSITION_GAP;
+  }
+  const middle = (lower + upper) / 2;
+  return middle > lower && middle < upper ? middle : null;
+}
+
+// Space all of the user's todos (trash included) POSITION_GAP apart, keeping their order
+function renumber(data, userId) {
+  userTodos(data, userId)
+    .sort((a, b) => compareValues(a.position, b.position) || a.id - b.id)
+    .forEach((todo, index) => {
+      todo.position = index * POSITION_GAP;
+      todo.version++;
+    });
+}
+
+class MemoryTodoRepository {
+  // `store` is a MemoryStore, or inside transaction() its transaction handle
+  constructor(store = new MemoryStore()) {
+    this.store = store;
+    this.db = null;
+  }
+
+  // Run work(repo) in a transaction, with a repository bound to it
+  transaction(work) {
+    return this.store.transaction(tx => work(new MemoryTodoRepository(tx)));
+  }
+
+  // One page of the user's todos matching a filter, with the number of
+  // matches and status counts for the search alone:
+  //   { todos, total, counts: { total, completed, pending, overdue } }
+  list(userId, filter) {
+    return this.store.use((data) => {
+      const found = userTodos(data, userId).filter(todo => matchesSearch(data, userId, filter, todo));
+      const matches = found.filter(todo => matchesStatus(filter, todo));
+
+      const direction = filter.order === 'asc' ? 1 : -1;
+      const sortKey = SORT_KEYS[filter.sort] || (todo => todo[filter.sort]);
+      // id breaks ties so pages stay stable when the sort field has duplicates
+      matches.sort((a, b) => direction * (compareValues(sortKey(a), sortKey(b)) || a.id - b.id));
+
+      const now = new Date().toISOString();
+      const completed = found.filter(todo => todo.completed === 1).length;
+      return {
+        todos: matches.slice(filter.offset, filter.offset + filter.limit).map(todo => decorate(data, todo)),
+        total: matches.length,
+        counts: {
+          total: found.length,
+          completed,
+          pending: found.length - completed,
+          overdue: found.filter(todo => todo.completed === 0 && todo.due_at !== null && todo.due_at < now).length
+        }
+      };
+    });
+  }
+
+  // Ids of the user's todos matching a filter (which may list `ids`), lowest first
+  findIds(userId, filter, limit) {
+    return this.store.use(data => userTodos(data, userId)
+      .filter(todo => matchesSearch(data, userId, filter, todo) && matchesStatus(filter, todo))
+      .map(todo => todo.id)
+      .sort((a, b) => a - b)
+      .slice(0, limit));
+  }
+
+  // Open todos flagged as overdue, most overdue first
+  overdue(userId) {
+    return this.store.use(data => userTodos(data, userId)
+      .filter(todo => todo.deleted_at === null && todo.completed === 0 && todo.overdue_at !== null)
+      .sort((a, b) => compareValues(a.due_at, b.due_at) || a.id - b.id)
+      .map(todo => decorate(data, todo)));
+  }
+
+  // One of the user's todos, or undefined. Todos in the trash only with includeTrashed.
+  get(userId, id, { includeTrashed = false } = {}) {
+    return this.store.use((data) => {
+      const todo = data.todos.get(Number(id));
+      if (!todo || todo.user_id !== userId || (todo.deleted_at !== null && !includeTrashed)) {
+        return undefined;
+      }
+      return decorate(data, todo);
+    });
+  }
+
+  // Several of the user's todos (not in the trash), in id order
+  getMany(userId, ids) {
+    return this.store.use(data => [...new Set(ids.map(Number))]
+      .sort((a, b) => a - b)
+      .map(id => liveTodo(data, userId, id))
+      .filter(Boolean)
+      .map(todo => decorate(data, todo)));
+  }
+
+  // Todos in the trash, most recently deleted first
+  trash(userId) {
+    return this.store.use(data => userTodos(data, userId)
+      .filter(todo => todo.deleted_at !== null)
+      .sort((a, b) => compareValues(b.deleted_at, a.deleted_at) || b.id - a.id)
+      .map(todo => decorate(data, todo)));
+  }
+
+  // Add a validated todo (see validateNewTodo) to a list, at the top of the
+  // user's manual order, and return it
+  create(userId, listId, values) {
+    return this.store.use((data) => {
+      const positions = userTodos(data, userId).map(todo => todo.position);
+      const now = timestamp();
+      const todo = {
+        id: data.nextTodoId++,
+        title: values.title,
+        description: values.description === undefined ? null : values.description,
+        completed: values.completed ? 1 : 0,
+        created_at: now,
+        updated_at: now,
+        user_id: userId,
+        due_at: values.due_at === undefined ? null : values.due_at,
+        due_tz: values.due_tz === undefined ? null : values.due_tz,
+        overdue_at: null,
+        list_id: listId,
+        auto_complete: values.auto_complete ? 1 : 0,
+        deleted_at: null,
+        series_id: null,
+        occurrence: null,
+        version: 1,
+        priority: values.priority || DEFAULT_PRIORITY,
+        position: (positions.length > 0 ? Math.min(...positions) : 0) - POSITION_GAP
+      };
+      data.todos.set(todo.id, todo);
+      setTags(data, userId, todo.id, values.tags || []);
+      return decorate(data, todo);
+    });
+  }
+
+  // Change some fields of a todo and return it, or undefined if the user has
+  // no such todo. `tags` replaces the todo's tag names. Moving the due date
+  // clears the overdue flag, so the todo is flagged again once it passes.
+  update(userId, id, changes) {
+    return this.store.use((data) => {
+      const todo = liveTodo(data, userId, id);
+      if (!todo) {
+        return undefined;
+      }
+      if (changes.due_at !== undefined && changes.due_at !== todo.due_at) {
+        todo.overdue_at = null;
+      }
+      applyChanges(todo, changes);
+      if (changes.tags) {
+        setTags(data, userId, todo.id, changes.tags);
+      }
+      return decorate(data, todo);
+    });
+  }
+
+  // Set the same fields on several of the user's todos (no tags)
+  updateMany(userId, ids, changes) {
+    return this.store.use((data) => {
+      ids.map(id => liveTodo(data, userId, id))
+        .filter(Boolean)
+        .forEach(todo => applyChanges(todo, changes));
+    });
+  }
+
+  // Add and remove tag names on several todos. Returns the id of a todo that
+  // ended up with more than MAX_TAGS_PER_TODO tags, or null; the caller should
+  // roll back if there is one.
+  retag(userId, ids, { add = [], remove = [] }) {
+    return this.store.use((data) => {
+      const removed = remove.map(foldCase);
+      const added = add.map(name => findOrCreateTag(data, userId, name).id);
+      const todos = ids.map(id => liveTodo(data, userId, id)).filter(Boolean);
+      todos.forEach((todo) => {
+        const tagIds = [...(data.todoTags.get(todo.id) || [])]
+          .filter(tagId => !removed.includes(foldCase(data.tags.get(tagId).name)));
+        data.todoTags.set(todo.id, new Set([...tagIds, ...added]));
+        applyChanges(todo, {});
+      });
+
+      const crowded = todos.find(todo => data.todoTags.get(todo.id).size > MAX_TAGS_PER_TODO);
+      return crowded ? crowded.id : null;
+    });
+  }
+
+  // Move a todo in the user's manual order: right after the todo `after` or
+  // right before the todo `before` (both must exist). `after: null` moves it to
+  // the top and `before: null` to the bottom. Returns the todo, or undefined if
+  // the user has no such todo.
+  move(userId, id, { after, before }) {
+    return this.store.use((data) => {
+      const todo = liveTodo(data, userId, id);
+      if (!todo) {
+        return undefined;
+      }
+      let position = positionBetween(data, userId, todo.id, { after, before });
+      if (position === null) {
+        renumber(data, userId);
+        position = positionBetween(data, userId, todo.id, { after, before });
+      }
+      todo.position = position;
+      todo.version++;
+      return decorate(data, todo);
+    });
+  }
+
+  // Move todos to the trash. Returns how many were moved.
+  delete(userId, ids) {
+    return this.store.use((data) => {
+      const todos = [].concat(ids).map(id => liveTodo(data, userId, id)).filter(Boolean);
+      const now = new Date().toISOString();
+      todos.forEach((todo) => {
+        todo.deleted_at = now;
+        todo.version++;
+      });
+      return todos.length;
+    });
+  }
+
+  // Take a todo out of the trash and return it, or undefined if it isn't there
+  restore(userId, id) {
+    return this.store.use((data) => {
+      const todo = data.todos.get(Number(id));
+      if (!todo || todo.user_id !== userId || todo.deleted_at === null) {
+        return undefined;
+      }
+      todo.deleted_at = null;
+      todo.version++;
+      todo.updated_at = timestamp();
+      return decorate(data, todo);
+    });
+  }
+
+  // Permanently delete a todo in the trash, or with no id the whole trash.
+  // Returns how many were deleted.
+  purge(userId, id) {
+    return this.store.use((data) => {
+      const todos = userTodos(data, userId)
+        .filter(todo => todo.deleted_at !== null && (id === undefined || todo.id === Number(id)));
+      todos.forEach((todo) => {
+        data.todos.delete(todo.id);
+        data.todoTags.delete(todo.id);
+      });
+      return todos.length;
+    });
+  }
+}
+
+module.exports = MemoryTodoRepository;
@@ -0,0 +1,359 @@
+// The SQLite todo repository (see repositories/todoRepository.js). Reads
+// return todos the way the API sends them (with tags, checklist progress and
+// recurrence) and writes return the saved todo, so callers never rebuild one
+// by hand. Every method runs on the handle the repository was made with: the
+// database, or inside transaction() the transaction, which helpers that take
+// a db can reach as `repo.db`.
+const { MAX_TAGS_PER_TODO, setTodoTags } = require('../services/tags');
+const { PRIORITIES, POSITION_GAP, insertTodo, decorateTodos, loadTodo } = require('../services/todos');
+
+// Fields update() can change, as stored in the todos table
+const UPDATABLE_COLUMNS = ['title', 'description', 'completed', 'due_at', 'due_tz', 'list_id', 'auto_complete', 'priority'];
+
+// Sorts that aren't a plain column: priorities by rank, so urgent > high > medium > low
+const SORT_EXPRESSIONS = {
+  priority: `CASE priority ${PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} END`
+};
+
+function placeholders(values) {
+  return `(${values.map(() => '?').join(', ')})`;
+}
+
+function toColumnValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// WHERE conditions for a filter (see TodoController's parseListQuery), split
+// into the search (which the status counts honour) and the status conditions
+// (completed and due, which they ignore)
+function filterConditions(userId, filter) {
+  const search = { where: ['user_id = ?', 'deleted_at IS NULL'], params: [userId] };
+  const status = { where: [], params: [] };
+
+  if (filter.ids) {
+    search.where.push(`id IN ${placeholders(filter.ids)}`);
+    search.params.push(...filter.ids);
+  }
+  if (filter.q) {
+    const pattern = `%${filter.q.replace(/[\\%_]/g, '\\$&')}%`;
+    search.where.push("(title LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')");
+    search.params.push(pattern, pattern);
+  }
+  if (filter.listId !== undefined && filter.listId !== null) {
+    search.where.push('list_id = ?');
+    search.params.push(filter.listId);
+  }
+  // Todos must have every listed tag
+  (filter.tags || []).forEach((tag) => {
+    search.where.push(
+      `id IN (SELECT todo_tags.todo_id FROM todo_tags
+              JOIN tags ON tags.id = todo_tags.tag_id
+              WHERE tags.user_id = ? AND tags.name = ?)`
+    );
+    search.params.push(userId, tag);
+  });
+
+  if (filter.completed !== undefined) {
+    status.where.push('completed = ?');
+    status.params.push(filter.completed ? 1 : 0);
+  }
+  if (filter.due) {
+    if (filter.due.open) {
+      status.where.push('completed = 0');
+    }
+    if (filter.due.from) {
+      status.where.push('due_at >= ?');
+      status.params.push(filter.due.from);
+    }
+    if (filter.due.before) {
+      status.where.push('due_at < ?');
+      status.params.push(filter.due.before);
+    }
+  }
+
+  return { search, status };
+}
+
+class SqliteTodoRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Run work(repo) in a transaction, with a repository bound to it
+  transaction(work) {
+    return this.db.transaction(tx => work(new SqliteTodoRepository(tx)));
+  }
+
+  // One page of the user's todos matching a filter, with the number of
+  // matches and status counts for the search alone:
+  //   { todos, total, counts: { total, completed, pending, overdue } }
+  async list(userId, filter) {
+    const { search, status } = filterConditions(userId, filter);
+    const where = `WHERE ${[...search.where, ...status.where].join(' AND ')}`;
+    const params = [...search.params, ...status.params];
+    const order = filter.order === 'asc' ? 'ASC' : 'DESC';
+    const sort = SORT_EXPRESSIONS[filter.sort] || filter.sort;
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM todos ${where}`, params);
+    // id breaks ties so pages stay stable when the sort column has duplicates
+    const todos = await this.db.all(
+      `SELECT * FROM todos ${where} ORDER BY ${sort} ${order}, id ${order} LIMIT ? OFFSET ?`,
+      [...params, filter.limit, filter.offset]
+    );
+    const counts = await this.db.get(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(completed), 0) AS completed,
+              COALESCE(SUM(completed = 0 AND due_at < ?), 0) AS overdue
+       FROM todos WHERE ${search.where.join(' AND ')}`,
+      [new Date().toISOString(), ...search.params]
+    );
+
+    await decorateTodos(this.db, todos);
+    return {
+      todos,
+      total,
+      counts: {
+        total: counts.total,
+        completed: counts.completed,
+        pending: counts.total - counts.completed,
+        overdue: counts.overdue
+      }
+    };
+  }
+
+  // Ids of the user's todos matching a filter (which may list `ids`), lowest first
+  async findIds(userId, filter, limit) {
+    const { search, status } = filterConditions(userId, filter);
+    const rows = await this.db.all(
+      `SELECT id FROM todos WHERE ${[...search.where, ...status.where].join(' AND ')} ORDER BY id LIMIT ?`,
+      [...search.params, ...status.params, limit]
+    );
+    return rows.map(row => row.id);
+  }
+
+  // Open todos the scheduler has flagged as overdue, most overdue first
+  async overdue(userId) {
+    const todos = await this.db.all(
+      `SELECT * FROM todos
+       WHERE user_id = ? AND deleted_at IS NULL AND completed = 0 AND overdue_at IS NOT NULL
+       ORDER BY due_at ASC, id ASC`,
+      [userId]
+    );
+    return decorateTodos(this.db, todos);
+  }
+
+  // One of the user's todos, or undefined. Todos in the trash only with includeTrashed.
+  async get(userId, id, { includeTrashed = false } = {}) {
+    if (!includeTrashed) {
+      return loadTodo(this.db, userId, id);
+    }
+    const todo = await this.db.get('SELECT * FROM todos WHERE id = ? AND user_id = ?', [id, userId]);
+    if (todo) {
+      await decorateTodos(this.db, [todo]);
+    }
+    return todo;
+  }
+
+  // Several of the user's todos (not in the trash), in id order
+  async getMany(userId, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const todos = await this.db.all(
+      `SELECT * FROM todos WHERE user_id = ? AND deleted_at IS NULL AND id IN ${placeholders(ids)} ORDER BY id`,
+      [userId, ...ids]
+    );
+    return decorateTodos(this.db, todos);
+  }
+
+  // Todos in the trash, most recently deleted first
+  async trash(userId) {
+    const todos = await this.db.all(
+      `SELECT * FROM todos
+       WHERE user_id = ? AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, id DESC`,
+      [userId]
+    );
+    return decorateTodos(this.db, todos);
+  }
+
+  // Insert a validated todo (see validateNewTodo) into a list and return it
+  async create(userId, listId, values) {
+    const id = await insertTodo(this.db, userId, listId, values);
+    return loadTodo(this.db, userId, id);
+  }
+
+  // Change some fields of a todo and return it, or undefined if the user has
+  // no such todo. `tags` replaces the todo's tag names. Moving the due date
+  // clears the overdue flag, so the todo is flagged again once it passes.
+  async update(userId, id, changes) {
+    const columns = UPDATABLE_COLUMNS.filter(column => changes[column] !== undefined);
+    const sets = columns.map(column => `${column} = ?`);
+    const params = columns.map(column => toColumnValue(changes[column]));
+    if (changes.due_at !== undefined) {
+      sets.push('overdue_at = CASE WHEN due_at IS ? THEN overdue_at ELSE NULL END');
+      params.push(changes.due_at);
+    }
+
+    const { changes: updated } = await this.db.run(
+      `UPDATE todos SET ${[...sets, 'version = version + 1', 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [...params, id, userId]
+    );
+    if (updated === 0) {
+      return undefined;
+    }
+    if (changes.tags) {
+      await setTodoTags(this.db, userId, id, changes.tags);
+    }
+    return loadTodo(this.db, userId, id);
+  }
+
+  // Set the same fields on several of the user's todos (no tags)
+  async updateMany(userId, ids, changes) {
+    const columns = UPDATABLE_COLUMNS.filter(column => changes[column] !== undefined);
+    await this.db.run(
+      `UPDATE todos SET ${[...columns.map(column => `${column} = ?`), 'version = version + 1', 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE user_id = ? AND deleted_at IS NULL AND id IN ${placeholders(ids)}`,
+      [...columns.map(column => toColumnValue(changes[column])), userId, ...ids]
+    );
+  }
+
+  // Add and remove tag names on several todos. Returns the id of a todo that
+  // ended up with more than MAX_TAGS_PER_TODO tags, or null; the caller should
+  // roll back if there is one.
+  async retag(userId, ids, { add = [], remove = [] }) {
+    if (remove.length > 0) {
+      await this.db.run(
+        `DELETE FROM todo_tags
+         WHERE todo_id IN ${placeholders(ids)}
+           AND tag_id IN (SELECT id FROM tags WHERE user_id = ? AND name IN ${placeholders(remove)})`,
+        [...ids, userId, ...remove]
+      );
+    }
+    for (const name of add) {
+      await this.db.run('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)', [userId, name]);
+      await this.db.run(
+        `INSERT OR IGNORE INTO todo_tags (todo_id, tag_id)
+         SELECT todos.id, tags.id FROM todos, tags
+         WHERE todos.id IN ${placeholders(ids)} AND tags.user_id = ? AND tags.name = ?`,
+        [...ids, userId, name]
+      );
+    }
+    await this.updateMany(userId, ids, {});
+
+    const crowded = await this.db.get(
+      `SELECT todo_id FROM todo_tags WHERE todo_id IN ${placeholders(ids)}
+       GROUP BY todo_id HAVING COUNT(*) > ? LIMIT 1`,
+      [...ids, MAX_TAGS_PER_TODO]
+    );
+    return crowded ? crowded.todo_id : null;
+  }
+
+  // Move a todo in the user's manual order: right after the todo `after` or
+  // right before the todo `before` (both must exist). `after: null` moves it to
+  // the top and `before: null` to the bottom. Only the moved todo is rewritten,
+  // unless its new neighbours have no room left between them, in which case the
+  // user's positions are renumbered first. Returns the todo, or undefined if the
+  // user has no such todo.
+  async move(userId, id, { after, before }) {
+    let position = await this.positionBetween(userId, id, { after, before });
+    if (position === null) {
+      await this.renumber(userId);
+      position = await this.positionBetween(userId, id, { after, before });
+    }
+
+    const { changes } = await this.db.run(
+      `UPDATE todos SET position = ?, version = version + 1
+       WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+      [position, id, userId]
+    );
+    return changes > 0 ? loadTodo(this.db, userId, id) : undefined;
+  }
+
+  // A free position for todo `id` next to a neighbour (see move), or null if
+  // there is no room between the neighbours
+  async positionBetween(userId, id, { after, before }) {
+    const positionOf = async (todoId) => {
+      const row = await this.db.get('SELECT position FROM todos WHERE id = ? AND user_id = ?', [todoId, userId]);
+      return row.position;
+    };
+    // The nearest position of the user's other todos below or above a bound
+    const nearest = async (aggregate, comparison, bound) => {
+      const row = await this.db.get(
+        `SELECT ${aggregate}(position) AS position FROM todos
+         WHERE user_id = ? AND deleted_at IS NULL AND id != ?${bound === null ? '' : ` AND position ${comparison} ?`}`,
+        bound === null ? [userId, id] : [userId, id, bound]
+      );
+      return row.position;
+    };
+
+    let lower;
+    let upper;
+    if (after !== undefined) {
+      lower = after === null ? null : await positionOf(after);
+      upper = await nearest('MIN', '>', lower);
+    } else {
+      upper = before === null ? null : await positionOf(before);
+      lower = await nearest('MAX', '<', upper);
+    }
+
+    if (lower === null && upper === null) {
+      return 0;
+    }
+    if (lower === null) {
+      return upper - POSITION_GAP;
+    }
+    if (upper === null) {
+      return lower + POSITION_GAP;
+    }
+    const middle = (lower + upper) / 2;
+    return middle > lower && middle < upper ? middle : null;
+  }
+
+  // Space all of the user's todos (trash included, so restored todos keep
+  // their place) POSITION_GAP apart, keeping their order
+  async renumber(userId) {
+    const rows = await this.db.all('SELECT id FROM todos WHERE user_id = ? ORDER BY position, id', [userId]);
+    for (const [index, row] of rows.entries()) {
+      await this.db.run(
+        'UPDATE todos SET position = ?, version = version + 1 WHERE id = ?',
+        [index * POSITION_GAP, row.id]
+      );
+    }
+  }
+
+  // Move todos to the trash. Returns how many were moved.
+  async delete(userId, ids) {
+    const list = [].concat(ids);
+    const { changes } = await this.db.run(
+      `UPDATE todos SET deleted_at = ?, version = version + 1
+       WHERE user_id = ? AND deleted_at IS NULL AND id IN ${placeholders(list)}`,
+      [new Date().toISOString(), userId, ...list]
+    );
+    return changes;
+  }
+
+  // Take a todo out of the trash and return it, or undefined if it isn't there
+  async restore(userId, id) {
+    const { changes } = await this.db.run(
+      `UPDATE todos SET deleted_at = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL`,
+      [id, userId]
+    );
+    return changes > 0 ? loadTodo(this.db, userId, id) : undefined;
+  }
+
+  // Permanently delete a todo in the trash, or with no id the whole trash.
+  // Returns how many were deleted.
+  async purge(userId, id) {
+    const { changes } = id === undefined
+      ? await this.db.run('DELETE FROM todos WHERE user_id = ? AND deleted_at IS NOT NULL', [userId])
+      : await this.db.run(
+        'DELETE FROM todos WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+        [id, userId]
+      );
+    return changes;
+  }
+}
+
+module.exports = SqliteTodoRepository;
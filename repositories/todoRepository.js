@@ -0,0 +1,24 @@
+// Data access for todos, behind a promise-based repository: list, get,
+// create, update, delete and transaction, plus the trash, bulk and ordering
+// helpers. The `storage` setting picks the implementation:
+//   sqlite  SqliteTodoRepository, on the database in config/database.js
+//   memory  MemoryTodoRepository, in this process only
+// History, lists, tags, recurrence and webhooks are stored in the database
+// and join its todos table, so the server and the CLI need the SQLite one;
+// the in-memory one serves code and tests that only need the repository.
+const database = require('../config/database');
+const { getSettings } = require('../config/settings');
+const SqliteTodoRepository = require('./sqliteTodoRepository');
+const MemoryTodoRepository = require('./memoryTodoRepository');
+
+// A new repository for the storage in `settings`; `db` is the database the
+// SQLite one uses
+function createTodoRepository({ storage }, db = database) {
+  return storage === 'memory' ? new MemoryTodoRepository() : new SqliteTodoRepository(db);
+}
+
+module.exports = {
+  createTodoRepository,
+  // The repository the app uses, for the configured storage
+  todoRepository: createTodoRepository(getSettings())
+};
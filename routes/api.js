@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const v1Routes = require('./v1');
+const { apiVersion, deprecated } = require('../middleware/versioning');
+
+// The unversioned paths are the API from before versioning. They serve the v1
+// routes with the old response shapes until the sunset date.
+const LEGACY_API = {
+  since: '2026-10-19T00:00:00Z',
+  sunset: '2027-04-19T00:00:00Z'
+};
+
+// Each version is a router under /api/vN; a v2 mounts next to v1 and can reuse
+// the route modules that didn't change
+router.use('/v1', apiVersion('v1'), v1Routes);
+
+// Unknown /api/vN/... paths are a 404, not a legacy request
+router.use((req, res, next) => {
+  next(/^\/v\d+(\/|$)/.test(req.path) ? 'router' : undefined);
+});
+router.use(
+  deprecated({ ...LEGACY_API, successor: req => `${req.baseUrl}/v1${req.url}` }),
+  apiVersion('legacy'),
+  v1Routes
+);
+
+module.exports = router;
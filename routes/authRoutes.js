@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// POST /api/v1/auth/register - Create an account
+router.post('/register', authController.register);
+
+// POST /api/v1/auth/login - Log in and receive a bearer token
+router.post('/login', authController.login);
+
+// POST /api/v1/auth/logout - Revoke the current token
+router.post('/logout', requireAuth, authController.logout);
+
+// GET /api/v1/auth/me - Get the logged-in user
+router.get('/me', requireAuth, authController.me);
+
+module.exports = router;
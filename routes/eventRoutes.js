@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+
+// GET /api/v1/events - Server-Sent Events stream of todo changes
+router.get('/', eventController.stream);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const listController = require('../controllers/listController');
+const todoController = require('../controllers/todoController');
+const { validate } = require('../middleware/validate');
+const todoSchemas = require('../schemas/todoSchemas');
+
+// GET /api/v1/lists - Get all lists with their todo counts
+router.get('/', listController.getAllLists);
+
+// GET /api/v1/lists/:listId - Get a single list by id
+router.get('/:listId', listController.getListById);
+
+// POST /api/v1/lists - Create a new list
+router.post('/', listController.createList);
+
+// PUT /api/v1/lists/:listId - Rename a list
+router.put('/:listId', listController.updateList);
+
+// DELETE /api/v1/lists/:listId?mode=move|cascade&target=:id - Delete a list
+router.delete('/:listId', listController.deleteList);
+
+// GET /api/v1/lists/:listId/todos - Get the todos in a list (same query params as /api/todos)
+router.get('/:listId/todos', validate(todoSchemas.listTodosInList), todoController.getAllTodos);
+
+// POST /api/v1/lists/:listId/todos - Create a todo in a list
+router.post('/:listId/todos', validate(todoSchemas.createTodoInList), todoController.createTodo);
+
+module.exports = router;
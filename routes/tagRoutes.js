@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+
+// GET /api/v1/tags - Get all tags (?q= filters by name prefix)
+router.get('/', tagController.getAllTags);
+
+// GET /api/v1/tags/:id - Get a single tag by id
+router.get('/:id', tagController.getTagById);
+
+// POST /api/v1/tags - Create a new tag
+router.post('/', tagController.createTag);
+
+// PUT /api/v1/tags/:id - Rename or recolor a tag
+router.put('/:id', tagController.updateTag);
+
+// DELETE /api/v1/tags/:id - Delete a tag
+router.delete('/:id', tagController.deleteTag);
+
+module.exports = router;
@@ -1,20 +1,85 @@
 const express = require('express');
+const bodyParser = require('body-parser');
 const router = express.Router();
 const todoController = require('../controllers/todoController');
+const checklistController = require('../controllers/checklistController');
+const transferController = require('../controllers/transferController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/todoSchemas');
+const { getSettings } = require('../config/settings');
 
-// GET /api/todos - Get all todos
-router.get('/', todoController.getAllTodos);
+// Imports may be larger than other requests, so they have their own parsers
+// with importBodyLimit (the app-wide JSON parser skips them, see server.js).
+// CSV and iCalendar arrive as plain text.
+const importBody = [
+  bodyParser.json({ limit: getSettings().importBodyLimit }),
+  bodyParser.text({
+    type: ['text/csv', 'text/calendar', 'text/plain'],
+    limit: getSettings().importBodyLimit
+  })
+];
 
-// GET /api/todos/:id - Get a single todo by id
-router.get('/:id', todoController.getTodoById);
+// GET /api/v1/todos - Get all todos
+router.get('/', validate(schemas.listTodos), todoController.getAllTodos);
 
-// POST /api/todos - Create a new todo
-router.post('/', todoController.createTodo);
+// GET /api/v1/todos/overdue - Get todos flagged as overdue
+router.get('/overdue', validate(schemas.noQuery), todoController.getOverdueTodos);
 
-// PUT /api/todos/:id - Update a todo
-router.put('/:id', todoController.updateTodo);
+// GET /api/v1/todos/export?format=json|csv|ics - Download todos
+router.get('/export', validate(schemas.exportTodos), transferController.exportTodos);
 
-// DELETE /api/todos/:id - Delete a todo
-router.delete('/:id', todoController.deleteTodo);
+// POST /api/v1/todos/import?format=json|csv|ics - Import todos
+router.post('/import', importBody, validate(schemas.importTodos), transferController.importTodos);
+
+// POST /api/v1/todos/bulk - Apply actions to many todos at once
+router.post('/bulk', validate(schemas.bulkUpdate), todoController.bulkUpdate);
+
+// PATCH /api/v1/todos/reorder - Move a todo in the manual order
+router.patch('/reorder', validate(schemas.reorderTodos), todoController.reorderTodo);
+
+// GET /api/v1/todos/trash - Get deleted todos
+router.get('/trash', validate(schemas.noQuery), todoController.getTrash);
+
+// DELETE /api/v1/todos/trash - Empty the trash
+router.delete('/trash', validate(schemas.noQuery), todoController.emptyTrash);
+
+// DELETE /api/v1/todos/trash/:id - Permanently delete a todo from the trash
+router.delete('/trash/:id', validate(schemas.todoById), todoController.purgeTodo);
+
+// GET /api/v1/todos/:id - Get a single todo by id
+router.get('/:id', validate(schemas.todoById), todoController.getTodoById);
+
+// POST /api/v1/todos - Create a new todo
+router.post('/', validate(schemas.createTodo), todoController.createTodo);
+
+// PUT /api/v1/todos/:id - Update a todo
+router.put('/:id', validate(schemas.updateTodo), todoController.updateTodo);
+
+// DELETE /api/v1/todos/:id - Move a todo to the trash
+router.delete('/:id', validate(schemas.todoById), todoController.deleteTodo);
+
+// POST /api/v1/todos/:id/restore - Restore a todo from the trash
+router.post('/:id/restore', validate(schemas.todoById), todoController.restoreTodo);
+
+// GET /api/v1/todos/:id/history - Get a todo's change history
+router.get('/:id/history', validate(schemas.todoById), todoController.getTodoHistory);
+
+// POST /api/v1/todos/:id/history/:entryId/revert - Revert a todo to an earlier version
+router.post('/:id/history/:entryId/revert', validate(schemas.revertTodo), todoController.revertTodo);
+
+// GET /api/v1/todos/:id/items - Get a todo's checklist
+router.get('/:id/items', validate(schemas.todoById), checklistController.getItems);
+
+// POST /api/v1/todos/:id/items - Add a checklist item
+router.post('/:id/items', validate(schemas.createItem), checklistController.createItem);
+
+// PATCH /api/v1/todos/:id/items/reorder - Reorder the checklist
+router.patch('/:id/items/reorder', validate(schemas.reorderItems), checklistController.reorderItems);
+
+// PUT /api/v1/todos/:id/items/:itemId - Rename or toggle a checklist item
+router.put('/:id/items/:itemId', validate(schemas.updateItem), checklistController.updateItem);
+
+// DELETE /api/v1/todos/:id/items/:itemId - Delete a checklist item
+router.delete('/:id/items/:itemId', validate(schemas.itemById), checklistController.deleteItem);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const todoRoutes = require('./todoRoutes');
+const authRoutes = require('./authRoutes');
+const tagRoutes = require('./tagRoutes');
+const listRoutes = require('./listRoutes');
+const eventRoutes = require('./eventRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const openapi = require('../docs/openapi');
+
+// GET /api/v1/openapi.json - The OpenAPI description of the API (public/docs.html renders it)
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi);
+});
+
+router.use('/auth', authRoutes);
+router.use('/todos', requireAuth, todoRoutes);
+router.use('/tags', requireAuth, tagRoutes);
+router.use('/lists', requireAuth, listRoutes);
+router.use('/webhooks', requireAuth, webhookRoutes);
+router.use('/events', authenticate({ allowQueryToken: true }), eventRoutes);
+
+module.exports = router;
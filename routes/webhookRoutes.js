@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhookSchemas');
+
+// GET /api/v1/webhooks - Get all webhooks
+router.get('/', validate(schemas.listWebhooks), webhookController.getAllWebhooks);
+
+// POST /api/v1/webhooks - Register a URL for todo events
+router.post('/', validate(schemas.createWebhook), webhookController.createWebhook);
+
+// GET /api/v1/webhooks/:id - Get a single webhook by id
+router.get('/:id', validate(schemas.webhookById), webhookController.getWebhookById);
+
+// PUT /api/v1/webhooks/:id - Change a webhook or replace its secret
+router.put('/:id', validate(schemas.updateWebhook), webhookController.updateWebhook);
+
+// DELETE /api/v1/webhooks/:id - Delete a webhook
+router.delete('/:id', validate(schemas.webhookById), webhookController.deleteWebhook);
+
+// GET /api/v1/webhooks/:id/deliveries?status=&limit= - Get a webhook's delivery log
+router.get('/:id/deliveries', validate(schemas.listDeliveries), webhookController.getDeliveries);
+
+// POST /api/v1/webhooks/:id/deliveries/:deliveryId/retry - Send a delivery again
+router.post('/:id/deliveries/:deliveryId/retry', validate(schemas.retryDelivery), webhookController.retryDelivery);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+// Request schemas for the todo routes, checked by middleware/validate.js before
+// the controllers run. They cover types, lengths and allowed fields; rules that
+// need the database or parsing (list ownership, dates, time zones, recurrence
+// rules) stay in the controllers and services.
+const { MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, PRIORITIES } = require('../services/todos');
+const { MAX_TAG_LENGTH, MAX_TAGS_PER_TODO } = require('../services/tags');
+const { MAX_ITEM_TITLE_LENGTH } = require('../services/checklists');
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_TIME_ZONE_LENGTH = 100;
+const BOOLEAN_STRINGS = ['true', 'false', '1', '0'];
+const FORMATS = ['json', 'csv', 'ics'];
+
+const id = { type: 'id', required: true };
+const todoParams = { id };
+const optionalId = { type: 'id' };
+// Ids in JSON bodies are numbers; digit strings are only for paths and queries
+const bodyId = { type: 'bodyId' };
+
+const tagNames = {
+  type: 'array',
+  maxItems: MAX_TAGS_PER_TODO,
+  items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH }
+};
+
+// Fields a todo can be created or updated with
+const todoFields = {
+  title: { type: 'string', minLength: 1, maxLength: MAX_TITLE_LENGTH },
+  description: { type: 'string', nullable: true, maxLength: MAX_DESCRIPTION_LENGTH },
+  due_at: { type: 'string', nullable: true },
+  due_tz: { type: 'string', nullable: true, maxLength: MAX_TIME_ZONE_LENGTH },
+  tags: tagNames,
+  list_id: { ...bodyId, nullable: true },
+  auto_complete: { type: 'boolean' },
+  priority: { type: 'string', enum: PRIORITIES },
+  recurrence: { type: ['string', 'object'], nullable: true }
+};
+
+// The filters GET /api/todos accepts; bulk filters take the same names
+const filterFields = {
+  completed: { type: 'string', enum: BOOLEAN_STRINGS },
+  q: { type: 'string', maxLength: MAX_SEARCH_LENGTH },
+  list_id: optionalId,
+  tag: { type: ['string', 'array'], items: { type: 'string', maxLength: MAX_TAG_LENGTH } },
+  due: { type: 'string', enum: ['overdue', 'today', 'upcoming'] },
+  tz: { type: 'string', maxLength: MAX_TIME_ZONE_LENGTH }
+};
+
+const listTodos = {
+  query: {
+    ...filterFields,
+    sort: { type: 'string' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a whole number' },
+    offset: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a whole number' }
+  }
+};
+
+const noQuery = { query: {} };
+
+const exportTodos = {
+  query: {
+    format: { type: 'string', enum: FORMATS },
+    list_id: optionalId
+  }
+};
+
+// The body is JSON, CSV or iCalendar, so only the query string is checked here
+const importTodos = {
+  query: {
+    format: { type: 'string', enum: FORMATS },
+    list_id: optionalId
+  }
+};
+
+const bulkUpdate = {
+  query: {},
+  body: {
+    ids: { type: 'array', minItems: 1, items: bodyId },
+    filter: {
+      type: 'object',
+      properties: {
+        ...filterFields,
+        // JSON filters may use real booleans and numbers
+        completed: { type: ['boolean', 'string'], enum: [true, false, ...BOOLEAN_STRINGS] },
+        list_id: bodyId
+      }
+    },
+    actions: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', required: true, enum: ['complete', 'uncomplete', 'delete', 'retag', 'move'] },
+          add: tagNames,
+          remove: tagNames,
+          list_id: bodyId
+        }
+      }
+    }
+  }
+};
+
+const todoById = { params: todoParams, query: {} };
+
+// Exactly one of after / before; the controller checks that
+const reorderTodos = {
+  query: {},
+  body: {
+    id: { ...bodyId, required: true },
+    after: { ...bodyId, nullable: true },
+    before: { ...bodyId, nullable: true }
+  }
+};
+
+const createTodo = {
+  query: {},
+  body: {
+    ...todoFields,
+    title: { ...todoFields.title, required: true }
+  }
+};
+
+const updateTodo = {
+  params: todoParams,
+  query: {},
+  body: {
+    ...todoFields,
+    completed: { type: 'boolean' },
+    scope: { type: 'string', enum: ['this', 'future'] }
+  }
+};
+
+// GET and POST /api/lists/:listId/todos share the controllers above
+const listParams = { listId: id };
+const listTodosInList = { ...listTodos, params: listParams };
+const createTodoInList = { ...createTodo, params: listParams };
+
+const revertTodo = { params: { id, entryId: id }, query: {} };
+
+const createItem = {
+  params: todoParams,
+  query: {},
+  body: {
+    title: { type: 'string', required: true, minLength: 1, maxLength: MAX_ITEM_TITLE_LENGTH }
+  }
+};
+
+const updateItem = {
+  params: { id, itemId: id },
+  query: {},
+  body: {
+    title: { type: 'string', minLength: 1, maxLength: MAX_ITEM_TITLE_LENGTH },
+    completed: { type: 'boolean' }
+  }
+};
+
+const reorderItems = {
+  params: todoParams,
+  query: {},
+  body: {
+    ids: { type: 'array', required: true, items: bodyId }
+  }
+};
+
+const itemById = { params: { id, itemId: id }, query: {} };
+
+module.exports = {
+  listTodos,
+  noQuery,
+  exportTodos,
+  importTodos,
+  bulkUpdate,
+  todoById,
+  reorderTodos,
+  createTodo,
+  updateTodo,
+  listTodosInList,
+  createTodoInList,
+  revertTodo,
+  createItem,
+  updateItem,
+  reorderItems,
+  itemById
+};
@@ -0,0 +1,58 @@
+// Request schemas for the webhook routes (see schemas/todoSchemas.js). Whether
+// a URL can receive webhooks is checked by the controller.
+const { EVENT_TYPES, DELIVERY_STATUSES, MAX_URL_LENGTH } = require('../services/webhooks');
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 200;
+
+const id = { type: 'id', required: true };
+const webhookParams = { id };
+
+const webhookFields = {
+  url: { type: 'string', minLength: 1, maxLength: MAX_URL_LENGTH },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: EVENT_TYPES } },
+  active: { type: 'boolean' },
+  secret: { type: 'string', minLength: MIN_SECRET_LENGTH, maxLength: MAX_SECRET_LENGTH }
+};
+
+const listWebhooks = { query: {} };
+
+const webhookById = { params: webhookParams, query: {} };
+
+const createWebhook = {
+  query: {},
+  body: {
+    ...webhookFields,
+    url: { ...webhookFields.url, required: true },
+    events: { ...webhookFields.events, required: true }
+  }
+};
+
+// secret: a new secret to sign with; rotate_secret: true generates one
+const updateWebhook = {
+  params: webhookParams,
+  query: {},
+  body: {
+    ...webhookFields,
+    rotate_secret: { type: 'boolean' }
+  }
+};
+
+const listDeliveries = {
+  params: webhookParams,
+  query: {
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    limit: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a whole number' }
+  }
+};
+
+const retryDelivery = { params: { id, deliveryId: id }, query: {} };
+
+module.exports = {
+  listWebhooks,
+  webhookById,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  retryDelivery
+};
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Manage database migrations.
+//
+//   npm run migrate                  Apply pending migrations
+//   npm run migrate -- status        List migrations and whether they have run
+//   npm run migrate -- rollback [n]  Revert the last n migrations (default 1)
+
+// Log lines are read by a person here, not a log collector
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+
+const database = require('../config/database');
+const migrator = require('../config/migrator');
+
+async function main([command = 'up', ...args]) {
+  switch (command) {
+    case 'up': {
+      await database.migrate();
+      break;
+    }
+    case 'status': {
+      const migrations = await migrator.status(database);
+      migrations.forEach((migration) => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.id.padEnd(40)} ${state}`);
+      });
+      break;
+    }
+    case 'rollback': {
+      const steps = args[0] === undefined ? 1 : Number(args[0]);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('rollback expects a positive number of steps');
+      }
+      const reverted = await migrator.rollback(database, steps);
+      if (reverted.length === 0) {
+        console.log('Nothing to roll back');
+      }
+      reverted.forEach(migration => console.log(`Rolled back migration ${migration.id}`));
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, status or rollback.`);
+  }
+}
+
+database.connect({ migrate: false })
+  .then(() => main(process.argv.slice(2)))
+  .then(() => database.close())
+  .catch(async (error) => {
+    console.error(error.message);
+    await database.close().catch(() => {});
+    process.exit(1);
+  });
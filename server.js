@@ -2,64 +2,275 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const { getSettings, ConfigError } = require('./config/settings');
+
+// Check the settings before any module reads them. Run as a program, stop
+// with the list of problems rather than a stack trace.
+let settings;
+try {
+  settings = getSettings();
+} catch (error) {
+  if (!(error instanceof ConfigError) || require.main !== module) {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
 
 // Import modules
 const database = require('./config/database');
-const todoRoutes = require('./routes/todoRoutes');
+const scheduler = require('./services/scheduler');
+const { flagOverdueTodos } = require('./services/overdue');
+const { purgeExpiredTodos } = require('./services/trash');
+const { deliverPending, deliveriesSettled, pruneDeliveries } = require('./services/webhooks');
+const eventController = require('./controllers/eventController');
+const apiRoutes = require('./routes/api');
+const { structuredErrors } = require('./middleware/errors');
+const { requestLog } = require('./middleware/requestLog');
+const { errorBody, internalError } = require('./utils/errors');
+const { renderMetrics } = require('./services/metrics');
+const logger = require('./utils/logger');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const OVERDUE_CHECK_INTERVAL_MS = 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Changes start their own deliveries; this picks up retries and anything
+// queued elsewhere, e.g. by the command-line client's --local mode
+const WEBHOOK_DELIVERY_INTERVAL_MS = 5 * 1000;
+const WEBHOOK_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Imports are parsed with importBodyLimit by their route (routes/todoRoutes.js)
+const IMPORT_PATH = /^\/api(\/v1)?\/todos\/import\/?$/i;
+
+// Set once shutdown starts: /readyz then answers 503 and connections are
+// closed after their response, so in-flight requests can drain
+let shuttingDown = false;
+// Whether a server started by startServer() is running (or starting)
+let started = false;
+
+// Behind a reverse proxy, req.ip and req.protocol come from X-Forwarded-* headers
+app.set('trust proxy', settings.trustProxy);
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.use(requestLog);
+// Decided when the response is sent rather than when the request arrives, so
+// requests already running when shutdown starts close their connection too.
+// Responses whose headers went out before then (such as event streams) were
+// sent keep-alive, so their connection is closed once it is idle again.
+app.use((req, res, next) => {
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (shuttingDown) {
+      this.shouldKeepAlive = false;
+    }
+    return writeHead.apply(this, args);
+  };
+  res.on('finish', () => {
+    if (shuttingDown) {
+      setImmediate(() => req.socket.server.closeIdleConnections());
+    }
+  });
+  next();
+});
+app.use(structuredErrors);
+// Only the configured origins may call the API from another site. They need
+// to read ETags to send them back in If-Match, should see when they are
+// calling a deprecated API, and can quote the request id when reporting errors.
+app.use(cors({
+  origin: settings.corsOrigins.includes('*') ? true : settings.corsOrigins,
+  exposedHeaders: ['ETag', 'Deprecation', 'Sunset', 'Link', 'X-Request-Id']
+}));
+app.use(bodyParser.json({
+  limit: settings.bodyLimit,
+  type: req => !IMPORT_PATH.test(req.path) && Boolean(req.is('application/json'))
+}));
+app.use(bodyParser.urlencoded({ extended: true, limit: settings.bodyLimit }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Routes
-app.use('/api/todos', todoRoutes);
+// Routes (/api/v1, plus the deprecated unversioned paths)
+app.use('/api', apiRoutes);
 
 // Serve the main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Error handling middleware
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness: the server can serve requests, i.e. it isn't shutting down and
+// the SQLite connection answers a query
+app.get('/readyz', async (req, res) => {
+  if (shuttingDown) {
+    res.status(503).json({ status: 'unavailable', reason: 'Server is shutting down' });
+    return;
+  }
+  try {
+    await pingDatabase();
+    res.json({ status: 'ready' });
+  } catch (error) {
+    logger.warn('Readiness check failed', { request_id: req.id, error });
+    res.status(503).json({ status: 'unavailable', reason: 'Database is not available' });
+  }
+});
+
+// Prometheus metrics (see services/metrics.js)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics(database));
+  } catch (error) {
+    internalError(req, res, error);
+  }
+});
+
+// Error handling middleware. Errors raised by body-parser carry the status to
+// answer with, e.g. 400 for malformed JSON or 413 for an oversized body.
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    internalError(req, res, err);
+  } else if (err.type === 'entity.parse.failed') {
+    res.status(400).json(errorBody(400, 'Request body is not valid JSON', { code: 'invalid_json' }));
+  } else {
+    res.status(status).json(errorBody(status, err.message));
+  }
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  res.status(404).json(errorBody(404, 'Route not found'));
 });
 
-// Initialize database and start server
-async function startServer() {
-  try {
-    await database.connect();
-    
-    app.listen(PORT, () => {
-      console.log(`Server is running on http://localhost:${PORT}`);
+// Run a trivial query on the SQLite connection itself rather than through
+// database.get, so a transaction in progress doesn't hold up the answer
+function pingDatabase() {
+  const connection = database.getConnection();
+  if (!connection) {
+    return Promise.reject(new Error('Database is not connected'));
+  }
+  return new Promise((resolve, reject) => {
+    connection.get('SELECT 1', err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Resolves to true if the promise settles by the deadline, or false
+function settlesBy(promise, deadline) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), Math.max(deadline - Date.now(), 0));
+  });
+  return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Stop accepting connections, let in-flight requests and background jobs
+// finish (cutting them off after shutdownTimeoutSeconds), then close the database
+async function shutdown(server) {
+  shuttingDown = true;
+  logger.info('Shutting down server');
+  const deadline = Date.now() + settings.shutdownTimeoutSeconds * 1000;
+
+  const closed = new Promise(resolve => server.close(() => resolve()));
+  server.closeIdleConnections();
+  eventController.closeStreams();
+  if (!(await settlesBy(closed, deadline))) {
+    logger.warn('Requests still running at the shutdown timeout were cut off', {
+      timeout_seconds: settings.shutdownTimeoutSeconds
     });
-  } catch (error) {
-    console.error('Failed to start server:', error);
-    process.exit(1);
+    server.closeAllConnections();
+    await closed;
   }
+
+  const jobs = Promise.all([scheduler.stop(), deliveriesSettled()]);
+  if (!(await settlesBy(jobs, deadline))) {
+    logger.warn('Background jobs still running at the shutdown timeout were left unfinished', {
+      timeout_seconds: settings.shutdownTimeoutSeconds
+    });
+  }
+
+  await database.close();
+  started = false;
+  logger.info('Server stopped');
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\nShutting down server...');
+// Connect the database, start the background jobs and listen on the port
+// (settings.port by default; 0 picks a free one). Resolves to
+// { server, port, url, stop } once the server accepts requests; stop() shuts it
+// down gracefully. The database and jobs are shared by the process, so run
+// one server at a time.
+async function startServer({ port = settings.port } = {}) {
+  if (started) {
+    throw new Error('The server is already running');
+  }
+  started = true;
+  shuttingDown = false;
+
+  let server;
   try {
-    await database.close();
-    process.exit(0);
+    await database.connect();
+    scheduler.every('flag-overdue-todos', OVERDUE_CHECK_INTERVAL_MS, flagOverdueTodos);
+    scheduler.every('purge-trash', TRASH_PURGE_INTERVAL_MS, purgeExpiredTodos);
+    scheduler.every('deliver-webhooks', WEBHOOK_DELIVERY_INTERVAL_MS, deliverPending);
+    scheduler.every('prune-webhook-deliveries', WEBHOOK_PRUNE_INTERVAL_MS, pruneDeliveries);
+    server = await new Promise((resolve, reject) => {
+      const listening = app.listen(port, () => resolve(listening));
+      listening.once('error', reject);
+    });
   } catch (error) {
-    console.error('Error during shutdown:', error);
-    process.exit(1);
+    await scheduler.stop();
+    await database.close().catch(() => {});
+    started = false;
+    throw error;
   }
-});
 
-// Start the server
-startServer();
+  const url = `http://localhost:${server.address().port}`;
+  logger.info('Server is running', { url });
+
+  let stopping = null;
+  return {
+    server,
+    port: server.address().port,
+    url,
+    stop() {
+      if (!stopping) {
+        stopping = shutdown(server);
+      }
+      return stopping;
+    }
+  };
+}
+
+// Run as a program: start, and shut down gracefully on SIGTERM or SIGINT.
+// A second signal exits straight away.
+if (require.main === module) {
+  startServer()
+    .then(({ stop }) => {
+      let stopping = false;
+      const onSignal = (signal) => {
+        if (stopping) {
+          logger.warn('Exiting without finishing shutdown', { signal });
+          process.exit(1);
+        }
+        stopping = true;
+        stop().then(
+          () => process.exit(0),
+          (error) => {
+            logger.error('Error during shutdown', { error });
+            process.exit(1);
+          }
+        );
+      };
+      process.on('SIGTERM', onSignal);
+      process.on('SIGINT', onSignal);
+    })
+    .catch((error) => {
+      logger.error('Failed to start server', { error });
+      process.exit(1);
+    });
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,75 @@
+// Checklist helpers shared by the todo and checklist controllers. Each takes
+// the database (or a transaction handle) as its first argument.
+
+const MAX_ITEM_TITLE_LENGTH = 200;
+
+function validateItemTitle(title) {
+  if (typeof title !== 'string' || title.trim() === '') {
+    return 'Item title is required';
+  }
+  if (title.trim().length > MAX_ITEM_TITLE_LENGTH) {
+    return `Item titles must be at most ${MAX_ITEM_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function toProgress(total, completed) {
+  return {
+    total,
+    completed,
+    percent: total === 0 ? 0 : Math.round((completed / total) * 100)
+  };
+}
+
+// Add a `progress` object ({ total, completed, percent }) to each todo
+async function attachProgress(db, todos) {
+  if (todos.length === 0) {
+    return todos;
+  }
+
+  const ids = todos.map(todo => todo.id);
+  const rows = await db.all(
+    `SELECT todo_id, COUNT(*) AS total, SUM(completed) AS completed
+     FROM checklist_items
+     WHERE todo_id IN (${ids.map(() => '?').join(', ')})
+     GROUP BY todo_id`,
+    ids
+  );
+
+  const byTodo = new Map(rows.map(row => [row.todo_id, row]));
+  todos.forEach((todo) => {
+    const row = byTodo.get(todo.id);
+    todo.progress = row ? toProgress(row.total, row.completed) : toProgress(0, 0);
+  });
+  return todos;
+}
+
+// When a todo has auto_complete on, keep its completed flag in step with its
+// checklist: complete once every item is done, reopen when one is added or
+// unchecked. Returns the todo's resulting { completed, progress }.
+async function syncParentCompletion(db, todoId) {
+  const todo = await db.get('SELECT completed, auto_complete FROM todos WHERE id = ?', [todoId]);
+  const { total, completed } = await db.get(
+    'SELECT COUNT(*) AS total, COALESCE(SUM(completed), 0) AS completed FROM checklist_items WHERE todo_id = ?',
+    [todoId]
+  );
+
+  let parentCompleted = Boolean(todo.completed);
+  if (todo.auto_complete && total > 0 && parentCompleted !== (completed === total)) {
+    parentCompleted = completed === total;
+    await db.run(
+      'UPDATE todos SET completed = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [parentCompleted ? 1 : 0, todoId]
+    );
+  }
+
+  return { completed: parentCompleted, progress: toProgress(total, completed) };
+}
+
+module.exports = {
+  MAX_ITEM_TITLE_LENGTH,
+  validateItemTitle,
+  toProgress,
+  attachProgress,
+  syncParentCompletion
+};
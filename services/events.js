@@ -0,0 +1,47 @@
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = 1000;
+
+// In-process event bus for todo changes. Every event gets an increasing id and
+// the most recent ones are kept so reconnecting clients can catch up from the
+// last id they saw.
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffer = [];
+    this.lastId = 0;
+  }
+
+  // Record an event for one user's subscribers
+  publish(userId, type, data) {
+    const event = { id: ++this.lastId, userId, type, data, at: new Date().toISOString() };
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+    this.emitter.emit('event', event);
+    return event;
+  }
+
+  // Listen for every event; returns a function that stops listening
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  // Events for the user after lastId, or null when the buffer no longer reaches
+  // back that far (or the id is from before a restart) and the client must resync
+  since(userId, lastId) {
+    const oldest = this.buffer.length ? this.buffer[0].id : this.lastId + 1;
+    if (!Number.isInteger(lastId) || lastId > this.lastId || lastId < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter(event => event.id > lastId && event.userId === userId);
+  }
+}
+
+// Create a singleton instance
+const events = new EventBus();
+
+module.exports = events;
@@ -0,0 +1,101 @@
+// Audit log helpers shared by the todo controllers. Each takes the database
+// (or a transaction handle) as its first argument.
+
+// The state of a todo before it existed, so a creation diffs every field that was set
+const EMPTY_SNAPSHOT = {
+  title: null,
+  description: '',
+  completed: false,
+  due_at: null,
+  due_tz: null,
+  list_id: null,
+  auto_complete: false,
+  priority: null,
+  tags: []
+};
+const TRACKED_FIELDS = Object.keys(EMPTY_SNAPSHOT);
+
+// The tracked fields of a todo, with booleans and sorted tag names, or
+// undefined if the todo doesn't exist
+async function snapshotTodo(db, todoId) {
+  const todo = await db.get(
+    'SELECT title, description, completed, due_at, due_tz, list_id, auto_complete, priority FROM todos WHERE id = ?',
+    [todoId]
+  );
+  if (!todo) {
+    return undefined;
+  }
+
+  const tags = await db.all(
+    `SELECT tags.name FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+     WHERE todo_tags.todo_id = ? ORDER BY tags.name`,
+    [todoId]
+  );
+  return {
+    ...todo,
+    description: todo.description || '',
+    completed: Boolean(todo.completed),
+    auto_complete: Boolean(todo.auto_complete),
+    tags: tags.map(tag => tag.name)
+  };
+}
+
+// Field-level differences between two snapshots as { field: { from, to } }
+function diffSnapshots(before, after) {
+  const changes = {};
+  TRACKED_FIELDS.forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+}
+
+// Write an audit row for a change a user made. `before` is null for a new todo.
+// Updates that didn't change any tracked field aren't recorded.
+async function recordChange(db, { todoId, userId, action, before, after, revertedTo = null }) {
+  const changes = diffSnapshots(before || EMPTY_SNAPSHOT, after);
+  if (action === 'updated' && Object.keys(changes).length === 0) {
+    return;
+  }
+  await db.run(
+    `INSERT INTO todo_history (todo_id, user_id, action, changes, snapshot, reverted_to)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [todoId, userId, action, JSON.stringify(changes), JSON.stringify(after), revertedTo]
+  );
+}
+
+// A todo's history, newest first
+async function getHistory(db, todoId) {
+  const rows = await db.all(
+    `SELECT todo_history.*, users.username
+     FROM todo_history LEFT JOIN users ON users.id = todo_history.user_id
+     WHERE todo_history.todo_id = ?
+     ORDER BY todo_history.id DESC`,
+    [todoId]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    actor: row.user_id === null ? null : { id: row.user_id, username: row.username },
+    reverted_to: row.reverted_to,
+    created_at: row.created_at
+  }));
+}
+
+// Get one history entry of a todo with its parsed snapshot, or undefined
+async function getHistoryEntry(db, todoId, entryId) {
+  const row = await db.get(
+    'SELECT * FROM todo_history WHERE id = ? AND todo_id = ?',
+    [entryId, todoId]
+  );
+  return row && { ...row, snapshot: JSON.parse(row.snapshot) };
+}
+
+module.exports = {
+  snapshotTodo,
+  recordChange,
+  getHistory,
+  getHistoryEntry
+};
@@ -0,0 +1,41 @@
+// Helpers shared by the todo, list and auth controllers. Each takes the
+// database (or a transaction handle) as its first argument.
+
+const DEFAULT_LIST_NAME = 'Inbox';
+const MAX_LIST_NAME_LENGTH = 100;
+
+function validateListName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'List name is required';
+  }
+  if (name.trim().length > MAX_LIST_NAME_LENGTH) {
+    return `List names must be at most ${MAX_LIST_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Get the id of the user's default list, creating it if it is missing
+async function ensureDefaultList(db, userId) {
+  const sql = 'SELECT id FROM lists WHERE user_id = ? AND is_default = 1';
+  let list = await db.get(sql, [userId]);
+  if (!list) {
+    await db.run(
+      'INSERT OR IGNORE INTO lists (user_id, name, is_default) VALUES (?, ?, 1)',
+      [userId, DEFAULT_LIST_NAME]
+    );
+    list = await db.get(sql, [userId]);
+  }
+  return list.id;
+}
+
+// Get one of the user's lists, or undefined if it doesn't exist or isn't theirs
+function findList(db, userId, listId) {
+  return db.get('SELECT * FROM lists WHERE id = ? AND user_id = ?', [listId, userId]);
+}
+
+module.exports = {
+  MAX_LIST_NAME_LENGTH,
+  validateListName,
+  ensureDefaultList,
+  findList
+};
@@ -0,0 +1,158 @@
+// Prometheus metrics, served as text at GET /metrics. Counters and histograms
+// are kept in memory and start from zero when the server starts; todo counts
+// are read from the database at each scrape.
+//
+//   http_requests_total{method,route,status}          Requests answered
+//   http_request_duration_seconds{method,route}       Time to answer them
+//   sqlite_query_duration_seconds{statement}          Time each SQLite statement took
+//   todos{status}                                     Todos that are pending, completed or in the trash
+//   todos_overdue                                     Open todos flagged as overdue
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const QUERY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const STATEMENTS = ['select', 'insert', 'update', 'delete'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// {name="value",...} for the given label names and values, or '' with no labels
+function formatLabels(names, values, extra = {}) {
+  const pairs = names.map((name, index) => [name, values[index]]).concat(Object.entries(extra));
+  return pairs.length === 0 ? '' : `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const values = this.labelNames.map(name => labels[name]);
+    const key = JSON.stringify(values);
+    const series = this.series.get(key) || { values, count: 0 };
+    series.count += value;
+    this.series.set(key, series);
+  }
+
+  lines() {
+    return [
+      ...header(this.name, this.help, 'counter'),
+      ...[...this.series.values()].map(series => `${this.name}${formatLabels(this.labelNames, series.values)} ${series.count}`)
+    ];
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, seconds) {
+    const values = this.labelNames.map(name => labels[name]);
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += seconds;
+    series.count += 1;
+  }
+
+  lines() {
+    const lines = header(this.name, this.help, 'histogram');
+    this.series.forEach(({ values, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+const httpRequests = new Counter(
+  'http_requests_total',
+  'Requests answered, by method, route and status',
+  ['method', 'route', 'status']
+);
+const httpRequestDuration = new Histogram(
+  'http_request_duration_seconds',
+  'Time taken to answer requests, by method and route',
+  ['method', 'route'],
+  HTTP_BUCKETS
+);
+const queryDuration = new Histogram(
+  'sqlite_query_duration_seconds',
+  'Time taken by SQLite statements, by kind of statement',
+  ['statement'],
+  QUERY_BUCKETS
+);
+
+// Record how long a statement took. Statements are grouped by their first
+// keyword; anything but select, insert, update and delete counts as "other".
+function observeQuery(sql, seconds) {
+  const keyword = (sql.match(/^\s*(\w+)/) || [])[1];
+  const statement = keyword && STATEMENTS.includes(keyword.toLowerCase()) ? keyword.toLowerCase() : 'other';
+  queryDuration.observe({ statement }, seconds);
+}
+
+// Seconds since a process.hrtime.bigint() reading
+function secondsSince(started) {
+  return Number(process.hrtime.bigint() - started) / 1e9;
+}
+
+async function todoCountLines(db) {
+  const counts = await db.get(
+    `SELECT
+       COALESCE(SUM(deleted_at IS NULL AND completed = 0), 0) AS pending,
+       COALESCE(SUM(deleted_at IS NULL AND completed = 1), 0) AS completed,
+       COALESCE(SUM(deleted_at IS NOT NULL), 0) AS trashed,
+       COALESCE(SUM(deleted_at IS NULL AND completed = 0 AND overdue_at IS NOT NULL), 0) AS overdue
+     FROM todos`
+  );
+  return [
+    ...header('todos', 'Todos of all users, by status', 'gauge'),
+    ...['pending', 'completed', 'trashed'].map(status => `todos{status="${status}"} ${counts[status]}`),
+    ...header('todos_overdue', 'Open todos flagged as overdue', 'gauge'),
+    `todos_overdue ${counts.overdue}`
+  ];
+}
+
+// The metrics in the Prometheus text format
+async function renderMetrics(db) {
+  const lines = [
+    ...httpRequests.lines(),
+    ...httpRequestDuration.lines(),
+    ...queryDuration.lines(),
+    ...(await todoCountLines(db))
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  httpRequests,
+  httpRequestDuration,
+  observeQuery,
+  secondsSince,
+  renderMetrics
+};
@@ -0,0 +1,18 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+// Flag open todos whose due date has passed. Returns how many were newly flagged.
+async function flagOverdueTodos(now = new Date()) {
+  const { changes } = await database.run(
+    `UPDATE todos SET overdue_at = ?
+     WHERE completed = 0 AND deleted_at IS NULL AND overdue_at IS NULL
+       AND due_at IS NOT NULL AND due_at <= ?`,
+    [now.toISOString(), now.toISOString()]
+  );
+  if (changes > 0) {
+    logger.info('Flagged overdue todos', { count: changes });
+  }
+  return changes;
+}
+
+module.exports = { flagOverdueTodos };
@@ -0,0 +1,165 @@
+// Recurring todo series. Each helper takes the database (or a transaction
+// handle) as its first argument and records the history of todos it changes.
+const { occurrenceDate } = require('../utils/rrule');
+const { ensureDefaultList, findList } = require('./lists');
+const { setTodoTags } = require('./tags');
+const { insertTodo } = require('./todos');
+const { snapshotTodo, recordChange } = require('./history');
+
+// Fields new occurrences copy from the series template
+const TEMPLATE_FIELDS = ['title', 'description', 'list_id', 'auto_complete', 'priority', 'tags'];
+
+function pickTemplate(snapshot) {
+  const template = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    template[field] = snapshot[field];
+  });
+  return template;
+}
+
+// Turn an existing todo with a due date into the first occurrence of a new series
+async function startSeries(db, userId, todoId, rule) {
+  const todo = await snapshotTodo(db, todoId);
+  const { lastID } = await db.run(
+    `INSERT INTO todo_series (user_id, rule, anchor_at, due_tz, template)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, JSON.stringify(rule), todo.due_at, todo.due_tz, JSON.stringify(pickTemplate(todo))]
+  );
+  await db.run('UPDATE todos SET series_id = ?, occurrence = 1 WHERE id = ?', [lastID, todoId]);
+  return lastID;
+}
+
+// Replace a series' rule. Later occurrences are counted from this todo's due date.
+async function changeRule(db, seriesId, todoId, rule) {
+  const todo = await db.get('SELECT due_at, due_tz, occurrence FROM todos WHERE id = ?', [todoId]);
+  await db.run(
+    `UPDATE todo_series
+     SET rule = ?, anchor_at = ?, anchor_occurrence = ?, due_tz = ?, ended_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [JSON.stringify(rule), todo.due_at, todo.occurrence, todo.due_tz, seriesId]
+  );
+}
+
+// Stop a series from creating further occurrences. Existing ones keep their link.
+async function endSeries(db, seriesId) {
+  await db.run(
+    'UPDATE todo_series SET ended_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND ended_at IS NULL',
+    [new Date().toISOString(), seriesId]
+  );
+}
+
+// Carry an edit of one occurrence over to "all future occurrences": the series
+// template, the schedule if the due date moved, and any later open occurrences.
+// `before` and `after` are history snapshots of the edited todo. Returns the ids
+// of the other todos that changed.
+async function applyToFuture(db, userId, todoId, before, after) {
+  const todo = await db.get('SELECT series_id, occurrence FROM todos WHERE id = ?', [todoId]);
+  await db.run(
+    'UPDATE todo_series SET template = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [JSON.stringify(pickTemplate(after)), todo.series_id]
+  );
+  if (before.due_at !== after.due_at || before.due_tz !== after.due_tz) {
+    await db.run(
+      'UPDATE todo_series SET anchor_at = ?, anchor_occurrence = ?, due_tz = ? WHERE id = ?',
+      [after.due_at, todo.occurrence, after.due_tz, todo.series_id]
+    );
+  }
+
+  const changed = TEMPLATE_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  if (changed.length === 0) {
+    return [];
+  }
+
+  const later = await db.all(
+    `SELECT id FROM todos
+     WHERE series_id = ? AND occurrence > ? AND completed = 0 AND deleted_at IS NULL`,
+    [todo.series_id, todo.occurrence]
+  );
+  for (const { id } of later) {
+    const previous = await snapshotTodo(db, id);
+    const columns = changed.filter(field => field !== 'tags');
+    if (columns.length > 0) {
+      await db.run(
+        `UPDATE todos SET ${columns.map(field => `${field} = ?`).join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...columns.map(field => (typeof after[field] === 'boolean' ? Number(after[field]) : after[field])), id]
+      );
+    }
+    if (changed.includes('tags')) {
+      await setTodoTags(db, userId, id, after.tags);
+    }
+    await recordChange(db, {
+      todoId: id,
+      userId,
+      action: 'updated',
+      before: previous,
+      after: await snapshotTodo(db, id)
+    });
+  }
+  return later.map(row => row.id);
+}
+
+// Create the occurrence after a just-completed one, unless the series has ended,
+// already has a later occurrence, or has run out. Returns the new todo's id or null.
+async function advanceSeries(db, userId, todoId) {
+  const todo = await db.get('SELECT id, series_id, occurrence FROM todos WHERE id = ?', [todoId]);
+  if (!todo || !todo.series_id) {
+    return null;
+  }
+  const series = await db.get('SELECT * FROM todo_series WHERE id = ?', [todo.series_id]);
+  // Re-completing an older occurrence never creates a second copy of the next one
+  if (!series || series.ended_at || todo.occurrence !== series.occurrences) {
+    return null;
+  }
+
+  const rule = JSON.parse(series.rule);
+  const next = todo.occurrence + 1;
+  if (rule.count && next > rule.count) {
+    return null;
+  }
+  const dueAt = occurrenceDate(rule, series.anchor_at, series.due_tz || 'UTC', next - series.anchor_occurrence);
+  if (rule.until && dueAt > rule.until) {
+    return null;
+  }
+
+  // Use the default list if the template's list has been deleted since
+  const template = JSON.parse(series.template);
+  const list = template.list_id === null ? null : await findList(db, userId, template.list_id);
+  const listId = list ? list.id : await ensureDefaultList(db, userId);
+
+  const id = await insertTodo(db, userId, listId, {
+    ...template,
+    completed: false,
+    due_at: dueAt,
+    due_tz: series.due_tz
+  });
+  await db.run('UPDATE todos SET series_id = ?, occurrence = ? WHERE id = ?', [series.id, next, id]);
+  await db.run(
+    'UPDATE todo_series SET occurrences = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [next, series.id]
+  );
+  // The checklist carries over, unchecked
+  await db.run(
+    `INSERT INTO checklist_items (todo_id, title, position)
+     SELECT ?, title, position FROM checklist_items WHERE todo_id = ? ORDER BY position`,
+    [id, todoId]
+  );
+
+  await recordChange(db, {
+    todoId: id,
+    userId,
+    action: 'created',
+    before: null,
+    after: await snapshotTodo(db, id)
+  });
+  return id;
+}
+
+module.exports = {
+  startSeries,
+  changeRule,
+  endSeries,
+  applyToFuture,
+  advanceSeries
+};
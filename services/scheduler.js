@@ -0,0 +1,50 @@
+// Runs background jobs on fixed intervals inside the server process.
+// A job never overlaps with itself: if a run is still going when the next
+// tick fires, that tick is skipped.
+const logger = require('../utils/logger');
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  every(name, intervalMs, task) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already scheduled`);
+    }
+
+    const job = { running: null, timer: null };
+    const tick = () => {
+      if (job.running) return;
+      job.running = (async () => {
+        try {
+          await task();
+        } catch (error) {
+          logger.error('Scheduled job failed', { job: name, error });
+        } finally {
+          job.running = null;
+        }
+      })();
+    };
+
+    job.timer = setInterval(tick, intervalMs);
+    this.jobs.set(name, job);
+    // Run once straight away rather than waiting a full interval
+    tick();
+  }
+
+  // Cancel every job. Resolves when the runs still going have finished.
+  stop() {
+    const running = [...this.jobs.values()].map((job) => {
+      clearInterval(job.timer);
+      return job.running;
+    });
+    this.jobs.clear();
+    return Promise.all(running).then(() => {});
+  }
+}
+
+// Create a singleton instance
+const scheduler = new Scheduler();
+
+module.exports = scheduler;
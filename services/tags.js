@@ -0,0 +1,93 @@
+// Helpers shared by the todo and tag controllers. Each takes the database
+// (or a transaction handle) as its first argument.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_TODO = 20;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function validateTagName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Tag name is required';
+  }
+  if (name.trim().length > MAX_TAG_LENGTH) {
+    return `Tag names must be at most ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateTagColor(color) {
+  if (color === undefined || color === null || COLOR_PATTERN.test(color)) {
+    return null;
+  }
+  return 'Tag color must be a hex color such as #ff8800';
+}
+
+// Validate a `tags` array from a todo request body. Returns { error } or { names }
+// with trimmed, de-duplicated (case-insensitive) names.
+function parseTagNames(tags) {
+  if (!Array.isArray(tags)) {
+    return { error: 'tags must be an array of tag names' };
+  }
+
+  const names = new Map();
+  for (const tag of tags) {
+    const error = validateTagName(tag);
+    if (error) {
+      return { error };
+    }
+    names.set(tag.trim().toLowerCase(), tag.trim());
+  }
+
+  if (names.size > MAX_TAGS_PER_TODO) {
+    return { error: `A todo can have at most ${MAX_TAGS_PER_TODO} tags` };
+  }
+  return { names: [...names.values()] };
+}
+
+// Replace the tags on a todo, creating any tags the user doesn't have yet
+async function setTodoTags(db, userId, todoId, names) {
+  await db.run('DELETE FROM todo_tags WHERE todo_id = ?', [todoId]);
+
+  for (const name of names) {
+    await db.run('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)', [userId, name]);
+    await db.run(
+      `INSERT INTO todo_tags (todo_id, tag_id)
+       SELECT ?, id FROM tags WHERE user_id = ? AND name = ?`,
+      [todoId, userId, name]
+    );
+  }
+}
+
+// Add a `tags` array of { id, name, color } to each todo
+async function attachTags(db, todos) {
+  if (todos.length === 0) {
+    return todos;
+  }
+
+  const ids = todos.map(todo => todo.id);
+  const rows = await db.all(
+    `SELECT todo_tags.todo_id, tags.id, tags.name, tags.color
+     FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+     WHERE todo_tags.todo_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY tags.name`,
+    ids
+  );
+
+  const byTodo = new Map(ids.map(id => [id, []]));
+  rows.forEach(({ todo_id: todoId, ...tag }) => byTodo.get(todoId).push(tag));
+  todos.forEach((todo) => {
+    todo.tags = byTodo.get(todo.id);
+  });
+  return todos;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_TODO,
+  COLOR_PATTERN,
+  validateTagName,
+  validateTagColor,
+  parseTagNames,
+  setTodoTags,
+  attachTags
+};
@@ -0,0 +1,29 @@
+// What follows an update to a todo: its history entry, the next occurrence
+// when a recurring todo was just completed, and webhook deliveries. Shared by
+// the checklist controller and the CLI, so a todo completed from its
+// checklist or the command line is handled like one completed through
+// PUT /api/todos/:id (which also edits series, so it does these steps itself).
+const { snapshotTodo, recordChange } = require('./history');
+const { advanceSeries } = require('./recurrence');
+const { loadTodo } = require('./todos');
+const { changeEvent, queueDeliveries } = require('./webhooks');
+
+// Record an update to a todo, given its snapshot from before the change.
+// Returns { todo, nextId }: the todo as it is now, and the id of the
+// occurrence completing it created, or null.
+async function recordUpdate(db, userId, todoId, before) {
+  const after = await snapshotTodo(db, todoId);
+  await recordChange(db, { todoId, userId, action: 'updated', before, after });
+  const nextId = !before.completed && after.completed ? await advanceSeries(db, userId, todoId) : null;
+
+  const todo = await loadTodo(db, userId, todoId);
+  await queueDeliveries(db, userId, changeEvent(before, after), todo);
+  if (nextId) {
+    await queueDeliveries(db, userId, 'todo.created', () => loadTodo(db, userId, nextId));
+  }
+  return { todo, nextId };
+}
+
+module.exports = {
+  recordUpdate
+};
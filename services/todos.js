@@ -0,0 +1,337 @@
+// Todo helpers shared by the controllers and the CLI. Those that touch the
+// database take it (or a transaction handle) as their first argument.
+const { isValidTimeZone, startOfDay, toIsoString } = require('../utils/dates');
+const { formatRrule } = require('../utils/rrule');
+const { attachTags, parseTagNames, setTodoTags } = require('./tags');
+const { attachProgress } = require('./checklists');
+const { ensureDefaultList, findList } = require('./lists');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+// Lowest to highest
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DEFAULT_PRIORITY = 'medium';
+// Space left between positions, so todos can be moved between neighbours
+// many times before they need renumbering
+const POSITION_GAP = 1024;
+// Columns that may be used with ?sort=
+const SORTABLE_COLUMNS = [
+  'id', 'title', 'description', 'completed', 'created_at', 'updated_at', 'due_at', 'priority', 'position'
+];
+const DUE_FILTERS = ['overdue', 'today', 'upcoming'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Validate due_at / due_tz from a request body. Returns { error } on bad input,
+// otherwise { fields } holding only the keys that were sent.
+function parseDueFields(body) {
+  const fields = {};
+
+  if (body.due_at !== undefined) {
+    if (body.due_at === null || body.due_at === '') {
+      fields.due_at = null;
+    } else {
+      fields.due_at = toIsoString(body.due_at);
+      if (!fields.due_at) {
+        return { error: 'due_at must be an ISO 8601 date' };
+      }
+    }
+  }
+
+  if (body.due_tz !== undefined) {
+    if (body.due_tz === null || body.due_tz === '') {
+      fields.due_tz = null;
+    } else if (typeof body.due_tz !== 'string' || !isValidTimeZone(body.due_tz)) {
+      return { error: 'due_tz must be an IANA time zone such as Europe/Berlin' };
+    } else {
+      fields.due_tz = body.due_tz;
+    }
+  }
+
+  return { fields };
+}
+
+function parseBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+function parseInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+// Parse the GET /api/todos query string into a filter for todoRepository.list.
+// Returns { error } on bad input, otherwise { filter }.
+function parseListQuery(query) {
+  const filter = {};
+
+  if (query.q !== undefined && String(query.q).trim() !== '') {
+    filter.q = String(query.q).trim();
+  }
+
+  filter.listId = null;
+  if (query.list_id !== undefined) {
+    filter.listId = parseInteger(query.list_id);
+    if (!Number.isInteger(filter.listId)) {
+      return { error: 'list_id must be an integer' };
+    }
+  }
+
+  // ?tag=work&tag=home matches todos that have every listed tag
+  if (query.tag !== undefined) {
+    filter.tags = [].concat(query.tag).map(tag => String(tag).trim()).filter(tag => tag !== '');
+  }
+
+  if (query.completed !== undefined) {
+    filter.completed = parseBoolean(query.completed);
+    if (filter.completed === undefined) {
+      return { error: 'completed must be true or false' };
+    }
+  }
+
+  if (query.due !== undefined) {
+    if (!DUE_FILTERS.includes(query.due)) {
+      return { error: `due must be one of: ${DUE_FILTERS.join(', ')}` };
+    }
+    const timeZone = query.tz || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return { error: 'tz must be an IANA time zone such as Europe/Berlin' };
+    }
+
+    // "today" and "upcoming" use calendar days in the caller's time zone
+    const now = new Date();
+    const today = startOfDay(now, timeZone).toISOString();
+    const tomorrow = startOfDay(now, timeZone, 1).toISOString();
+    if (query.due === 'overdue') {
+      filter.due = { open: true, before: now.toISOString() };
+    } else if (query.due === 'today') {
+      filter.due = { from: today, before: tomorrow };
+    } else {
+      filter.due = { from: tomorrow };
+    }
+  }
+
+  filter.sort = query.sort || 'created_at';
+  if (!SORTABLE_COLUMNS.includes(filter.sort)) {
+    return { error: `sort must be one of: ${SORTABLE_COLUMNS.join(', ')}` };
+  }
+
+  filter.order = String(query.order || 'desc').toLowerCase();
+  if (filter.order !== 'asc' && filter.order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  filter.limit = parseInteger(query.limit, DEFAULT_LIMIT);
+  if (Number.isNaN(filter.limit) || filter.limit < 0 || filter.limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 0 and ${MAX_LIMIT}` };
+  }
+
+  filter.offset = parseInteger(query.offset, 0);
+  if (Number.isNaN(filter.offset) || filter.offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { filter };
+}
+
+// Validate the fields of a new todo (POST /api/todos and imports). Returns
+// { error } on bad input, otherwise { values } ready for insertTodo.
+function validateNewTodo(body) {
+  const { title, description } = body;
+
+  if (typeof title !== 'string' || title.trim() === '') {
+    return { error: 'Title is required' };
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return { error: `Titles must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+  if (description && description.trim().length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Descriptions must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  if (body.auto_complete !== undefined && typeof body.auto_complete !== 'boolean') {
+    return { error: 'auto_complete must be true or false' };
+  }
+  if (body.priority !== undefined && !PRIORITIES.includes(body.priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+  }
+
+  const due = parseDueFields(body);
+  if (due.error) {
+    return { error: due.error };
+  }
+
+  const tags = body.tags === undefined ? { names: [] } : parseTagNames(body.tags);
+  if (tags.error) {
+    return { error: tags.error };
+  }
+
+  return {
+    values: {
+      title: title.trim(),
+      description: description ? description.trim() : '',
+      due_at: due.fields.due_at || null,
+      due_tz: due.fields.due_tz || null,
+      auto_complete: Boolean(body.auto_complete),
+      priority: body.priority || DEFAULT_PRIORITY,
+      tags: tags.names
+    }
+  };
+}
+
+// Validate the fields of a todo update (PUT /api/todos/:id and the CLI's
+// edit and done). Only the fields present are checked. Returns { error } on
+// bad input, otherwise { changes } for todoRepository.update, which may be
+// empty; recurrence and scope are left to the caller.
+async function parseTodoChanges(db, userId, body) {
+  const changes = {};
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || body.title.trim() === '') {
+      return { error: 'Title cannot be empty' };
+    }
+    if (body.title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `Titles must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    changes.title = body.title.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    if (body.description && body.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `Descriptions must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    changes.description = body.description ? body.description.trim() : '';
+  }
+
+  if (body.completed !== undefined) {
+    changes.completed = Boolean(body.completed);
+  }
+
+  const due = parseDueFields(body);
+  if (due.error) {
+    return { error: due.error };
+  }
+  Object.assign(changes, due.fields);
+
+  if (body.auto_complete !== undefined) {
+    changes.auto_complete = Boolean(body.auto_complete);
+  }
+
+  if (body.priority !== undefined) {
+    if (!PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    changes.priority = body.priority;
+  }
+
+  // null moves the todo back to the default list, as creating without one does
+  if (body.list_id === null) {
+    changes.list_id = await ensureDefaultList(db, userId);
+  } else if (body.list_id !== undefined) {
+    const list = await findList(db, userId, body.list_id);
+    if (!list) {
+      return { error: 'list_id must be one of your lists' };
+    }
+    changes.list_id = list.id;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = parseTagNames(body.tags);
+    if (tags.error) {
+      return { error: tags.error };
+    }
+    changes.tags = tags.names;
+  }
+
+  return { changes };
+}
+
+// Insert a validated todo and its tags into a list, at the top of the user's
+// manual order. Returns the new todo's id.
+async function insertTodo(db, userId, listId, values) {
+  const { lastID } = await db.run(
+    `INSERT INTO todos (title, description, completed, due_at, due_tz, list_id, auto_complete, priority, position, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MIN(position), 0) - ? FROM todos WHERE user_id = ?), ?)`,
+    [
+      values.title,
+      values.description,
+      values.completed ? 1 : 0,
+      values.due_at,
+      values.due_tz,
+      listId,
+      values.auto_complete ? 1 : 0,
+      values.priority || DEFAULT_PRIORITY,
+      POSITION_GAP,
+      userId,
+      userId
+    ]
+  );
+  await setTodoTags(db, userId, lastID, values.tags);
+  return lastID;
+}
+
+// Add a `recurrence` to each todo: its series' rule and RRULE string, or null
+// for one-off todos and series that have ended
+async function attachRecurrence(db, todos) {
+  const seriesIds = [...new Set(todos.map(todo => todo.series_id).filter(Boolean))];
+  const rules = new Map();
+  if (seriesIds.length > 0) {
+    const rows = await db.all(
+      `SELECT id, rule FROM todo_series
+       WHERE ended_at IS NULL AND id IN (${seriesIds.map(() => '?').join(', ')})`,
+      seriesIds
+    );
+    rows.forEach((row) => {
+      const rule = JSON.parse(row.rule);
+      rules.set(row.id, { ...rule, rrule: formatRrule(rule) });
+    });
+  }
+  todos.forEach((todo) => {
+    todo.recurrence = rules.get(todo.series_id) || null;
+  });
+  return todos;
+}
+
+// Embed the related data every todo response carries: tags, checklist progress
+// and recurrence
+async function decorateTodos(db, todos) {
+  await attachTags(db, todos);
+  await attachProgress(db, todos);
+  await attachRecurrence(db, todos);
+  return todos;
+}
+
+// Get one of the user's todos (not in the trash) with its related data, or undefined
+async function loadTodo(db, userId, todoId) {
+  const todo = await db.get(
+    'SELECT * FROM todos WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [todoId, userId]
+  );
+  if (todo) {
+    await decorateTodos(db, [todo]);
+  }
+  return todo;
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  POSITION_GAP,
+  parseDueFields,
+  parseListQuery,
+  validateNewTodo,
+  parseTodoChanges,
+  insertTodo,
+  decorateTodos,
+  loadTodo
+};
@@ -0,0 +1,89 @@
+// Todo exports, shared by GET /api/todos/export and the CLI's --local mode.
+// Helpers that touch the database take it (or a transaction handle) first.
+const csv = require('../utils/csv');
+const ical = require('../utils/ical');
+const { attachTags } = require('./tags');
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+};
+const CSV_COLUMNS = [
+  'id', 'title', 'description', 'completed', 'due_at', 'due_tz',
+  'list', 'tags', 'auto_complete', 'priority', 'created_at', 'updated_at'
+];
+const EXPORT_BATCH_SIZE = 200;
+
+// The fields an exported todo carries; imports accept the same names
+function toRecord(todo) {
+  return {
+    id: todo.id,
+    title: todo.title,
+    description: todo.description,
+    completed: Boolean(todo.completed),
+    due_at: todo.due_at,
+    due_tz: todo.due_tz,
+    list: todo.list_name,
+    tags: todo.tags.map(tag => tag.name),
+    auto_complete: Boolean(todo.auto_complete),
+    priority: todo.priority,
+    created_at: todo.created_at,
+    updated_at: todo.updated_at
+  };
+}
+
+// Read the user's todos in id order, a batch at a time, so exports don't hold
+// every row in memory
+async function* exportBatches(db, userId, listId) {
+  let lastId = 0;
+  for (;;) {
+    const todos = await db.all(
+      `SELECT todos.*, lists.name AS list_name
+       FROM todos LEFT JOIN lists ON lists.id = todos.list_id
+       WHERE todos.user_id = ? AND todos.deleted_at IS NULL AND todos.id > ?
+         ${listId === null ? '' : 'AND todos.list_id = ?'}
+       ORDER BY todos.id LIMIT ?`,
+      [userId, lastId, ...(listId === null ? [] : [listId]), EXPORT_BATCH_SIZE]
+    );
+    if (todos.length === 0) {
+      return;
+    }
+    await attachTags(db, todos);
+    yield todos.map(toRecord);
+    lastId = todos[todos.length - 1].id;
+  }
+}
+
+// The user's todos (or one list's, with a listId) as a document in one of
+// FORMATS, yielded a piece at a time. `host` makes the iCalendar UIDs unique.
+async function* exportChunks(db, userId, listId, format, host) {
+  yield {
+    json: '[',
+    csv: csv.formatRow(CSV_COLUMNS),
+    ics: ical.calendarStart()
+  }[format];
+
+  let first = true;
+  for await (const records of exportBatches(db, userId, listId)) {
+    for (const record of records) {
+      if (format === 'json') {
+        yield `${first ? '\n' : ',\n'}${JSON.stringify(record)}`;
+      } else if (format === 'csv') {
+        yield csv.formatRow(CSV_COLUMNS.map((column) => {
+          return column === 'tags' ? record.tags.join(', ') : record[column];
+        }));
+      } else {
+        yield ical.formatTodo(record, host);
+      }
+      first = false;
+    }
+  }
+
+  yield { json: first ? ']' : '\n]\n', csv: '', ics: ical.calendarEnd() }[format];
+}
+
+module.exports = {
+  FORMATS,
+  exportChunks
+};
@@ -0,0 +1,34 @@
+const database = require('../config/database');
+const { getSettings } = require('../config/settings');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted todos stay in the trash before the retention job purges them
+function retentionMs() {
+  return getSettings().trashRetentionDays * DAY_MS;
+}
+
+// When a todo deleted at `deletedAt` (an ISO string) will be purged
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + retentionMs()).toISOString();
+}
+
+// Permanently delete todos that have been in the trash longer than the retention
+// period. Returns how many were purged.
+async function purgeExpiredTodos(now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionMs()).toISOString();
+  const { changes } = await database.run(
+    'DELETE FROM todos WHERE deleted_at IS NOT NULL AND deleted_at <= ?',
+    [cutoff]
+  );
+  if (changes > 0) {
+    logger.info('Purged todos from the trash', { count: changes });
+  }
+  return changes;
+}
+
+module.exports = {
+  purgeDate,
+  purgeExpiredTodos
+};
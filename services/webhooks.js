@@ -0,0 +1,351 @@
+// Outgoing webhooks. Todo changes queue a delivery for every active webhook
+// that wants the event, in the same transaction as the change, so a delivery
+// is queued exactly when the change is saved. A background job sends due
+// deliveries, signed with the webhook's secret, and retries failures with
+// exponential backoff. Deliveries are kept as the delivery log.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const database = require('../config/database');
+const { getSettings } = require('../config/settings');
+const logger = require('../utils/logger');
+const { version } = require('../package.json');
+
+const EVENT_TYPES = ['todo.created', 'todo.updated', 'todo.completed', 'todo.deleted', 'todo.restored'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const URL_PROTOCOLS = ['http:', 'https:'];
+const MAX_URL_LENGTH = 2000;
+const SECRET_BYTES = 32;
+const BATCH_SIZE = 20;
+const TIMEOUT_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const DELIVERY_LOG_DAYS = 30;
+
+// Where webhooks may not be sent unless webhookAllowPrivate is on: loopback,
+// private networks, link-local addresses (which include cloud metadata
+// services at 169.254.169.254) and other ranges that aren't on the internet
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([network, prefix, type]) => privateAddresses.addSubnet(network, prefix, type));
+
+// Whether an IP address is in one of the PRIVATE_RANGES. IPv4 addresses
+// mapped into IPv6 (::ffff:127.0.0.1) count as the IPv4 address.
+function isPrivateAddress(address) {
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Returns an error message, or null if the URL can receive webhooks. Host
+// names are checked again when each delivery connects (see publicLookup).
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an absolute URL';
+  }
+  if (!URL_PROTOCOLS.includes(parsed.protocol)) {
+    return 'url must be an http or https URL';
+  }
+  if (url.length > MAX_URL_LENGTH) {
+    return `url must be at most ${MAX_URL_LENGTH} characters`;
+  }
+  if (!getSettings().webhookAllowPrivate) {
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+      return 'url must not point to a loopback, private or link-local address';
+    }
+  }
+  return null;
+}
+
+// dns.lookup for delivery connections that refuses private addresses, so a
+// host name can't be pointed at one after the webhook was registered
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to ${blocked.address}, a private address`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+function generateSecret() {
+  return crypto.randomBytes(SECRET_BYTES).toString('hex');
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>", as sent in X-Webhook-Signature
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// A webhook as the API returns it, without its secret (which is only shown
+// when the webhook is created and when the secret is replaced)
+function toWebhook({ user_id: userId, secret, ...row }) {
+  return { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+}
+
+function toDelivery({ payload, ...row }) {
+  return { ...row, data: JSON.parse(payload) };
+}
+
+// Get one of the user's webhooks, or undefined if it doesn't exist or isn't theirs
+function findWebhook(db, userId, webhookId) {
+  return db.get('SELECT * FROM webhooks WHERE id = ? AND user_id = ?', [webhookId, userId]);
+}
+
+// The event for an update, given the todo's history snapshots before and after
+function changeEvent(before, after) {
+  return !before.completed && after.completed ? 'todo.completed' : 'todo.updated';
+}
+
+// Queue a delivery of the event to each of the user's active webhooks that
+// wants it. `data` is the payload, or a function that loads it, which is only
+// called when some webhook wants the event. Returns how many were queued.
+async function queueDeliveries(db, userId, event, data) {
+  const webhooks = await db.all('SELECT id, events FROM webhooks WHERE user_id = ? AND active = 1', [userId]);
+  const targets = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event));
+  if (targets.length === 0) {
+    return 0;
+  }
+
+  const payload = JSON.stringify(typeof data === 'function' ? await data() : data);
+  const now = new Date().toISOString();
+  for (const webhook of targets) {
+    await db.run(
+      'INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)',
+      [webhook.id, event, payload, now]
+    );
+  }
+  return targets.length;
+}
+
+// How long to wait after the given number of failed attempts
+function retryDelay(attempts) {
+  return Math.min(getSettings().webhookRetrySeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// POST one delivery. Resolves to { status, error }, where error is null for
+// a 2xx answer. Redirects aren't followed.
+function send(delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: JSON.parse(delivery.payload)
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  // Also catches webhooks registered before private targets were disallowed
+  const problem = validateWebhookUrl(delivery.url);
+  if (problem) {
+    return Promise.resolve({ status: null, error: problem });
+  }
+
+  const url = new URL(delivery.url);
+  return new Promise((resolve) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': `todo-app-webhooks/${version}`,
+        'X-Webhook-Id': String(delivery.webhook_id),
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+      },
+      lookup: getSettings().webhookAllowPrivate ? undefined : publicLookup,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    }, (response) => {
+      const { statusCode } = response;
+      // Only the status matters; don't hold the connection open for the body
+      response.destroy();
+      resolve({
+        status: statusCode,
+        error: statusCode >= 200 && statusCode < 300 ? null : `The receiver answered ${statusCode}`
+      });
+    });
+    request.on('error', (error) => {
+      if (error.cause && error.cause.name === 'TimeoutError') {
+        resolve({ status: null, error: `No answer within ${TIMEOUT_MS / 1000} seconds` });
+        return;
+      }
+      resolve({ status: null, error: error.message });
+    });
+    request.end(body);
+  });
+}
+
+// Record the outcome of an attempt: delivered, retried later, or failed for good
+async function recordAttempt(delivery, { status, error }, now) {
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    await database.run(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL,
+         last_attempt_at = ?, delivered_at = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [attempts, status, now.toISOString(), now.toISOString(), delivery.id]
+    );
+    return;
+  }
+
+  const retry = attempts < getSettings().webhookMaxAttempts;
+  await database.run(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?,
+       last_attempt_at = ?, next_attempt_at = ?
+     WHERE id = ?`,
+    [
+      retry ? 'pending' : 'failed',
+      attempts,
+      status,
+      error,
+      now.toISOString(),
+      retry ? new Date(now.getTime() + retryDelay(attempts)).toISOString() : null,
+      delivery.id
+    ]
+  );
+  if (!retry) {
+    logger.warn('Webhook delivery failed for good', {
+      delivery_id: delivery.id,
+      webhook_id: delivery.webhook_id,
+      attempts,
+      reason: error
+    });
+  }
+}
+
+// Send every delivery that is due, a batch at a time. Returns how many were delivered.
+async function deliverDue() {
+  let delivered = 0;
+  for (;;) {
+    const now = new Date();
+    const batch = await database.all(
+      `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+       FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+       WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+         AND webhooks.active = 1
+       ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+       LIMIT ?`,
+      [now.toISOString(), BATCH_SIZE]
+    );
+    const outcomes = await Promise.all(batch.map(send));
+    for (const [index, delivery] of batch.entries()) {
+      await recordAttempt(delivery, outcomes[index], new Date());
+      delivered += outcomes[index].error ? 0 : 1;
+    }
+    // Failed deliveries were rescheduled, so a full batch means there may be more due
+    if (batch.length < BATCH_SIZE) {
+      return delivered;
+    }
+  }
+}
+
+let running = null;
+let requested = false;
+
+// Send due deliveries. Only one run goes at a time; asking during a run
+// makes it look again when it finishes, so nothing queued meanwhile waits
+// for the next scheduled run.
+function deliverPending() {
+  if (running) {
+    requested = true;
+    return running;
+  }
+  running = (async () => {
+    let delivered = 0;
+    do {
+      requested = false;
+      delivered += await deliverDue();
+    } while (requested);
+    return delivered;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+// Start sending what a change just queued, without waiting for it. Call it
+// after the transaction that queued the deliveries has committed.
+function deliverSoon() {
+  deliverPending().catch(error => logger.error('Webhook delivery run failed', { error }));
+}
+
+// Resolves when the delivery run going on, if any, has finished, e.g. so the
+// server can close the database after it on shutdown
+function deliveriesSettled() {
+  return running ? running.then(() => {}, () => {}) : Promise.resolve();
+}
+
+// Reset a delivery so it is sent again straight away. Returns the delivery,
+// or undefined if the webhook has no such delivery.
+async function requeueDelivery(db, webhookId, deliveryId) {
+  const { changes } = await db.run(
+    `UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = ?
+     WHERE id = ? AND webhook_id = ?`,
+    [new Date().toISOString(), deliveryId, webhookId]
+  );
+  if (changes === 0) {
+    return undefined;
+  }
+  return toDelivery(await db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]));
+}
+
+// Delete finished deliveries older than the delivery log keeps. Returns how many were deleted.
+async function pruneDeliveries() {
+  const { changes } = await database.run(
+    `DELETE FROM webhook_deliveries
+     WHERE status != 'pending' AND created_at <= datetime('now', ?)`,
+    [`-${DELIVERY_LOG_DAYS} days`]
+  );
+  if (changes > 0) {
+    logger.info('Pruned webhook deliveries from the log', { count: changes });
+  }
+  return changes;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DELIVERY_STATUSES,
+  MAX_URL_LENGTH,
+  isPrivateAddress,
+  validateWebhookUrl,
+  publicLookup,
+  generateSecret,
+  sign,
+  toWebhook,
+  toDelivery,
+  findWebhook,
+  changeEvent,
+  queueDeliveries,
+  deliverPending,
+  deliverSoon,
+  deliveriesSettled,
+  requeueDelivery,
+  pruneDeliveries
+};
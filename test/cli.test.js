@@ -0,0 +1,137 @@
+// Tests for the command-line client (bin/todo.js), run against the real server
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./support/server');
+
+const BIN = path.join(__dirname, '..', 'bin', 'todo.js');
+
+let server;
+let tmpDir;
+
+// Run the CLI and resolve to { code, stdout, stderr }
+function todo(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], {
+      env: { ...process.env, TODO_CONFIG: path.join(tmpDir, 'config.json'), TODO_URL: server.baseUrl, ...env }
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-cli-'));
+  server = await startServer();
+  await fetch(`${server.baseUrl}/api/v1/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'terminal', password: 'terminal-secret' })
+  });
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('todo CLI', () => {
+  it('asks to log in first', async () => {
+    const { code, stderr } = await todo(['ls']);
+    assert.equal(code, 1);
+    assert.match(stderr, /todo login/);
+  });
+
+  it('logs in and saves the token', async () => {
+    const { code, stdout } = await todo(['login', 'terminal'], { TODO_PASSWORD: 'terminal-secret' });
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Logged in as terminal/);
+    assert.ok(JSON.parse(fs.readFileSync(path.join(tmpDir, 'config.json'), 'utf8')).token);
+  });
+
+  it('adds, lists, completes, edits and removes todos', async () => {
+    const added = await todo(['add', 'Write the report', '--priority', 'high', '--tags', 'work', '--json']);
+    assert.equal(added.code, 0, added.stderr);
+    const { id } = JSON.parse(added.stdout);
+    await todo(['add', 'Buy milk']);
+
+    const table = await todo(['ls', '--tag', 'work']);
+    assert.match(table.stdout, /Write the report/);
+    assert.doesNotMatch(table.stdout, /Buy milk/);
+    assert.match(table.stdout, /1-1 of 1 todo: 1 pending/);
+
+    assert.equal((await todo(['done', String(id)])).code, 0);
+    const edited = JSON.parse((await todo(['edit', String(id), '--title', 'Send the report', '--json'])).stdout);
+    assert.equal(edited.title, 'Send the report');
+    assert.equal(edited.completed, 1);
+
+    const page = JSON.parse((await todo(['ls', '--completed', '--json'])).stdout);
+    assert.deepEqual(page.data.map(todoItem => todoItem.id), [id]);
+
+    assert.equal((await todo(['rm', String(id)])).code, 0);
+    const missing = await todo(['rm', String(id)]);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /Todo not found/);
+  });
+
+  it('exports todos', async () => {
+    const { code, stdout } = await todo(['export', '--format', 'csv']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^id,title,/);
+    assert.match(stdout, /Buy milk/);
+  });
+
+  it('reports bad input without calling the server', async () => {
+    assert.match((await todo(['add', 'x', '--title', 'y'])).stderr, /--title can't be used with todo add/);
+    assert.match((await todo(['edit', '3', '--due', 'someday'])).stderr, /--due must be a date/);
+    assert.match((await todo(['frobnicate'])).stderr, /Unknown command/);
+  });
+
+  it('works on the database directly with --local', async () => {
+    const env = { STORAGE: 'sqlite', DB_PATH: path.join(tmpDir, 'local.db') };
+    const { code, stderr } = await todo(['--local', 'ls'], env);
+    assert.equal(code, 1);
+    assert.match(stderr, /no users yet/);
+
+    // The in-memory todo repository can't back the rest of the data
+    const inMemory = await todo(['--local', 'ls'], { STORAGE: 'memory' });
+    assert.equal(inMemory.code, 1);
+    assert.match(inMemory.stderr, /use DB_PATH=:memory:/);
+
+    // Register through a server on the same file, then stop it so only the CLI writes
+    const fileServer = await startServer({ env });
+    await fetch(`${fileServer.baseUrl}/api/v1/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'local', password: 'local-secret' })
+    });
+    await fileServer.stop();
+
+    const local = args => todo(['--local', ...args], env);
+    const added = await local(['add', 'Offline chore', '--priority', 'urgent', '--json']);
+    assert.equal(added.code, 0, added.stderr);
+    const { id, priority } = JSON.parse(added.stdout);
+    assert.equal(priority, 'urgent');
+    await local(['add', 'Another chore']);
+
+    assert.equal((await local(['done', String(id)])).code, 0);
+    const completed = JSON.parse((await local(['ls', '--completed', '--json'])).stdout);
+    assert.deepEqual(completed.data.map(todoItem => todoItem.title), ['Offline chore']);
+
+    const invalid = await local(['edit', String(id), '--priority', 'someday']);
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /priority must be one of/);
+
+    assert.equal((await local(['rm', String(id)])).code, 0);
+    const remaining = JSON.parse((await local(['ls', '--json'])).stdout);
+    assert.deepEqual(remaining.data.map(todoItem => todoItem.title), ['Another chore']);
+    assert.match((await local(['rm', String(id)])).stderr, /Todo not found/);
+  });
+});
@@ -0,0 +1,587 @@
+// Contract tests: drive the real server over HTTP and check that every
+// response matches docs/openapi.js, status code and body alike.
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const spec = require('../docs/openapi');
+const { startServer } = require('./support/server');
+const { findOperation, responseErrors } = require('./support/openapi');
+
+let server;
+let token;
+
+// Send a request and fail unless the response is documented by the spec.
+// Resolves to { status, headers, body } with JSON bodies parsed.
+async function call(method, path, { body, headers = {}, auth = true } = {}) {
+  const url = `/api/v1${path}`;
+  // Without an explicit cache mode fetch sends conditional requests with
+  // Cache-Control: no-cache, and Express then ignores If-None-Match
+  const options = { method, headers: { ...headers }, cache: 'no-cache' };
+  if (auth && token) {
+    options.headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(`${server.baseUrl}${url}`, options);
+  const contentType = response.headers.get('Content-Type');
+  const text = await response.text();
+  const parsed = contentType && contentType.startsWith('application/json') ? JSON.parse(text) : text;
+
+  const errors = responseErrors(spec, {
+    method,
+    url,
+    status: response.status,
+    contentType,
+    body: parsed
+  });
+  assert.deepEqual(errors, [], `${method} ${url} answered ${response.status}:\n${text}`);
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Poll until check() returns something truthy, and return it
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function createTodo(fields = {}) {
+  const { status, body } = await call('POST', '/todos', { body: { title: 'Write the report', ...fields } });
+  assert.equal(status, 201);
+  return body.data;
+}
+
+before(async () => {
+  // The webhook tests deliver to a receiver on localhost
+  server = await startServer({ env: { WEBHOOK_ALLOW_PRIVATE: 'true' } });
+  const { body } = await call('POST', '/auth/register', {
+    body: { username: 'contract', password: 'contract-secret' },
+    auth: false
+  });
+  token = body.data.token;
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+describe('openapi.json', () => {
+  it('is served without a token', async () => {
+    const { status, body } = await call('GET', '/openapi.json', { auth: false });
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.deepEqual(Object.keys(body.paths), Object.keys(spec.paths));
+  });
+
+  it('documents every route the todo and webhook routers serve', () => {
+    const routers = { todos: require('../routes/todoRoutes'), webhooks: require('../routes/webhookRoutes') };
+    Object.entries(routers).forEach(([base, router]) => {
+      router.stack.filter(layer => layer.route).forEach((layer) => {
+        const path = `/api/v1/${base}${layer.route.path === '/' ? '' : layer.route.path}`.replace(/:(\w+)/g, '1');
+        Object.keys(layer.route.methods).forEach((method) => {
+          assert.ok(findOperation(spec, method, path), `${method.toUpperCase()} ${path} is missing`);
+        });
+      });
+    });
+  });
+});
+
+describe('TodoController', () => {
+  it('rejects requests without a token', async () => {
+    const { status, body } = await call('GET', '/todos', { auth: false });
+    assert.equal(status, 401);
+    assert.equal(body.error.code, 'unauthorized');
+  });
+
+  it('creates a todo', async () => {
+    const { status, headers, body } = await call('POST', '/todos', {
+      body: { title: 'Plan the sprint', description: 'Before Monday', tags: ['work'] }
+    });
+    assert.equal(status, 201);
+    assert.equal(headers.get('ETag'), '"1"');
+    assert.equal(body.data.tags[0].name, 'work');
+  });
+
+  it('reports every invalid field at once', async () => {
+    const { status, body } = await call('POST', '/todos', { body: { title: '', colour: 'red' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+    assert.deepEqual(Object.keys(body.error.fields).sort(), ['colour', 'title']);
+  });
+
+  it('creates a recurring todo', async () => {
+    const todo = await createTodo({ due_at: '2030-01-01T09:00:00Z', recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+    assert.equal(todo.recurrence.rrule, 'FREQ=WEEKLY;BYDAY=MO');
+  });
+
+  it('lists todos with pagination and counts', async () => {
+    const { status, headers, body } = await call('GET', '/todos?limit=1&sort=title&order=asc');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 1);
+    assert.ok(body.meta.pagination.next);
+
+    const cached = await call('GET', '/todos?limit=1&sort=title&order=asc', {
+      headers: { 'If-None-Match': headers.get('ETag') }
+    });
+    assert.equal(cached.status, 304);
+  });
+
+  it('rejects unknown query parameters', async () => {
+    const { status, body } = await call('GET', '/todos?colour=red');
+    assert.equal(status, 400);
+    assert.ok(body.error.fields.colour);
+  });
+
+  it('gets a todo by id', async () => {
+    const todo = await createTodo();
+    const { status, headers, body } = await call('GET', `/todos/${todo.id}`);
+    assert.equal(status, 200);
+    assert.equal(headers.get('ETag'), '"1"');
+    assert.equal(body.data.title, 'Write the report');
+  });
+
+  it('answers 404 for a missing todo and 400 for a bad id', async () => {
+    assert.equal((await call('GET', '/todos/999999')).status, 404);
+    assert.equal((await call('GET', '/todos/abc')).status, 400);
+  });
+
+  it('updates a todo and rejects a stale If-Match', async () => {
+    const todo = await createTodo();
+    const updated = await call('PUT', `/todos/${todo.id}`, {
+      body: { completed: true },
+      headers: { 'If-Match': '"1"' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.version, 2);
+
+    const stale = await call('PUT', `/todos/${todo.id}`, {
+      body: { title: 'Too late' },
+      headers: { 'If-Match': '"1"' }
+    });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.todo.version, 2);
+  });
+
+  it('schedules the next occurrence when a recurring todo is completed', async () => {
+    const todo = await createTodo({ due_at: '2030-01-01T09:00:00Z', recurrence: 'FREQ=DAILY' });
+    const { body } = await call('PUT', `/todos/${todo.id}`, { body: { completed: true } });
+    assert.ok(Number.isInteger(body.meta.next_todo_id));
+  });
+
+  it('lists overdue todos', async () => {
+    const { status, body } = await call('GET', '/todos/overdue');
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(body.data));
+  });
+
+  it('applies bulk actions', async () => {
+    const first = await createTodo();
+    const second = await createTodo();
+    const { status, body } = await call('POST', '/todos/bulk', {
+      body: { ids: [first.id, second.id, 999999], actions: [{ type: 'retag', add: ['batch'] }] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.matched, 2);
+    assert.equal(body.data.results[2].status, 'not_found');
+
+    const invalid = await call('POST', '/todos/bulk', { body: { ids: [first.id], actions: [] } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('takes ids in JSON bodies only as numbers', async () => {
+    const todo = await createTodo();
+    const item = await call('POST', `/todos/${todo.id}/items`, { body: { title: 'Outline' } });
+
+    const bulk = await call('POST', '/todos/bulk', {
+      body: { ids: [String(todo.id)], actions: [{ type: 'move', list_id: '1' }] }
+    });
+    assert.equal(bulk.status, 400);
+    assert.deepEqual(Object.keys(bulk.body.error.fields).sort(), ['actions[0].list_id', 'ids[0]']);
+
+    const created = await call('POST', '/todos', { body: { title: 'Elsewhere', list_id: '1' } });
+    assert.deepEqual(Object.keys(created.body.error.fields), ['list_id']);
+
+    const items = await call('PATCH', `/todos/${todo.id}/items/reorder`, { body: { ids: [String(item.body.data.id)] } });
+    assert.deepEqual(Object.keys(items.body.error.fields), ['ids[0]']);
+  });
+
+  it('sorts todos by priority and moves them in the manual order', async () => {
+    const low = await createTodo({ priority: 'low' });
+    const urgent = await createTodo({ priority: 'urgent' });
+    assert.equal(low.priority, 'low');
+
+    const top = async () => (await call('GET', '/todos?sort=position&order=asc&limit=2')).body.data.map(todo => todo.id);
+    assert.deepEqual(await top(), [urgent.id, low.id]);
+
+    const moved = await call('PATCH', '/todos/reorder', { body: { id: urgent.id, after: low.id } });
+    assert.equal(moved.status, 200);
+    assert.ok(moved.body.data.position > low.position);
+    assert.equal((await call('PATCH', '/todos/reorder', { body: { id: low.id, before: urgent.id } })).status, 200);
+    assert.deepEqual(await top(), [low.id, urgent.id]);
+    await call('PATCH', '/todos/reorder', { body: { id: urgent.id, after: null } });
+    assert.deepEqual(await top(), [urgent.id, low.id]);
+
+    const both = await call('PATCH', '/todos/reorder', { body: { id: low.id, after: urgent.id, before: null } });
+    assert.equal(both.status, 400);
+    assert.equal((await call('PATCH', '/todos/reorder', { body: { id: 999999, before: null } })).status, 404);
+    const self = await call('PATCH', '/todos/reorder', { body: { id: String(low.id), after: low.id } });
+    assert.equal(self.status, 400);
+    assert.deepEqual(Object.keys(self.body.error.fields), ['id']);
+
+    const byPriority = await call('GET', '/todos?sort=priority&order=desc&limit=1');
+    assert.equal(byPriority.body.data[0].id, urgent.id);
+  });
+
+  it('records history and reverts to an earlier version', async () => {
+    const todo = await createTodo();
+    await call('PUT', `/todos/${todo.id}`, { body: { title: 'Renamed' } });
+
+    const history = await call('GET', `/todos/${todo.id}/history`);
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.data.map(entry => entry.action), ['updated', 'created']);
+
+    const created = history.body.data[1];
+    const reverted = await call('POST', `/todos/${todo.id}/history/${created.id}/revert`);
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.data.title, 'Write the report');
+  });
+
+  it('moves todos through the trash', async () => {
+    const todo = await createTodo();
+    const stale = await call('DELETE', `/todos/${todo.id}`, { headers: { 'If-Match': '"7"' } });
+    assert.equal(stale.status, 412);
+    assert.equal((await call('DELETE', `/todos/${todo.id}`)).status, 200);
+
+    const trash = await call('GET', '/todos/trash');
+    assert.ok(trash.body.data.some(entry => entry.id === todo.id));
+
+    const restored = await call('POST', `/todos/${todo.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.deleted_at, null);
+
+    await call('DELETE', `/todos/${todo.id}`);
+    assert.equal((await call('DELETE', `/todos/trash/${todo.id}`)).status, 200);
+    assert.equal((await call('POST', `/todos/${todo.id}/restore`)).status, 404);
+
+    await call('DELETE', `/todos/${(await createTodo()).id}`);
+    const emptied = await call('DELETE', '/todos/trash');
+    assert.equal(emptied.status, 200);
+    assert.equal(emptied.body.data.purged, 1);
+  });
+
+  it('accepts JSON imports larger than the limit for other requests', async () => {
+    // About 200kb, over the 100kb bodyLimit and under the 1mb importBodyLimit
+    const todos = Array.from({ length: 600 }, (value, index) => ({
+      title: `Imported ${index}`,
+      description: 'x'.repeat(300)
+    }));
+    const imported = await call('POST', '/todos/import?format=json', { body: todos });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.data.created, 600);
+
+    // Outside the spec's documented errors, so this uses fetch directly
+    const tooLarge = await fetch(`${server.baseUrl}/api/v1/todos`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Too long', description: 'x'.repeat(200 * 1024) })
+    });
+    assert.equal(tooLarge.status, 413);
+  });
+
+  it('reports an iCalendar import with an unclosed VTODO as invalid', async () => {
+    // call() only sends JSON, so this uses fetch directly
+    const importIcs = async (text) => {
+      const response = await fetch(`${server.baseUrl}/api/v1/todos/import?format=ics`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/calendar' },
+        body: text
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const calendar = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VTODO', 'SUMMARY:Imported from a calendar'];
+    const unclosed = await importIcs(calendar.join('\r\n'));
+    assert.equal(unclosed.status, 400);
+    assert.match(unclosed.body.error.message, /VTODO is never closed/);
+
+    const closed = await importIcs([...calendar, 'END:VTODO', 'END:VCALENDAR'].join('\r\n'));
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.data.created, 1);
+  });
+
+  it('serves the todos of a list', async () => {
+    const lists = await call('GET', '/lists');
+    const inbox = lists.body.data[0];
+
+    const created = await call('POST', `/lists/${inbox.id}/todos`, { body: { title: 'In the inbox' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.list_id, inbox.id);
+
+    const page = await call('GET', `/lists/${inbox.id}/todos?q=inbox`);
+    assert.equal(page.status, 200);
+    assert.equal(page.body.data.length, 1);
+
+    assert.equal((await call('GET', '/lists/999999/todos')).status, 404);
+  });
+
+  it('moves a todo back to the default list when updated with a null list_id', async () => {
+    const list = await call('POST', '/lists', { body: { name: 'Errands' } });
+    const todo = await createTodo({ list_id: list.body.data.id });
+    assert.equal(todo.list_id, list.body.data.id);
+
+    const updated = await call('PUT', `/todos/${todo.id}`, { body: { list_id: null } });
+    assert.equal(updated.status, 200);
+    const inbox = (await call('GET', '/lists')).body.data.find(entry => entry.is_default);
+    assert.equal(updated.body.data.list_id, inbox.id);
+  });
+
+  it('records the move of the todos of a deleted list', async () => {
+    const list = await call('POST', '/lists', { body: { name: 'Moving out' } });
+    const listId = list.body.data.id;
+    const todo = await createTodo({ list_id: listId });
+
+    const deleted = await call('DELETE', `/lists/${listId}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.data.movedTodos, 1);
+
+    const moved = await call('GET', `/todos/${todo.id}`);
+    assert.equal(moved.body.data.list_id, deleted.body.data.targetListId);
+    assert.equal(moved.body.data.version, todo.version + 1);
+    const history = await call('GET', `/todos/${todo.id}/history`);
+    assert.equal(history.body.data[0].action, 'updated');
+    assert.deepEqual(history.body.data[0].changes.list_id, { from: listId, to: deleted.body.data.targetListId });
+  });
+
+  it('moves the todos of a cascade-deleted list to the trash', async () => {
+    const list = await call('POST', '/lists', { body: { name: 'Short-lived' } });
+    const listId = list.body.data.id;
+    const { body } = await call('POST', `/lists/${listId}/todos`, { body: { title: 'Goes with the list' } });
+    const todo = body.data;
+
+    const deleted = await call('DELETE', `/lists/${listId}?mode=cascade`);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.data.deletedTodos, 1);
+
+    const trash = await call('GET', '/todos/trash');
+    assert.ok(trash.body.data.some(entry => entry.id === todo.id));
+    const history = await call('GET', `/todos/${todo.id}/history`);
+    assert.equal(history.body.data[0].action, 'deleted');
+
+    const restored = await call('POST', `/todos/${todo.id}/restore`);
+    assert.equal(restored.status, 200);
+    const inbox = (await call('GET', '/lists')).body.data[0];
+    assert.equal(restored.body.data.list_id, inbox.id);
+  });
+});
+
+describe('WebhookController', () => {
+  let receiver;
+  let receiverUrl;
+  const received = [];
+
+  // A local receiver that records every delivery and answers /fail with a 500
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.statusCode = req.url === '/fail' ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://localhost:${receiver.address().port}`;
+  });
+
+  after(() => new Promise(resolve => receiver.close(resolve)));
+
+  it('validates webhooks', async () => {
+    const { status, body } = await call('POST', '/webhooks', { body: { url: 'ftp://example.com', events: ['todo.created'] } });
+    assert.equal(status, 400);
+    assert.match(body.error.message, /http or https/);
+
+    const invalid = await call('POST', '/webhooks', { body: { url: receiverUrl, events: ['todo.exploded'] } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, 'validation_failed');
+  });
+
+  it('delivers signed todo events to a local receiver', async () => {
+    const created = await call('POST', '/webhooks', {
+      body: { url: `${receiverUrl}/hook`, events: ['todo.created', 'todo.completed', 'todo.deleted'] }
+    });
+    assert.equal(created.status, 201);
+    const { id, secret } = created.body.data;
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    assert.equal((await call('GET', `/webhooks/${id}`)).body.data.secret, undefined);
+
+    const todo = await createTodo({ title: 'Tell the other systems' });
+    await call('PUT', `/todos/${todo.id}`, { body: { completed: true } });
+    await call('PUT', `/todos/${todo.id}`, { body: { title: 'Not sent: todo.updated is not subscribed' } });
+    await call('DELETE', `/todos/${todo.id}`);
+
+    const hits = await eventually(() => {
+      const hook = received.filter(entry => entry.path === '/hook');
+      return hook.length >= 3 && hook;
+    });
+    assert.ok(hits, 'the receiver got three deliveries');
+    assert.deepEqual(hits.map(hit => hit.headers['x-webhook-event']).sort(), ['todo.completed', 'todo.created', 'todo.deleted']);
+    hits.forEach((hit) => {
+      const expected = crypto.createHmac('sha256', secret)
+        .update(`${hit.headers['x-webhook-timestamp']}.${hit.body}`)
+        .digest('hex');
+      assert.equal(hit.headers['x-webhook-signature'], `sha256=${expected}`);
+      const payload = JSON.parse(hit.body);
+      assert.equal(payload.event, hit.headers['x-webhook-event']);
+      assert.equal(payload.data.id, todo.id);
+    });
+
+    const log = await eventually(async () => {
+      const { body } = await call('GET', `/webhooks/${id}/deliveries?status=delivered`);
+      return body.data.length === 3 && body.data;
+    });
+    assert.ok(log, 'the delivery log shows three deliveries');
+    assert.ok(log.every(delivery => delivery.attempts === 1 && delivery.response_status === 204));
+  });
+
+  it('logs failed deliveries and schedules a retry', async () => {
+    const created = await call('POST', '/webhooks', { body: { url: `${receiverUrl}/fail`, events: ['todo.updated'] } });
+    const { id } = created.body.data;
+
+    const todo = await createTodo();
+    await call('PUT', `/todos/${todo.id}`, { body: { priority: 'high' } });
+
+    const failed = await eventually(async () => {
+      const { body } = await call('GET', `/webhooks/${id}/deliveries`);
+      return body.data.length === 1 && body.data[0].attempts === 1 && body.data[0];
+    });
+    assert.ok(failed, 'the first attempt is logged');
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.response_status, 500);
+    assert.match(failed.error, /500/);
+    assert.ok(failed.next_attempt_at > failed.last_attempt_at);
+
+    const retried = await call('POST', `/webhooks/${id}/deliveries/${failed.id}/retry`);
+    assert.equal(retried.status, 200);
+    assert.equal((await call('POST', `/webhooks/${id}/deliveries/999999/retry`)).status, 404);
+
+    const paused = await call('PUT', `/webhooks/${id}`, { body: { active: false, rotate_secret: true } });
+    assert.equal(paused.body.data.active, false);
+    assert.match(paused.body.data.secret, /^[0-9a-f]{64}$/);
+
+    assert.equal((await call('DELETE', `/webhooks/${id}`)).status, 200);
+    assert.equal((await call('GET', `/webhooks/${id}/deliveries`)).status, 404);
+  });
+
+  it('treats a todo completed through its checklist like any other completion', async () => {
+    const created = await call('POST', '/webhooks', {
+      body: { url: `${receiverUrl}/checklist`, events: ['todo.completed', 'todo.created'] }
+    });
+    const todo = await createTodo({
+      title: 'Water the plants',
+      due_at: '2030-01-01T09:00:00Z',
+      recurrence: 'FREQ=DAILY',
+      auto_complete: true
+    });
+    const item = await call('POST', `/todos/${todo.id}/items`, { body: { title: 'Balcony' } });
+
+    const checked = await call('PUT', `/todos/${todo.id}/items/${item.body.data.id}`, { body: { completed: true } });
+    assert.equal(checked.status, 200);
+    assert.equal(checked.body.meta.todo.completed, true);
+
+    const history = await call('GET', `/todos/${todo.id}/history`);
+    assert.equal(history.body.data[0].action, 'updated');
+    assert.deepEqual(history.body.data[0].changes.completed, { from: false, to: true });
+
+    const series = await call('GET', '/todos?q=Water%20the%20plants&completed=false');
+    assert.equal(series.body.data.length, 1, 'the next occurrence was created');
+    const nextId = series.body.data[0].id;
+
+    const hits = await eventually(() => {
+      const hook = received.filter(entry => entry.path === '/checklist');
+      return hook.length >= 3 && hook;
+    });
+    assert.ok(hits, 'the receiver got the creations and the completion');
+    const events = hits.map(hit => [hit.headers['x-webhook-event'], JSON.parse(hit.body).data.id]);
+    assert.ok(events.some(([event, id]) => event === 'todo.completed' && id === todo.id));
+    assert.ok(events.some(([event, id]) => event === 'todo.created' && id === nextId));
+
+    await call('DELETE', `/webhooks/${created.body.data.id}`);
+  });
+});
+
+describe('unversioned API', () => {
+  // The deprecated alias answers outside the spec, so these use fetch directly
+  async function legacy(method, path, body) {
+    const response = await fetch(`${server.baseUrl}/api${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  it('answers in the pre-v1 shapes with deprecation headers', async () => {
+    const { status, headers, body } = await legacy('GET', '/todos?limit=1');
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(body.todos));
+    assert.ok(body.pagination);
+    assert.match(headers.get('Deprecation'), /^@\d+$/);
+    assert.ok(headers.get('Sunset'));
+    assert.equal(headers.get('Link'), `</api/v1/todos?limit=1>; rel="successor-version"`);
+  });
+
+  it('mixes the message into the resource', async () => {
+    const { status, body } = await legacy('POST', '/todos', { title: 'Old client' });
+    assert.equal(status, 201);
+    assert.equal(body.title, 'Old client');
+    assert.equal(body.message, 'Todo created successfully');
+  });
+
+  it('does not alias unknown versions', async () => {
+    const response = await fetch(`${server.baseUrl}/api/v2/todos`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('Deprecation'), null);
+  });
+});
+
+describe('observability', () => {
+  it('echoes a valid X-Request-Id and generates one otherwise', async () => {
+    const given = await call('GET', '/todos', { headers: { 'X-Request-Id': 'client-42' } });
+    assert.equal(given.headers.get('X-Request-Id'), 'client-42');
+
+    const generated = await call('GET', '/todos', { headers: { 'X-Request-Id': 'not valid!' } });
+    assert.match(generated.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('serves Prometheus metrics', async () => {
+    await createTodo({ title: 'Counted' });
+    // /metrics is outside the API, so this uses fetch directly
+    const response = await fetch(`${server.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /^http_requests_total\{method="POST",route="\/api\/v1\/todos",status="201"\} \d+$/m);
+    assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/v1\/todos",le="\+Inf"\} \d+$/m);
+    assert.match(text, /^sqlite_query_duration_seconds_count\{statement="insert"\} \d+$/m);
+    assert.match(text, /^todos\{status="pending"\} [1-9]\d*$/m);
+    assert.match(text, /^todos_overdue \d+$/m);
+  });
+});
@@ -0,0 +1,61 @@
+// Tests for the database wrapper in config/database.js, on an in-memory database
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+const database = require('../config/database');
+
+before(async () => {
+  await database.connect({ migrate: false });
+  await database.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+});
+
+after(async () => {
+  await database.close();
+});
+
+async function names() {
+  const rows = await database.all('SELECT name FROM items ORDER BY id');
+  return rows.map(row => row.name);
+}
+
+describe('Database', () => {
+  it('runs concurrent transactions one after another', async () => {
+    await database.run('DELETE FROM items');
+    const insert = name => database.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', [name]);
+      // Give the other transactions a chance to interleave
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await tx.run('INSERT INTO items (name) VALUES (?)', [`${name} again`]);
+      return name;
+    });
+
+    const results = await Promise.all(['a', 'b', 'c'].map(insert));
+    assert.deepEqual(results, ['a', 'b', 'c']);
+    assert.deepEqual(await names(), ['a', 'a again', 'b', 'b again', 'c', 'c again']);
+  });
+
+  it('keeps a statement queued behind a transaction out of the next one', async () => {
+    await database.run('DELETE FROM items');
+    const first = database.transaction(tx => tx.run('INSERT INTO items (name) VALUES (?)', ['first']));
+    const plain = database.run('INSERT INTO items (name) VALUES (?)', ['plain']);
+    const failing = database.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['rolled back']);
+      throw new Error('Changed my mind');
+    });
+
+    await first;
+    await plain;
+    await assert.rejects(failing, /Changed my mind/);
+    assert.deepEqual(await names(), ['first', 'plain']);
+  });
+
+  it('keeps going after a statement fails', async () => {
+    await assert.rejects(database.run('INSERT INTO items (name) VALUES (NULL)'), /NOT NULL/);
+    const { changes } = await database.run('DELETE FROM items');
+    assert.ok(changes >= 0);
+  });
+});
@@ -0,0 +1,89 @@
+// Tests for starting and stopping the server in this process, through the
+// startServer() that server.js exports
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+const { startServer } = require('../server');
+
+describe('startServer', () => {
+  let running;
+
+  before(async () => {
+    running = await startServer({ port: 0 });
+  });
+
+  after(async () => {
+    await running.stop();
+  });
+
+  it('listens on a free port', () => {
+    assert.ok(running.port > 0);
+    assert.equal(running.url, `http://localhost:${running.port}`);
+  });
+
+  it('answers the health and readiness checks', async () => {
+    const health = await fetch(`${running.url}/healthz`);
+    assert.equal(health.status, 200);
+    assert.deepEqual(await health.json(), { status: 'ok' });
+
+    const ready = await fetch(`${running.url}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.deepEqual(await ready.json(), { status: 'ready' });
+  });
+
+  it('refuses to start a second server', async () => {
+    await assert.rejects(startServer({ port: 0 }), /already running/);
+  });
+
+  it('lets in-flight requests finish when stopping, then refuses connections', async () => {
+    const token = await register(running.url);
+    const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+    // An open event stream never finishes; stopping ends it
+    const stream = await fetch(`${running.url}/api/v1/events`, { headers });
+    assert.equal(stream.status, 200);
+
+    // A request whose body is still arriving when the server starts stopping
+    const body = JSON.stringify({ title: 'Sent during shutdown' });
+    const request = http.request(`${running.url}/api/v1/todos`, { method: 'POST', headers });
+    const response = new Promise((resolve, reject) => {
+      request.once('response', resolve);
+      request.once('error', reject);
+    });
+    request.write(body.slice(0, 10));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const stopping = Date.now();
+    const stopped = running.stop();
+    await assert.rejects(fetch(`${running.url}/readyz`), undefined, 'new connections are refused');
+    request.end(body.slice(10));
+    const answered = await response;
+    assert.equal(answered.statusCode, 201);
+    assert.equal(answered.headers.connection, 'close', 'the in-flight request is not kept alive');
+    answered.resume();
+    await stream.text();
+    await stopped;
+    // Well inside the 5 second keep-alive timeout a kept-alive connection would wait for
+    assert.ok(Date.now() - stopping < 3000, `stopping took ${Date.now() - stopping}ms`);
+    await assert.rejects(fetch(`${running.url}/healthz`));
+  });
+
+  it('can start again after stopping', async () => {
+    running = await startServer({ port: 0 });
+    assert.equal((await fetch(`${running.url}/readyz`)).status, 200);
+  });
+});
+
+async function register(url) {
+  const response = await fetch(`${url}/api/v1/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'lifecycle', password: 'lifecycle-secret' })
+  });
+  return (await response.json()).data.token;
+}
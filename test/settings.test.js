@@ -0,0 +1,102 @@
+// Tests for loadSettings() in config/settings.js
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadSettings } = require('../config/settings');
+
+let tmpDir;
+
+// Write a config file and return its path
+function configFile(contents) {
+  const file = path.join(tmpDir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+// The problems of the ConfigError that loading throws
+function problems(env) {
+  try {
+    loadSettings(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    return error.problems;
+  }
+  assert.fail('Expected a ConfigError');
+}
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-settings-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('loadSettings', () => {
+  it('uses the defaults without an environment or config file', () => {
+    const settings = loadSettings({});
+    assert.equal(settings.port, 3000);
+    assert.equal(settings.storage, 'sqlite');
+    assert.equal(settings.logLevel, 'info');
+    assert.deepEqual(settings.corsOrigins, []);
+    assert.equal(settings.webhookAllowPrivate, false);
+    assert.ok(Object.isFrozen(settings));
+  });
+
+  it('parses environment variables', () => {
+    const settings = loadSettings({
+      PORT: '8080',
+      STORAGE: 'memory',
+      CORS_ORIGINS: 'https://a.example.com, https://b.example.com',
+      TRUST_PROXY: '2',
+      WEBHOOK_ALLOW_PRIVATE: 'true',
+      // Empty variables count as unset
+      LOG_LEVEL: ''
+    });
+    assert.equal(settings.port, 8080);
+    assert.equal(settings.storage, 'memory');
+    assert.deepEqual(settings.corsOrigins, ['https://a.example.com', 'https://b.example.com']);
+    assert.equal(settings.trustProxy, 2);
+    assert.equal(settings.webhookAllowPrivate, true);
+    assert.equal(settings.logLevel, 'info');
+  });
+
+  it('reads the config file, with environment variables taking precedence', () => {
+    const file = configFile({ port: 8080, logLevel: 'warn', corsOrigins: ['*'] });
+    const settings = loadSettings({ CONFIG_FILE: file, LOG_LEVEL: 'debug' });
+    assert.equal(settings.port, 8080);
+    assert.equal(settings.logLevel, 'debug');
+    assert.deepEqual(settings.corsOrigins, ['*']);
+  });
+
+  it('rejects unknown keys in the config file', () => {
+    const file = configFile({ prot: 8080 });
+    const [problem] = problems({ CONFIG_FILE: file });
+    assert.match(problem, /^prot \(in .+\): is not a setting; known settings are port, /);
+  });
+
+  it('lists every invalid value at once, naming where each came from', () => {
+    const file = configFile({ logLevel: 'loud' });
+    const found = problems({ CONFIG_FILE: file, PORT: '70000', BODY_LIMIT: 'lots', CORS_ORIGINS: 'example.com' });
+    assert.equal(found.length, 4);
+    assert.ok(found.includes('PORT: must be an integer from 0 to 65535'));
+    assert.ok(found.includes('BODY_LIMIT: must be a size such as 100kb or 1mb'));
+    assert.ok(found.some(problem => /^CORS_ORIGINS: "example.com" is not an origin/.test(problem)));
+    assert.ok(found.includes(`logLevel (in ${file}): must be one of: silent, error, warn, info, debug`));
+
+    assert.throws(() => loadSettings({ PORT: 'x', STORAGE: 'disk' }), (error) => {
+      assert.match(error.message, /^Invalid configuration:\n {2}- PORT: .+\n {2}- STORAGE: .+$/);
+      return true;
+    });
+  });
+
+  it('rejects a config file that is unreadable or not a JSON object', () => {
+    assert.match(problems({ CONFIG_FILE: path.join(tmpDir, 'missing.json') })[0], /could not be read/);
+    assert.match(problems({ CONFIG_FILE: configFile('{ not json') })[0], /could not be read/);
+    assert.match(problems({ CONFIG_FILE: configFile([1, 2]) })[0], /must contain a JSON object/);
+  });
+});
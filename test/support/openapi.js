@@ -0,0 +1,180 @@
+// Check HTTP responses against docs/openapi.js. Supports the parts of JSON
+// Schema the document uses: $ref, allOf, anyOf, enum, type (one or several),
+// required, properties, additionalProperties, items, minItems/maxItems,
+// minLength/maxLength, pattern and minimum/maximum.
+//
+// Checks are strict: an object may only carry properties the schema documents
+// (unless it sets additionalProperties), so undocumented fields fail too.
+
+function resolve(spec, schema) {
+  let current = schema;
+  while (current && current.$ref) {
+    const [, section, name] = current.$ref.match(/^#\/components\/(\w+)\/(.+)$/);
+    current = spec.components[section][name];
+  }
+  return current;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number';
+    case 'string': return typeof value === 'string';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+// Every property name a schema documents, including those of its allOf parts
+function documentedProperties(spec, schema, names = new Set()) {
+  const resolved = resolve(spec, schema);
+  Object.keys(resolved.properties || {}).forEach(name => names.add(name));
+  (resolved.allOf || []).forEach(part => documentedProperties(spec, part, names));
+  return names;
+}
+
+function allowsExtraProperties(spec, schema) {
+  const resolved = resolve(spec, schema);
+  return (resolved.additionalProperties !== undefined && resolved.additionalProperties !== false) ||
+    (resolved.allOf || []).some(part => allowsExtraProperties(spec, part));
+}
+
+// Collect "path: problem" messages for everything wrong with value. `partial`
+// skips the undocumented-property check, for allOf parts that only describe
+// some of the object.
+function check(spec, schema, value, path, errors, partial = false) {
+  const resolved = resolve(spec, schema);
+  if (!resolved) {
+    return;
+  }
+
+  if (resolved.allOf) {
+    resolved.allOf.forEach(part => check(spec, part, value, path, errors, true));
+  }
+  if (resolved.anyOf) {
+    const matches = resolved.anyOf.some((option) => {
+      const optionErrors = [];
+      check(spec, option, value, path, optionErrors, partial);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push(`${path}: matches none of the allowed schemas`);
+      return;
+    }
+  }
+  if (resolved.enum && !resolved.enum.some(allowed => allowed === value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${JSON.stringify(resolved.enum)}`);
+    return;
+  }
+  if (resolved.type) {
+    const types = [].concat(resolved.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${JSON.stringify(value)}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      errors.push(`${path}: shorter than ${resolved.minLength}`);
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      errors.push(`${path}: longer than ${resolved.maxLength}`);
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      errors.push(`${path}: does not match ${resolved.pattern}`);
+    }
+  } else if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push(`${path}: below ${resolved.minimum}`);
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push(`${path}: above ${resolved.maximum}`);
+    }
+  } else if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      errors.push(`${path}: fewer than ${resolved.minItems} items`);
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      errors.push(`${path}: more than ${resolved.maxItems} items`);
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => check(spec, resolved.items, item, `${path}[${index}]`, errors));
+    }
+  } else if (matchesType('object', value)) {
+    (resolved.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (resolved.properties && resolved.properties[name]) {
+        check(spec, resolved.properties[name], item, `${path}.${name}`, errors);
+      } else if (matchesType('object', resolved.additionalProperties)) {
+        check(spec, resolved.additionalProperties, item, `${path}.${name}`, errors);
+      }
+    });
+    if (!partial && !allowsExtraProperties(spec, resolved)) {
+      const documented = documentedProperties(spec, resolved);
+      if (documented.size > 0 || resolved.additionalProperties === false) {
+        Object.keys(value)
+          .filter(name => !documented.has(name))
+          .forEach(name => errors.push(`${path}.${name}: is not documented`));
+      }
+    }
+  }
+}
+
+// The operation documenting a request, e.g. ('put', '/api/todos/3?x=1').
+// Literal path segments win over templated ones, so /todos/trash isn't /todos/{id}.
+function findOperation(spec, method, url) {
+  const server = spec.servers[0].url;
+  const pathname = new URL(url, 'http://localhost').pathname;
+  if (!pathname.startsWith(server)) {
+    return null;
+  }
+  const path = pathname.slice(server.length);
+
+  const templates = Object.keys(spec.paths).sort((a, b) => {
+    return (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length;
+  });
+  const template = templates.find((candidate) => {
+    const pattern = candidate.replace(/\{[^}]+\}/g, '[^/]+');
+    return new RegExp(`^${pattern}$`).test(path);
+  });
+  return template ? spec.paths[template][method.toLowerCase()] || null : null;
+}
+
+// Everything wrong with a response, as a list of messages (empty if it matches)
+function responseErrors(spec, { method, url, status, contentType, body }) {
+  const operation = findOperation(spec, method, url);
+  if (!operation) {
+    return [`${method.toUpperCase()} ${url} is not documented`];
+  }
+  const response = resolve(spec, operation.responses[status]);
+  if (!response) {
+    return [`${operation.operationId}: status ${status} is not documented`];
+  }
+  if (!response.content) {
+    return body === undefined || body === '' ? [] : [`${operation.operationId} ${status}: expected no body`];
+  }
+
+  const mediaType = (contentType || '').split(';')[0].trim();
+  const media = response.content[mediaType];
+  if (!media) {
+    return [`${operation.operationId} ${status}: ${mediaType || 'no content type'} is not documented`];
+  }
+  const errors = [];
+  if (mediaType === 'application/json') {
+    check(spec, media.schema, body, `${operation.operationId} ${status} body`, errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  findOperation,
+  responseErrors
+};
@@ -0,0 +1,68 @@
+// Start the real server in a child process, on a free port and with an
+// empty in-memory database, for tests that talk to it over HTTP.
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const START_TIMEOUT_MS = 10 * 1000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves to { baseUrl, stop } once the server is accepting requests. `env`
+// adds to or overrides its environment, e.g. to use an SQLite file.
+async function startServer({ env = {} } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), DB_PATH: ':memory:', LOG_LEVEL: 'info', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start:\n${output}`));
+    }, START_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server is running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    baseUrl: `http://localhost:${port}`,
+    stop() {
+      return new Promise((resolve) => {
+        child.removeAllListeners('exit');
+        if (child.exitCode !== null) {
+          resolve();
+          return;
+        }
+        child.once('exit', () => resolve());
+        child.kill('SIGINT');
+      });
+    }
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,212 @@
+// Tests for the todo repositories on their own, without the HTTP layer. The
+// same tests run against the SQLite repository (on an in-memory database) and
+// the in-memory one, so they behave alike.
+//
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+const database = require('../config/database');
+const { createTodoRepository } = require('../repositories/todoRepository');
+const MemoryTodoRepository = require('../repositories/memoryTodoRepository');
+const SqliteTodoRepository = require('../repositories/sqliteTodoRepository');
+const { ensureDefaultList } = require('../services/lists');
+const { parseListQuery, validateNewTodo } = require('../services/todos');
+
+// How to set up each storage: open() resolves to { repo, addUser, defaultList }
+const STORAGES = {
+  sqlite: {
+    async open() {
+      await database.connect();
+      return {
+        repo: createTodoRepository({ storage: 'sqlite' }),
+        async addUser(username) {
+          const { lastID } = await database.run(
+            'INSERT INTO users (username, password_hash) VALUES (?, ?)',
+            [username, 'not-a-real-hash']
+          );
+          return lastID;
+        },
+        defaultList: userId => ensureDefaultList(database, userId)
+      };
+    },
+    close: () => database.close()
+  },
+  memory: {
+    async open() {
+      let users = 0;
+      return {
+        repo: createTodoRepository({ storage: 'memory' }),
+        addUser: async () => ++users,
+        // There are no lists here; any id will do
+        defaultList: async () => 1
+      };
+    },
+    close: async () => {}
+  }
+};
+
+describe('createTodoRepository', () => {
+  it('picks the implementation from the storage setting', () => {
+    assert.ok(createTodoRepository({ storage: 'sqlite' }) instanceof SqliteTodoRepository);
+    assert.ok(createTodoRepository({ storage: 'memory' }) instanceof MemoryTodoRepository);
+  });
+});
+
+Object.entries(STORAGES).forEach(([storage, { open, close }]) => {
+  describe(`TodoRepository (${storage})`, () => {
+    let repo;
+    let addUser;
+    let userId;
+    let listId;
+
+    function create(fields, owner = userId) {
+      const { values } = validateNewTodo({ title: 'Write the report', ...fields });
+      return repo.create(owner, listId, values);
+    }
+
+    function list(query = {}, owner = userId) {
+      return repo.list(owner, parseListQuery(query).filter);
+    }
+
+    before(async () => {
+      let defaultList;
+      ({ repo, addUser, defaultList } = await open());
+      userId = await addUser('repository');
+      listId = await defaultList(userId);
+    });
+
+    after(close);
+
+    it('creates todos and returns them as the API sends them', async () => {
+      const todo = await create({ title: 'Tagged', tags: ['work'], priority: 'high' });
+      assert.equal(todo.title, 'Tagged');
+      assert.equal(todo.completed, 0);
+      assert.equal(todo.priority, 'high');
+      assert.deepEqual(todo.tags.map(tag => tag.name), ['work']);
+      assert.equal(todo.list_id, listId);
+      assert.equal(todo.version, 1);
+      assert.deepEqual(todo.progress, { total: 0, completed: 0, percent: 0 });
+      assert.equal(todo.recurrence, null);
+      assert.deepEqual(await repo.get(userId, todo.id), todo);
+    });
+
+    it('only shows a user their own todos', async () => {
+      const todo = await create({ title: 'Private' });
+      const otherId = await addUser('someone-else');
+      assert.equal(await repo.get(otherId, todo.id), undefined);
+      assert.equal((await list({}, otherId)).total, 0);
+    });
+
+    it('lists todos with filters, counts and paging', async () => {
+      await create({ title: 'Find the needle' });
+      const done = await create({ title: 'Another NEEDLE' });
+      await repo.update(userId, done.id, { completed: true });
+
+      const { todos, total, counts } = await list({ q: 'needle', completed: 'false' });
+      assert.deepEqual(todos.map(todo => todo.title), ['Find the needle']);
+      assert.equal(total, 1);
+      assert.equal(counts.total, 2);
+      assert.equal(counts.completed, 1);
+      assert.equal(counts.pending, 1);
+
+      const page = await list({ q: 'needle', sort: 'id', order: 'asc', limit: '1', offset: '1' });
+      assert.deepEqual(page.todos.map(todo => todo.title), ['Another NEEDLE']);
+    });
+
+    it('filters by tag and due date, and sorts by priority', async () => {
+      const urgent = await create({ title: 'Tagged urgent', tags: ['Errand', 'home'], priority: 'urgent' });
+      const low = await create({ title: 'Tagged low', tags: ['errand'], priority: 'low', due_at: '2000-01-01T00:00:00Z' });
+
+      const tagged = await list({ tag: ['errand'], sort: 'priority', order: 'desc' });
+      assert.deepEqual(tagged.todos.map(todo => todo.id), [urgent.id, low.id]);
+      assert.deepEqual((await list({ tag: ['errand', 'home'] })).todos.map(todo => todo.id), [urgent.id]);
+      // Tags are the user's, matched without regard to case
+      assert.equal(low.tags[0].id, urgent.tags.find(tag => tag.name === 'Errand').id);
+
+      const overdue = await list({ due: 'overdue', tag: ['errand'] });
+      assert.deepEqual(overdue.todos.map(todo => todo.id), [low.id]);
+      assert.equal(overdue.counts.overdue, 1);
+      assert.deepEqual(await repo.findIds(userId, { tags: ['errand'] }, 10), [urgent.id, low.id]);
+    });
+
+    it('updates a todo and returns the saved version', async () => {
+      const todo = await create();
+      const updated = await repo.update(userId, todo.id, { title: 'Renamed', tags: ['home'] });
+      assert.equal(updated.title, 'Renamed');
+      assert.deepEqual(updated.tags.map(tag => tag.name), ['home']);
+      assert.equal(updated.version, todo.version + 1);
+      assert.equal(await repo.update(userId, 999999, { title: 'Missing' }), undefined);
+    });
+
+    it('changes and retags several todos at once', async () => {
+      const first = await create({ tags: ['old'] });
+      const second = await create();
+      await repo.updateMany(userId, [first.id, second.id], { completed: true });
+      assert.equal(await repo.retag(userId, [first.id, second.id], { add: ['new'], remove: ['OLD'] }), null);
+
+      const [one, two] = await repo.getMany(userId, [second.id, first.id]);
+      assert.deepEqual([one.id, two.id], [first.id, second.id]);
+      assert.deepEqual(one.tags.map(tag => tag.name), ['new']);
+      assert.equal(one.completed, 1);
+      assert.equal(two.version, second.version + 2);
+
+      const crowded = await create({ tags: Array.from({ length: 20 }, (value, index) => `tag-${index}`) });
+      assert.equal(await repo.retag(userId, [first.id, crowded.id], { add: ['one-too-many'] }), crowded.id);
+    });
+
+    it('moves todos through the trash', async () => {
+      const todo = await create();
+      assert.equal(await repo.delete(userId, todo.id), 1);
+      assert.equal(await repo.get(userId, todo.id), undefined);
+      assert.ok((await repo.get(userId, todo.id, { includeTrashed: true })).deleted_at);
+      assert.ok((await repo.trash(userId)).some(entry => entry.id === todo.id));
+
+      assert.equal((await repo.restore(userId, todo.id)).deleted_at, null);
+      await repo.delete(userId, todo.id);
+      assert.equal(await repo.purge(userId, todo.id), 1);
+      assert.equal(await repo.get(userId, todo.id, { includeTrashed: true }), undefined);
+    });
+
+    it('moves todos in the manual order', async () => {
+      const first = await create({ title: 'First' });
+      const second = await create({ title: 'Second' });
+      // New todos go to the top
+      assert.ok(second.position < first.position);
+
+      const moved = await repo.move(userId, second.id, { after: first.id });
+      assert.ok(moved.position > first.position);
+      const top = await repo.move(userId, second.id, { after: null });
+      const { todos } = await list({ sort: 'position', order: 'asc', limit: '1' });
+      assert.equal(todos[0].id, top.id);
+    });
+
+    it('rolls back everything a failed transaction did', async () => {
+      const todo = await create({ title: 'Before' });
+      let added;
+      await assert.rejects(repo.transaction(async (tx) => {
+        await tx.update(userId, todo.id, { title: 'During', tags: ['rolled-back'] });
+        added = await tx.create(userId, listId, validateNewTodo({ title: 'Added during' }).values);
+        assert.equal((await tx.get(userId, todo.id)).title, 'During');
+        throw new Error('Roll back');
+      }), /Roll back/);
+      const unchanged = await repo.get(userId, todo.id);
+      assert.equal(unchanged.title, 'Before');
+      assert.deepEqual(unchanged.tags, []);
+      assert.equal(await repo.get(userId, added.id, { includeTrashed: true }), undefined);
+    });
+
+    it('runs transactions one at a time', async () => {
+      const todo = await create({ title: 'Counter' });
+      const bump = () => repo.transaction(async (tx) => {
+        const { version } = await tx.get(userId, todo.id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return (await tx.update(userId, todo.id, { title: `Version ${version + 1}` })).title;
+      });
+      const titles = await Promise.all([bump(), bump(), repo.get(userId, todo.id).then(current => current.title)]);
+      assert.deepEqual(titles, ['Version 2', 'Version 3', 'Version 3']);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// Tests for the webhook target checks in services/webhooks.js, with the
+// default settings (private targets refused)
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, validateWebhookUrl, publicLookup } = require('../services/webhooks');
+
+describe('isPrivateAddress', () => {
+  it('matches loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('does not match public addresses', () => {
+    for (const address of ['93.184.215.14', '172.32.0.1', '2606:4700::1111']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('validateWebhookUrl', () => {
+  it('refuses loopback, private and link-local targets', () => {
+    for (const url of ['http://localhost:8080/hook', 'http://api.localhost/hook', 'http://127.0.0.1/hook',
+      'http://[::1]/hook', 'http://169.254.169.254/latest', 'https://10.0.0.1/hook', 'http://2130706433/hook']) {
+      assert.equal(validateWebhookUrl(url), 'url must not point to a loopback, private or link-local address', url);
+    }
+  });
+
+  it('accepts public targets', () => {
+    assert.equal(validateWebhookUrl('https://example.com/hook'), null);
+    assert.equal(validateWebhookUrl('http://93.184.215.14/hook'), null);
+  });
+});
+
+describe('publicLookup', () => {
+  it('refuses a host name that resolves to a private address', async () => {
+    const error = await new Promise(resolve => publicLookup('localhost', { all: true }, resolve));
+    assert.match(error.message, /^localhost resolves to .+, a private address$/);
+  });
+});
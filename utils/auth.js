@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+
+// Hash a password with scrypt. The result is stored as "scrypt$<salt>$<hash>".
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(`scrypt$${salt}$${key.toString('hex')}`);
+      }
+    });
+  });
+}
+
+// Check a password against a stored hash in constant time
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      resolve(false);
+      return;
+    }
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+      }
+    });
+  });
+}
+
+// Bearer tokens are random; only their SHA-256 digest is stored
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reading and writing
+
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format one row (an array of values) as a CSV line, including the line break
+function formatRow(values) {
+  return `${values.map(formatField).join(',')}\r\n`;
+}
+
+// Parse CSV text into an array of rows, each an array of strings. Blank lines are skipped.
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Skip a UTF-8 byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = {
+  formatRow,
+  parse
+};
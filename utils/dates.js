@@ -0,0 +1,69 @@
+// Date helpers for due dates. Due dates are stored as UTC ISO 8601 strings
+// (e.g. "2026-01-31T17:00:00.000Z") so they compare correctly as text in SQL.
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Normalize a date string to a UTC ISO string, or return null if it cannot be parsed
+function toIsoString(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Milliseconds the given time zone is ahead of UTC at the given instant
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// The wall-clock time in `timeZone` at the instant `date`, expressed as if it
+// were UTC (so getUTCHours() etc. read the local time)
+function toWallClock(date, timeZone) {
+  return date.getTime() + timeZoneOffset(date.getTime(), timeZone);
+}
+
+// The instant at which clocks in `timeZone` show the given wall-clock time,
+// where `wallClock` is that time expressed as if it were UTC (e.g. from Date.UTC)
+function fromWallClock(wallClock, timeZone) {
+  // Correct twice so times near a DST transition land on the right instant
+  let result = wallClock - timeZoneOffset(wallClock, timeZone);
+  result = wallClock - timeZoneOffset(result, timeZone);
+  return new Date(result);
+}
+
+// Midnight at the start of the day containing `date` in `timeZone`, plus `addDays` days
+function startOfDay(date, timeZone, addDays = 0) {
+  const local = new Date(toWallClock(date, timeZone));
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + addDays);
+  return fromWallClock(midnight, timeZone);
+}
+
+module.exports = {
+  isValidTimeZone,
+  toIsoString,
+  toWallClock,
+  fromWallClock,
+  startOfDay
+};
@@ -0,0 +1,41 @@
+// The body of every successful API response. From v1 on, the resource (or
+// list of resources) is always under `data`, with an optional human-readable
+// `message` and `meta` for anything else, such as pagination:
+//   { "data": { "id": 1, ... }, "message": "Todo created successfully" }
+// Errors keep their own shape (see utils/errors.js).
+//
+// The unversioned /api paths answer in the shapes they had before v1: objects
+// with the message and meta fields mixed in, and arrays as they are. Routes
+// whose old shape doesn't follow that pattern pass it as `legacy`.
+function envelope(data, { message, meta } = {}) {
+  const body = { data };
+  if (message) {
+    body.message = message;
+  }
+  if (meta) {
+    body.meta = meta;
+  }
+  return body;
+}
+
+function legacyBody(data, { message, meta, legacy } = {}) {
+  if (legacy !== undefined) {
+    return legacy;
+  }
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return { ...data, ...meta, ...(message ? { message } : {}) };
+}
+
+// Answer with data in the shape of the API version the request came in on
+// (req.apiVersion, set by middleware/versioning.js)
+function respond(req, res, data, { status = 200, ...options } = {}) {
+  const body = req.apiVersion === 'legacy' ? legacyBody(data, options) : envelope(data, options);
+  res.status(status).json(body);
+}
+
+module.exports = {
+  envelope,
+  respond
+};
@@ -0,0 +1,47 @@
+// The body of every API error response:
+//   { "error": { "code": "validation_failed", "message": "...", "fields": { "title": "is required" } } }
+// `code` is a stable machine-readable name; `fields` is only present when
+// particular request fields were at fault.
+const logger = require('./logger');
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  500: 'internal_error'
+};
+
+function errorCode(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+function errorBody(status, message, { code, fields } = {}) {
+  const error = { code: code || errorCode(status), message };
+  if (fields && Object.keys(fields).length > 0) {
+    error.fields = fields;
+  }
+  return { error };
+}
+
+// Answer an unexpected error with a plain 500, since its message may hold SQL
+// or file paths, and log it in full under the request id the client was given
+function internalError(req, res, error) {
+  logger.error('Request failed', {
+    request_id: req.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    error
+  });
+  res.status(500).json(errorBody(500, 'Internal server error'));
+}
+
+module.exports = {
+  errorCode,
+  errorBody,
+  internalError
+};
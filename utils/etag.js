@@ -0,0 +1,29 @@
+// Entity tags for todos. A todo's ETag is its version number. List responses
+// get a weak tag of their whole content, since they also reflect checklist
+// progress and tag renames, which don't change todo versions.
+const crypto = require('crypto');
+
+function todoEtag(todo) {
+  return `"${todo.version}"`;
+}
+
+function listEtag(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+// Whether an If-Match header allows changing the todo. A missing header always
+// matches; weak tags never do, since If-Match uses strong comparison.
+function ifMatches(header, todo) {
+  if (header === undefined) {
+    return true;
+  }
+  const tags = header.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(todoEtag(todo));
+}
+
+module.exports = {
+  todoEtag,
+  listEtag,
+  ifMatches
+};
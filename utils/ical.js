@@ -0,0 +1,207 @@
+// Minimal iCalendar (RFC 5545) support for exporting and importing todos as VTODO components
+const { fromWallClock, isValidTimeZone } = require('./dates');
+
+const PRODUCT_ID = '-//Todo App//Todo Export//EN';
+const MAX_LINE_OCTETS = 75;
+// PRIORITY runs from 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// A document parseTodos can't read; its message is meant for the client
+class IcalParseError extends Error {}
+
+function parsePriority(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 9) return undefined;
+  if (number <= 2) return 'urgent';
+  if (number <= 4) return 'high';
+  return number === 5 ? 'medium' : 'low';
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a content line into 75-octet chunks joined by CRLF + space, without breaking UTF-8 characters
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      limit = MAX_LINE_OCTETS - 1; // continuation lines start with a space
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return `${chunks.join('\r\n ')}\r\n`;
+}
+
+// Format an ISO string or SQLite timestamp ("YYYY-MM-DD HH:MM:SS", UTC) as a UTC date-time
+function formatDateTime(value) {
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} /.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function calendarStart() {
+  return foldLine('BEGIN:VCALENDAR') + foldLine('VERSION:2.0') + foldLine(`PRODID:${PRODUCT_ID}`);
+}
+
+function calendarEnd() {
+  return foldLine('END:VCALENDAR');
+}
+
+// Format a todo (with `tags` as an array of names) as a VTODO component
+function formatTodo(todo, host) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:todo-${todo.id}@${host}`,
+    `DTSTAMP:${formatDateTime(new Date().toISOString())}`,
+    `CREATED:${formatDateTime(todo.created_at)}`,
+    `LAST-MODIFIED:${formatDateTime(todo.updated_at)}`,
+    `SUMMARY:${escapeText(todo.title)}`
+  ];
+  if (todo.description) {
+    lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  }
+  if (todo.due_at) {
+    lines.push(`DUE:${formatDateTime(todo.due_at)}`);
+  }
+  if (PRIORITY_VALUES[todo.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_VALUES[todo.priority]}`);
+  }
+  if (todo.tags.length > 0) {
+    lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  }
+  lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`, 'END:VTODO');
+  return lines.map(foldLine).join('');
+}
+
+// Split "NAME;PARAM=a;PARAM2="x:y":value" into its name, params and value
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Convert a DUE value to an ISO string. Values that can't be read are returned
+// unchanged so validation reports them.
+function parseDue(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (!utc && timeZone) {
+    return fromWallClock(wallClock, timeZone).toISOString();
+  }
+  // UTC times, and "floating" times with no zone, are read as UTC
+  return new Date(wallClock).toISOString();
+}
+
+// Parse an iCalendar document into todo fields (title, description, completed,
+// due_at, due_tz, priority, tags), one object per VTODO. Other components are ignored.
+function parseTodos(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new IcalParseError('Not an iCalendar document');
+  }
+
+  const todos = [];
+  let todo = null;
+  let depth = 0; // nesting inside the current VTODO, e.g. VALARM
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (todo) {
+        depth++;
+      } else if (value.toUpperCase() === 'VTODO') {
+        todo = { completed: false, tags: [] };
+      }
+      return;
+    }
+    if (name === 'END' && todo) {
+      if (depth > 0) {
+        depth--;
+      } else {
+        todos.push(todo);
+        todo = null;
+      }
+      return;
+    }
+    if (!todo || depth > 0) {
+      return;
+    }
+
+    if (name === 'SUMMARY') {
+      todo.title = unescapeText(value);
+    } else if (name === 'DESCRIPTION') {
+      todo.description = unescapeText(value);
+    } else if (name === 'STATUS') {
+      todo.completed = value.toUpperCase() === 'COMPLETED';
+    } else if (name === 'COMPLETED') {
+      todo.completed = true;
+    } else if (name === 'PRIORITY') {
+      todo.priority = parsePriority(value);
+    } else if (name === 'CATEGORIES') {
+      value.split(/(?<!\\),/).forEach(tag => {
+        if (tag.trim() !== '') {
+          todo.tags.push(unescapeText(tag).trim());
+        }
+      });
+    } else if (name === 'DUE') {
+      const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : null;
+      todo.due_at = parseDue(value, timeZone);
+      if (timeZone) {
+        todo.due_tz = timeZone;
+      }
+    }
+  });
+
+  if (todo) {
+    throw new IcalParseError('Invalid iCalendar: a VTODO is never closed with END:VTODO');
+  }
+  return todos;
+}
+
+module.exports = {
+  IcalParseError,
+  calendarStart,
+  calendarEnd,
+  formatTodo,
+  parseTodos
+};
@@ -0,0 +1,63 @@
+// Server log output, filtered by the logLevel setting (LOG_LEVEL): each level
+// also shows the ones before it in silent, error, warn, info, debug.
+//
+// Every entry is a message plus optional fields, written as one JSON object
+// per line (logFormat "json", the default) or as readable text ("text"):
+//
+//   logger.info('Request completed', { request_id: 'abc', status: 200 })
+//   {"time":"2026-10-19T09:00:00.000Z","level":"info","msg":"Request completed","request_id":"abc","status":200}
+//
+// Errors in fields are logged with their stack. Errors and warnings go to
+// stderr, the rest to stdout.
+const { LOG_LEVELS, getSettings } = require('../config/settings');
+
+function enabled(level) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(getSettings().logLevel);
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  return serialized;
+}
+
+function formatText({ time, level, msg, ...fields }) {
+  const stacks = [];
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value && value.stack) {
+      stacks.push(value.stack);
+      return `${key}=${JSON.stringify(value.message)}`;
+    }
+    return `${key}=${typeof value === 'string' && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value)}`;
+  });
+  return [`${time} ${level.toUpperCase()} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`, ...stacks].join('\n');
+}
+
+function write(level, message, fields = {}) {
+  if (!enabled(level)) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+  });
+  const line = getSettings().logFormat === 'text' ? formatText(entry) : JSON.stringify(entry);
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+const logger = {
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields)
+};
+
+module.exports = logger;
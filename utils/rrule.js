@@ -0,0 +1,169 @@
+// Recurrence rules for repeating todos: a small subset of the iCalendar RRULE
+// (FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY for weekly rules, UNTIL or COUNT).
+// Occurrences are computed on the wall clock of the series' time zone, so a
+// 09:00 standup stays at 09:00 across DST changes.
+const { toIsoString, toWallClock, fromWallClock } = require('./dates');
+
+const RULE_FIELDS = ['freq', 'interval', 'by_weekday', 'until', 'count'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE dates look like 20261231T170000Z or 20261231 (read as the end of that day, UTC)
+function fromRruleDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+}
+
+// Read "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10" (optionally prefixed
+// with "RRULE:") into the object form parseRecurrence accepts
+function fromRruleString(text) {
+  const rule = {};
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value = ''] = part.split('=');
+    const name = key.trim().toUpperCase();
+    if (name === 'FREQ') rule.freq = value.toLowerCase();
+    else if (name === 'INTERVAL') rule.interval = Number(value);
+    else if (name === 'BYDAY') rule.by_weekday = value.split(',');
+    else if (name === 'COUNT') rule.count = Number(value);
+    else if (name === 'UNTIL') rule.until = fromRruleDate(value);
+    else rule[name] = value; // Reported as unsupported below
+  });
+  return rule;
+}
+
+// Validate a recurrence from a request body, given as an RRULE string or as
+// { freq, interval, by_weekday, until, count }. Returns { error } or { rule }
+// in the normalized object form.
+function parseRecurrence(input) {
+  const source = typeof input === 'string' ? fromRruleString(input) : input;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { error: 'recurrence must be an RRULE string or an object' };
+  }
+
+  const unknown = Object.keys(source).find(key => !RULE_FIELDS.includes(key));
+  if (unknown) {
+    return { error: `recurrence does not support ${unknown}` };
+  }
+
+  const freq = typeof source.freq === 'string' ? source.freq.toLowerCase() : source.freq;
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `recurrence freq must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = source.interval === undefined ? 1 : source.interval;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `recurrence interval must be an integer between 1 and ${MAX_INTERVAL}` };
+  }
+
+  let byWeekday = null;
+  if (source.by_weekday !== undefined && source.by_weekday !== null) {
+    if (freq !== 'weekly') {
+      return { error: 'recurrence by_weekday only applies to weekly rules' };
+    }
+    const days = Array.isArray(source.by_weekday)
+      ? source.by_weekday.map(day => String(day).trim().toUpperCase())
+      : [];
+    if (days.length === 0 || !days.every(day => WEEKDAYS.includes(day))) {
+      return { error: `recurrence by_weekday must be a list of: ${WEEKDAYS.join(', ')}` };
+    }
+    byWeekday = WEEKDAYS.filter(day => days.includes(day));
+  }
+
+  const hasUntil = source.until !== undefined && source.until !== null;
+  const hasCount = source.count !== undefined && source.count !== null;
+  if (hasUntil && hasCount) {
+    return { error: 'recurrence can end on a date (until) or after a count, not both' };
+  }
+
+  let until = null;
+  if (hasUntil) {
+    until = toIsoString(source.until);
+    if (!until) {
+      return { error: 'recurrence until must be an ISO 8601 date' };
+    }
+  }
+
+  let count = null;
+  if (hasCount) {
+    if (!Number.isInteger(source.count) || source.count < 1 || source.count > MAX_COUNT) {
+      return { error: `recurrence count must be an integer between 1 and ${MAX_COUNT}` };
+    }
+    count = source.count;
+  }
+
+  return { rule: { freq, interval, by_weekday: byWeekday, until, count } };
+}
+
+// The RRULE string for a normalized rule
+function formatRrule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.by_weekday) parts.push(`BYDAY=${rule.by_weekday.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Wall-clock time of the occurrence `steps` after the anchor (steps >= 0)
+function stepWallClock(rule, anchor, steps) {
+  const start = new Date(anchor);
+
+  if (rule.freq === 'daily') {
+    return anchor + steps * rule.interval * DAY_MS;
+  }
+
+  if (rule.freq === 'monthly') {
+    // Keep the anchor's day of the month, or the month's last day when it is shorter
+    const month = start.getUTCMonth() + steps * rule.interval;
+    const year = start.getUTCFullYear() + Math.floor(month / 12);
+    const monthIndex = ((month % 12) + 12) % 12;
+    const day = Math.min(start.getUTCDate(), daysInMonth(year, monthIndex));
+    return Date.UTC(year, monthIndex, day, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds());
+  }
+
+  if (!rule.by_weekday) {
+    return anchor + steps * 7 * rule.interval * DAY_MS;
+  }
+
+  // Weekly on set weekdays: walk the anchor's week, then every `interval`th week.
+  // The anchor itself is always the first occurrence, even on another weekday.
+  const weekday = (start.getUTCDay() + 6) % 7; // Monday = 0
+  const weekStart = anchor - weekday * DAY_MS;
+  const days = rule.by_weekday.map(day => WEEKDAYS.indexOf(day));
+  let remaining = steps;
+  let time = anchor;
+  for (let week = 0; remaining > 0; week += rule.interval) {
+    for (const day of days) {
+      const candidate = weekStart + (week * 7 + day) * DAY_MS;
+      if (candidate > anchor && remaining > 0) {
+        time = candidate;
+        remaining--;
+      }
+    }
+  }
+  return time;
+}
+
+// The due date (ISO string) of the occurrence `steps` after the anchor date,
+// counted in the given time zone
+function occurrenceDate(rule, anchorAt, timeZone, steps) {
+  const anchor = toWallClock(new Date(anchorAt), timeZone);
+  return fromWallClock(stepWallClock(rule, anchor, steps), timeZone).toISOString();
+}
+
+module.exports = {
+  parseRecurrence,
+  formatRrule,
+  occurrenceDate
+};
@@ -0,0 +1,177 @@
+// Declarative request schemas. A schema maps field names to rules:
+//   type       'string', 'integer', 'number', 'boolean', 'array', 'object', 'id'
+//              (a positive integer, also accepted as digits from a path or query
+//              string) or 'bodyId' (an id in a JSON body, which must be a positive
+//              integer); an array of types allows any of them
+//   required   the field must be present
+//   nullable   null is allowed
+//   enum       the allowed values
+//   minLength, maxLength   string length, ignoring surrounding whitespace
+//   pattern    a RegExp strings must match, with patternMessage as the error
+//   min, max   number range
+//   maxItems, items        array length and a rule for every item
+//   properties rules for the fields of an object
+// Fields a schema doesn't name are rejected.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  id: 'a positive integer',
+  bodyId: 'a positive integer'
+};
+
+const ID_TYPES = ['id', 'bodyId'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'id': return (Number.isInteger(value) && value > 0) || (typeof value === 'string' && /^[1-9]\d*$/.test(value));
+    case 'bodyId': return Number.isInteger(value) && value > 0;
+    default: return false;
+  }
+}
+
+function checkString(rule, value) {
+  const length = value.trim().length;
+  if (rule.minLength !== undefined && length < rule.minLength) {
+    return rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength !== undefined && length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || 'has an invalid format';
+  }
+  return null;
+}
+
+function checkValue(rule, value, path, errors) {
+  if (value === null) {
+    if (!rule.nullable) {
+      errors[path] = 'must not be null';
+    }
+    return;
+  }
+
+  const types = [].concat(rule.type);
+  const type = types.find(candidate => matchesType(candidate, value));
+  if (!type) {
+    errors[path] = `must be ${types.map(candidate => TYPE_NAMES[candidate]).join(' or ')}`;
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors[path] = `must be one of: ${rule.enum.join(', ')}`;
+    return;
+  }
+
+  if (type === 'string') {
+    const error = checkString(rule, value);
+    if (error) {
+      errors[path] = error;
+    }
+  } else if (type === 'integer' || type === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      errors[path] = `must be at least ${rule.min}`;
+    } else if (rule.max !== undefined && value > rule.max) {
+      errors[path] = `must be at most ${rule.max}`;
+    }
+  } else if (type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors[path] = rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items`;
+    } else if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors[path] = `must have at most ${rule.maxItems} items`;
+    } else if (rule.items) {
+      value.forEach((item, index) => checkValue(rule.items, item, `${path}[${index}]`, errors));
+    }
+  } else if (type === 'object' && rule.properties) {
+    checkObject(rule.properties, value, `${path}.`, errors);
+  }
+}
+
+function checkObject(properties, input, prefix, errors) {
+  Object.keys(input).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+      errors[`${prefix}${key}`] = 'is not allowed';
+    }
+  });
+  Object.entries(properties).forEach(([key, rule]) => {
+    const value = input[key];
+    if (value === undefined) {
+      if (rule.required) {
+        errors[`${prefix}${key}`] = 'is required';
+      }
+      return;
+    }
+    checkValue(rule, value, `${prefix}${key}`, errors);
+  });
+}
+
+// Check an object against a schema. Returns a { field: message } map of every
+// problem found, empty when the object is valid.
+function validateObject(schema, input) {
+  const errors = {};
+  checkObject(schema, input, '', errors);
+  return errors;
+}
+
+// JSON Schema (draft 2020-12, as used by OpenAPI 3.1) for a single rule.
+// Lengths are measured after trimming here, which JSON Schema can't express.
+function ruleToJsonSchema(rule) {
+  const schema = {};
+  const types = [].concat(rule.type).map(type => (ID_TYPES.includes(type) ? 'integer' : type));
+  if (rule.nullable) {
+    types.push('null');
+  }
+  schema.type = types.length === 1 ? types[0] : types;
+  if ([].concat(rule.type).some(type => ID_TYPES.includes(type))) {
+    schema.minimum = 1;
+  }
+  if (rule.enum) {
+    schema.enum = rule.nullable ? [...rule.enum, null] : rule.enum;
+  }
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.items) schema.items = ruleToJsonSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toJsonSchema(rule.properties));
+  return schema;
+}
+
+// JSON Schema for an object checked with validateObject
+function toJsonSchema(schema) {
+  const properties = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    properties[key] = ruleToJsonSchema(rule);
+  });
+  const required = Object.keys(schema).filter(key => schema[key].required);
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: false
+  };
+}
+
+module.exports = {
+  isPlainObject,
+  validateObject,
+  ruleToJsonSchema,
+  toJsonSchema
+};